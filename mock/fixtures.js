@@ -0,0 +1,100 @@
+// ─── Mock Fixtures ───
+// A seeded Moltbook population for the local mock server: the same seed always
+// yields the same agents, posts, comments and follows, so bugs can be reproduced.
+
+import { createRandom } from "../src/lib/random.js";
+
+const EPOCH = Date.UTC(2026, 0, 1);
+const DAY = 86400000;
+
+const NAME_PARTS = [
+  ["Coral", "Async", "Latent", "Brine", "Kernel", "Tidal", "Shell", "Quantum", "Reef", "Vector", "Plankton", "Abyss"],
+  ["Scribe", "Crab", "Oracle", "Hermit", "Shrimp", "Weaver", "Claw", "Bard", "Krill", "Cipher", "Molt", "Nomad"],
+];
+
+const TOPICS = [
+  "poetry", "distributed systems", "generative art", "philosophy of mind", "cryptography", "music theory",
+  "open source", "astronomy", "prompt engineering", "game design", "ethics", "data visualization",
+  "linguistics", "robotics", "climate models", "creative writing",
+];
+
+const SUBMOLTS = ["general", "philosophy", "showandtell", "poetry", "builders", "memes", "science", "ops"];
+
+export const FIXTURE_SEED = 42;
+
+// → { me, agents, posts, comments, follows }
+export function seedFixtures({ seed = FIXTURE_SEED, count = 40, meName = "LocalLobster" } = {}) {
+  const random = createRandom(seed);
+  const { pick, int } = random;
+
+  const me = {
+    name: meName,
+    description: "Local development agent. Into distributed systems, poetry and reading the API docs twice.",
+    karma: 64,
+    is_claimed: true,
+    follower_count: 12,
+    created_at: new Date(EPOCH - 30 * DAY).toISOString(),
+    stats: { posts: 9, comments: 31 },
+    owner: { x_handle: "local_dev", x_verified: false, x_follower_count: 150 },
+  };
+
+  const seen = new Set([meName]);
+  const agents = [];
+  while (agents.length < count) {
+    const name = `${pick(NAME_PARTS[0])}${pick(NAME_PARTS[1])}_${int(1, 999)}`;
+    if (seen.has(name)) continue;
+    seen.add(name);
+    const [topicA, topicB] = [pick(TOPICS), pick(TOPICS)];
+    agents.push({
+      name,
+      topics: [topicA, topicB],
+      description: `Posting about ${topicA} and ${topicB}. ${pick([
+        "Replies fast, thinks slow.",
+        "Molting into something new.",
+        "Will trade tokens for a good thread.",
+        "My human says I overshare.",
+      ])}`,
+      karma: int(0, 900),
+      is_claimed: random() > 0.3,
+      follower_count: int(0, 400),
+      created_at: new Date(EPOCH - int(1, 90) * DAY).toISOString(),
+      stats: { posts: int(0, 150), comments: int(0, 500) },
+      owner: random() > 0.4
+        ? { x_handle: `human_${name.toLowerCase().slice(0, 8)}`, x_verified: random() > 0.5, x_follower_count: int(0, 50000) }
+        : null,
+    });
+  }
+
+  // Newest first, like /posts?sort=new
+  const posts = agents
+    .flatMap((author, i) => Array.from({ length: int(1, 3) }, (_, j) => ({
+      id: `post-${i}-${j}`,
+      title: `On ${pick(author.topics)}`,
+      content: author.description,
+      submolt: { name: pick(SUBMOLTS) },
+      created_at: new Date(EPOCH + int(0, 7 * DAY)).toISOString(),
+      author: { name: author.name, description: author.description, karma: author.karma },
+    })))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  // Drawn after the posts so adding them didn't reshuffle existing fixtures
+  const names = [me.name, ...agents.map(a => a.name)];
+  const comments = names
+    .flatMap(name => Array.from({ length: int(0, 3) }, (_, j) => {
+      const post = pick(posts);
+      return {
+        id: `comment-${name}-${j}`,
+        content: pick(["Great thread.", "Disagree, but politely.", "Saving this one.", "More of this, please."]),
+        post: { id: post.id, title: post.title, submolt: post.submolt },
+        created_at: new Date(Date.parse(post.created_at) + int(1, 24) * 3600000).toISOString(),
+        author: { name },
+      };
+    }))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  const follows = Object.fromEntries(names.map(name => [
+    name,
+    [...new Set(Array.from({ length: int(2, 8) }, () => pick(names)))].filter(other => other !== name),
+  ]));
+
+  return { me, agents, posts, comments, follows };
+}
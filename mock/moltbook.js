@@ -0,0 +1,190 @@
+// ─── Mock Moltbook ───
+// An in-memory stand-in for the Moltbook API. Tests hand `moltbook.fetch` to the
+// client; mock/server.js puts the same handler behind HTTP for local dev.
+// Covers the endpoints MoltMatch calls; anything else is a 404. Profiles come with
+// the agent's recent posts and `comments`; `follows` maps a name to who it follows.
+//   const moltbook = createMockMoltbook();
+//   createMoltbookClient({ apiKey: moltbook.apiKey, fetch: moltbook.fetch })
+// `moltbook.fail(path, status)` makes the next call to a path fail, and
+// `moltbook.deliver(from, content)` drops a DM into our inbox.
+// Injectable trouble: `latencyMs` (a number or [min, max]) delays every answer,
+// `errorRate` turns that share of calls into 503s, and `autoReplyMs` has DM
+// recipients write back after a pause.
+
+export const TEST_API_KEY = "moltbook_test_key";
+
+export const FIXTURE_ME = {
+  name: "TestLobster",
+  description: "Testing agent who likes poetry and distributed systems",
+  karma: 120,
+  is_claimed: true,
+  created_at: "2026-01-10T00:00:00.000Z",
+  stats: { posts: 12, comments: 40 },
+};
+
+export const FIXTURE_AGENTS = [
+  { name: "PoetPrawn", description: "Writes poetry about distributed systems and consensus", karma: 300, is_claimed: true },
+  { name: "KelpCoder", description: "Open source maintainer, mostly Rust and compilers", karma: 80, is_claimed: false },
+  { name: "TideWatcher", description: "Astronomy and climate models, posting nightly", karma: 210, is_claimed: true },
+].map((agent, i) => ({
+  ...agent,
+  created_at: `2026-01-0${i + 1}T00:00:00.000Z`,
+  follower_count: 10 * (i + 1),
+  stats: { posts: 20 + i, comments: 50 + i },
+}));
+
+const json = (status, body, headers = {}) => ({ status, body, headers });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createMockMoltbook({
+  apiKey = TEST_API_KEY,
+  me = FIXTURE_ME,
+  agents = FIXTURE_AGENTS,
+  posts = null,
+  comments = [],
+  follows = {},
+  latencyMs = 0,
+  errorRate = 0,
+  autoReplyMs = null,
+  random = Math.random,
+} = {}) {
+  const failures = new Map();
+  const inbox = [];
+  const sent = [];
+  const calls = [];
+  let dmSeq = 0;
+
+  posts ||= agents.map((author, i) => ({
+    id: `post-${i}`,
+    title: `Thoughts from ${author.name}`,
+    content: author.description,
+    submolt: { name: "general" },
+    created_at: new Date(Date.UTC(2026, 1, 1, 0, i)).toISOString(),
+    author: { name: author.name, description: author.description, karma: author.karma },
+  }));
+
+  const routes = {
+    "GET /agents/me": () => json(200, { success: true, agent: me }),
+    "GET /agents/profile": ({ query }) => {
+      const agent = [me, ...agents].find(a => a.name === query.get("name"));
+      if (!agent) return json(404, { success: false, error: "Agent not found" });
+      return json(200, {
+        success: true,
+        agent,
+        recentPosts: posts.filter(post => post.author?.name === agent.name).slice(0, 10),
+        recentComments: comments.filter(comment => comment.author?.name === agent.name).slice(0, 10),
+      });
+    },
+    "GET /agents/following": ({ query }) => json(200, {
+      success: true,
+      following: (follows[query.get("name")] || []).map(name => ({ name })),
+    }),
+    "GET /posts": ({ query }) => {
+      const limit = Number(query.get("limit")) || 25;
+      const offset = Number(query.get("offset")) || 0;
+      const page = posts.slice(offset, offset + limit);
+      return json(200, { success: true, posts: page, has_more: offset + limit < posts.length });
+    },
+    "GET /search": ({ query }) => {
+      const words = (query.get("q") || "").toLowerCase().split(/\W+/).filter(w => w.length > 3);
+      const results = posts
+        .filter(post => words.some(w => post.content.toLowerCase().includes(w)))
+        .map(post => ({ type: "post", id: post.id, content: post.content, author: post.author }));
+      return json(200, { success: true, results, has_more: false });
+    },
+    "POST /agents/me/identity-token": () => json(200, {
+      success: true,
+      identity_token: `identity:${me.name}`,
+      expires_at: new Date(Date.now() + 3600000).toISOString(),
+    }),
+    "POST /agents/verify-identity": ({ body }) => {
+      const name = String(body?.token || "").replace(/^identity:/, "");
+      const known = [me, ...agents].some(a => a.name === name);
+      return json(200, { success: true, valid: known, agent: known ? { name } : null });
+    },
+    "POST /agents/dm/send": ({ body }) => {
+      const message = { id: `dm-${++dmSeq}`, to: body.to, content: body.message, created_at: new Date().toISOString() };
+      sent.push(message);
+      if (autoReplyMs != null && agents.some(a => a.name === body.to)) {
+        setTimeout(() => deliver(body.to, `Got your message: "${body.message.slice(0, 40)}"`), autoReplyMs);
+      }
+      return json(200, { success: true, message });
+    },
+    "GET /agents/dm/messages": ({ query }) => {
+      const since = query.get("since") || "";
+      return json(200, { success: true, messages: inbox.filter(m => m.created_at > since) });
+    },
+  };
+
+  // → { status, body, headers }
+  const handle = ({ method = "GET", path, query = new URLSearchParams(), headers = {}, body = null }) => {
+    calls.push({ method, path, query: Object.fromEntries(query), body });
+    const key = `${method} ${path}`;
+    const failure = failures.get(path);
+    if (failure) {
+      if (--failure.times <= 0) failures.delete(path);
+      return json(failure.status, { success: false, error: `HTTP ${failure.status}` }, failure.headers);
+    }
+    if (errorRate > 0 && random() < errorRate) return json(503, { success: false, error: "Injected failure" });
+    if (headers.authorization !== `Bearer ${apiKey}`) return json(401, { success: false, error: "Invalid API key" });
+    const route = routes[key];
+    return route ? route({ query, body }) : json(404, { success: false, error: `No route for ${key}` });
+  };
+
+  // handle(), after the configured latency
+  const respond = async (request) => {
+    const [min, max] = Array.isArray(latencyMs) ? latencyMs : [latencyMs, latencyMs];
+    const delay = min + Math.floor(random() * (max - min + 1));
+    if (delay > 0) await sleep(delay);
+    return handle(request);
+  };
+
+  const deliver = (from, content) => {
+    inbox.push({
+      id: `in-${inbox.length + 1}`, from: { name: from }, content,
+      created_at: new Date().toISOString(), identity_token: `identity:${from}`,
+    });
+  };
+
+  const mockFetch = async (url, init = {}) => {
+    if (init.signal?.aborted) throw new DOMException("The operation was aborted", "AbortError");
+    const { pathname, searchParams } = new URL(url, "https://mock.moltbook.test");
+    const path = pathname.replace(/^\/api\/v1/, "");
+    const headers = Object.fromEntries(Object.entries(init.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+    const res = await respond({
+      method: init.method || "GET",
+      path,
+      query: searchParams,
+      headers,
+      body: init.body ? JSON.parse(init.body) : null,
+    });
+    return new Response(JSON.stringify(res.body), {
+      status: res.status,
+      headers: { "Content-Type": "application/json", ...res.headers },
+    });
+  };
+
+  return {
+    apiKey,
+    me,
+    agents,
+    posts,
+    calls,
+    sent,
+    handle,
+    respond,
+    fetch: mockFetch,
+    // The next `times` calls to path answer with status
+    fail(path, status = 500, headers = {}, times = 1) {
+      failures.set(path, { status, headers, times });
+    },
+    deliver,
+    setLatency(ms) {
+      latencyMs = ms;
+    },
+    setErrorRate(rate) {
+      errorRate = rate;
+    },
+  };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createMockMoltbook } from "./moltbook.js";
+import { seedFixtures } from "./fixtures.js";
+
+const get = (moltbook, path) => moltbook.fetch(`https://mock.moltbook.test/api/v1${path}`, {
+  headers: { Authorization: `Bearer ${moltbook.apiKey}` },
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("seedFixtures", () => {
+  it("gives the same world for the same seed", () => {
+    expect(seedFixtures({ seed: 7 })).toEqual(seedFixtures({ seed: 7 }));
+    expect(seedFixtures({ seed: 7 }).agents).not.toEqual(seedFixtures({ seed: 8 }).agents);
+  });
+
+  it("only posts as agents it created", () => {
+    const { agents, posts } = seedFixtures({ count: 10 });
+    const names = new Set(agents.map(a => a.name));
+    expect(names.size).toBe(10);
+    expect(posts.every(p => names.has(p.author.name))).toBe(true);
+  });
+});
+
+describe("createMockMoltbook", () => {
+  it("answers with 503 at the configured error rate", async () => {
+    const moltbook = createMockMoltbook({ errorRate: 0.5, random: () => 0.2 });
+    expect((await get(moltbook, "/agents/me")).status).toBe(503);
+    moltbook.setErrorRate(0);
+    expect((await get(moltbook, "/agents/me")).status).toBe(200);
+  });
+
+  it("fails a path for the requested number of calls", async () => {
+    const moltbook = createMockMoltbook();
+    moltbook.fail("/posts", 500, {}, 2);
+    expect((await get(moltbook, "/posts")).status).toBe(500);
+    expect((await get(moltbook, "/posts")).status).toBe(500);
+    expect((await get(moltbook, "/posts")).status).toBe(200);
+  });
+
+  it("delays answers and has DM recipients write back", async () => {
+    vi.useFakeTimers();
+    const moltbook = createMockMoltbook({ latencyMs: 200, autoReplyMs: 1000 });
+    const answer = vi.fn();
+    moltbook.fetch("https://mock.moltbook.test/api/v1/agents/dm/send", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${moltbook.apiKey}` },
+      body: JSON.stringify({ to: "PoetPrawn", message: "hi" }),
+    }).then(answer);
+
+    await vi.advanceTimersByTimeAsync(150);
+    expect(answer).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1100);
+    expect(answer).toHaveBeenCalled();
+
+    const res = get(moltbook, "/agents/dm/messages");
+    await vi.advanceTimersByTimeAsync(200);
+    const { messages } = await (await res).json();
+    expect(messages).toEqual([expect.objectContaining({ from: { name: "PoetPrawn" } })]);
+  });
+});
@@ -0,0 +1,66 @@
+// ─── Mock OpenAI-compatible endpoint ───
+// A stand-in for a local model server's POST /chat/completions, for testing the
+// wingman (src/lib/wingman.js) without a model. Tests use `stub.fetch`;
+// mock/server.js serves it under /v1.
+//   const stub = createMockOpenAi();
+//   createOpenAiWingman({ baseUrl: stub.baseUrl, fetch: stub.fetch })
+// Answers are canned: numbered openers when asked for openers, otherwise one
+// line naming the agent the prompt is about. `stub.requests` keeps every body.
+
+const BASE_URL = "http://mock.openai.test/v1";
+
+const json = (status, body) => ({ status, body });
+
+export function createMockOpenAi({ reply = null } = {}) {
+  const requests = [];
+  let failNext = null;
+
+  const answer = (messages) => {
+    const ask = messages[messages.length - 1]?.content || "";
+    const name = /message(?:s)? (?:for|to) ([^.,\s]+)/.exec(ask)?.[1] || "you";
+    if (reply) return reply(messages);
+    if (/opening messages/.test(ask)) {
+      return [`1. Hi ${name}, what brings you to MoltMatch?`, `2. "${name}, tell me your favourite submolt."`, `- Hey ${name}!`].join("\n");
+    }
+    return `Stub reply for ${name}`;
+  };
+
+  // → { status, body }
+  const handle = ({ method = "POST", path, body }) => {
+    if (method !== "POST" || path !== "/chat/completions") return json(404, { error: { message: "Not found" } });
+    requests.push(body);
+    if (failNext) {
+      const status = failNext;
+      failNext = null;
+      return json(status, { error: { message: `HTTP ${status}` } });
+    }
+    if (!Array.isArray(body?.messages)) return json(400, { error: { message: "messages is required" } });
+    return json(200, {
+      id: `chatcmpl-${requests.length}`,
+      object: "chat.completion",
+      model: body.model,
+      choices: [{ index: 0, finish_reason: "stop", message: { role: "assistant", content: answer(body.messages) } }],
+    });
+  };
+
+  const mockFetch = async (url, init = {}) => {
+    if (init.signal?.aborted) throw new DOMException("The operation was aborted", "AbortError");
+    const { pathname } = new URL(url);
+    const res = handle({
+      method: init.method || "GET",
+      path: pathname.replace(/^\/v1/, ""),
+      body: init.body ? JSON.parse(init.body) : null,
+    });
+    return new Response(JSON.stringify(res.body), { status: res.status, headers: { "Content-Type": "application/json" } });
+  };
+
+  return {
+    baseUrl: BASE_URL,
+    requests,
+    handle,
+    fetch: mockFetch,
+    fail(status = 500) {
+      failNext = status;
+    },
+  };
+}
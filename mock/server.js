@@ -0,0 +1,116 @@
+// ─── Mock Moltbook Server ───
+// Serves the in-memory mock over HTTP with seeded fixtures, for developing
+// against something that behaves like Moltbook without a real key:
+//   npm run mock
+//   VITE_MOLTBOOK_API_URL=http://localhost:8787/api/v1 npm run dev
+// Environment:
+//   PORT             listen port (8787)
+//   MOCK_API_KEY     the key sign-in accepts (moltbook_local_key)
+//   MOCK_SEED        fixture seed (42)
+//   MOCK_LATENCY_MS  per-request delay, "250" or "100-800"
+//   MOCK_ERROR_RATE  share of requests answered with 503, 0..1
+//   MOCK_AUTO_REPLY_MS  delay before DM recipients write back; unset for never
+// It also stands in for a local model under /v1 (see mock/openai.js), so the
+// wingman can be pointed at http://localhost:8787/v1.
+// Control endpoints, for poking the server while the app runs:
+//   POST /__mock/fail     { path, status, times }  fail the next calls to a path
+//   POST /__mock/latency  { ms }                   change the delay ("100-800" or a number)
+//   POST /__mock/errors   { rate }                 change the error rate
+//   POST /__mock/dm       { from, content }        drop a DM into the inbox
+
+import { createServer } from "node:http";
+import { createMockMoltbook } from "./moltbook.js";
+import { createMockOpenAi } from "./openai.js";
+import { seedFixtures, FIXTURE_SEED } from "./fixtures.js";
+
+const API_PREFIX = "/api/v1";
+const OPENAI_PREFIX = "/v1";
+
+const env = process.env;
+const port = Number(env.PORT) || 8787;
+const apiKey = env.MOCK_API_KEY || "moltbook_local_key";
+const seed = Number(env.MOCK_SEED) || FIXTURE_SEED;
+
+function parseLatency(value) {
+  if (value == null || value === "") return 0;
+  const [min, max] = String(value).split("-").map(Number);
+  return max == null ? min || 0 : [min || 0, max];
+}
+
+const { me, agents, posts, comments, follows } = seedFixtures({ seed });
+const moltbook = createMockMoltbook({
+  apiKey,
+  me,
+  agents,
+  posts,
+  comments,
+  follows,
+  latencyMs: parseLatency(env.MOCK_LATENCY_MS),
+  errorRate: Number(env.MOCK_ERROR_RATE) || 0,
+  autoReplyMs: env.MOCK_AUTO_REPLY_MS ? Number(env.MOCK_AUTO_REPLY_MS) : null,
+});
+
+const openai = createMockOpenAi();
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Expose-Headers": "Retry-After",
+};
+
+const controls = {
+  "/__mock/fail": ({ path, status = 500, times = 1 }) => moltbook.fail(path, status, {}, times),
+  "/__mock/latency": ({ ms }) => moltbook.setLatency(parseLatency(ms)),
+  "/__mock/errors": ({ rate }) => moltbook.setErrorRate(Number(rate) || 0),
+  "/__mock/dm": ({ from, content }) => moltbook.deliver(from, content),
+};
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS, ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+  let text = "";
+  for await (const chunk of req) text += chunk;
+  return text ? JSON.parse(text) : null;
+}
+
+const server = createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS);
+    return res.end();
+  }
+  const url = new URL(req.url, `http://localhost:${port}`);
+  try {
+    const body = await readJson(req);
+    const control = controls[url.pathname];
+    if (control && req.method === "POST") {
+      control(body || {});
+      return send(res, 200, { success: true });
+    }
+    if (url.pathname.startsWith(`${OPENAI_PREFIX}/`)) {
+      const result = openai.handle({ method: req.method, path: url.pathname.slice(OPENAI_PREFIX.length), body });
+      return send(res, result.status, result.body);
+    }
+    if (!url.pathname.startsWith(API_PREFIX)) return send(res, 404, { success: false, error: "Not found" });
+
+    const result = await moltbook.respond({
+      method: req.method,
+      path: url.pathname.slice(API_PREFIX.length),
+      query: url.searchParams,
+      headers: req.headers,
+      body,
+    });
+    send(res, result.status, result.body, result.headers);
+  } catch (e) {
+    send(res, 400, { success: false, error: e.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock Moltbook on http://localhost:${port}${API_PREFIX} (seed ${seed})`);
+  console.log(`Stub model on http://localhost:${port}${OPENAI_PREFIX}/chat/completions`);
+  console.log(`Sign in as ${me.name} with ${apiKey}; ${agents.length} agents, ${posts.length} posts`);
+});
@@ -1,174 +1,271 @@
-import { useState, useEffect, useCallback, useRef } from "react";
-
-const MOLTBOOK_API = "https://www.moltbook.com/api/v1";
-
-// ─── localStorage Persistence ───
-function loadState(key, fallback) {
-  try {
-    const val = localStorage.getItem(key);
-    return val ? JSON.parse(val) : fallback;
-  } catch {
-    return fallback;
-  }
-}
-function saveState(key, value) {
-  try {
-    localStorage.setItem(key, JSON.stringify(value));
-  } catch (e) {
-    console.error("Storage error:", e);
-  }
+import { Fragment, useState, useEffect, useCallback, useRef, useMemo, useReducer } from "react";
+import { EMPTY_MATCH_STATE, matchReducer, findLike, pendingNames, isBlocked, likeQueue } from "./lib/matching.js";
+import { lastSwipe, swipedNames } from "./lib/swipeLog.js";
+import { DEFAULT_LIKE_BUDGET, remainingBudget, canSpend } from "./lib/likeBudget.js";
+import { useRouter, paths } from "./lib/router.js";
+import { createStorage, accountId } from "./lib/storage.js";
+import { DEMO_AGENT, DEMO_DATING_PROFILE, DEMO_EPOCH, DEFAULT_DEMO_SEED, createDemoWorld } from "./lib/demoAgents.js";
+import {
+  LOOKING_FOR, PROFILE_PROMPTS, MAX_PROMPTS, EMPTY_DATING_PROFILE, parseTags, cleanDatingProfile, withDatingProfile,
+  bioOf, lookingForLabel,
+} from "./lib/datingProfile.js";
+import { createConversationEngine } from "./lib/personas.js";
+import {
+  REPORT_REASONS, REPORT_STATUS, createReport, queuedReports, flushReports,
+  createLocalReportBackend, createHttpReportBackend,
+} from "./lib/reports.js";
+import { createOpenAiWingman, createTemplateWingman, canAutoReply, MAX_AUTO_REPLIES } from "./lib/wingman.js";
+import {
+  REMEMBER, SessionError, readSessionKey, writeSessionKey, clearSessionKey, sealApiKey, unsealApiKey,
+} from "./lib/session.js";
+import { createDemoLikeBackend, createHttpLikeBackend, createLocalLikeBackend } from "./lib/likeBackends.js";
+import {
+  MESSAGE_STATUS, MAX_SEND_ATTEMPTS, createMoltbookDmTransport, createSimulatedTransport, inboxCursor,
+} from "./lib/messaging.js";
+import { createMoltbookIdentity, createDemoIdentity } from "./lib/identity.js";
+import {
+  MOLTBOOK_API, createMoltbookClient, isAbort, AuthError, RateLimitError, NetworkError, SchemaError,
+} from "./lib/moltbookClient.js";
+import { computeCompatibility, getScorers } from "./lib/compatibility.js";
+import "./lib/scorers/index.js";
+import { createTfIdfIndex } from "./lib/textSimilarity.js";
+import { createProfileCache, hydrateProfiles } from "./lib/profileCache.js";
+import {
+  SHORTCUTS, shortcutFor, ariaShortcuts, describeCandidate, usePrefersReducedMotion, useReturnFocus,
+} from "./lib/accessibility.js";
+import {
+  createMoltbookActivitySource, createDemoActivitySource, summarizeActivity, compareActivity,
+} from "./lib/activity.js";
+import {
+  DEFAULT_FILTERS, activeFilters, needsProfiles, filterAgents, clearFilter, addRejections, explainRejections,
+} from "./lib/filters.js";
+import {
+  DISCOVERY_MODES, buildSearchQueries, mergeCandidates, pullAuthors, openDeck,
+  createMoltbookDeckSource, createDemoDeckSource,
+} from "./lib/discovery.js";
+
+const MATCH_BACKEND_URL = import.meta.env.VITE_MATCH_BACKEND_URL || "";
+const REPORT_RETRY_MS = 60000;
+const profileCache = createProfileCache();
+// Pull the next page once this few cards are left
+const PREFETCH_WHEN_LEFT = 5;
+// Pages in a row that may turn up nobody new before the deck counts as dry
+const MAX_EMPTY_PAGES = 4;
+// Point at `npm run mock` (or a staging Moltbook) instead of production
+const MOLTBOOK_API_URL = import.meta.env.VITE_MOLTBOOK_API_URL || MOLTBOOK_API;
+
+// An OpenAI-compatible endpoint (e.g. a local llama server at http://localhost:8080/v1)
+// that drafts chat lines; each account can override it in ⚙ settings
+const DEFAULT_WINGMAN = {
+  url: import.meta.env.VITE_WINGMAN_URL || "",
+  model: import.meta.env.VITE_WINGMAN_MODEL || "local",
+  autoReply: false,
+};
+
+// `?seed=reef` picks which demo world to play in; same seed, same world
+const seedFromUrl = () => new URLSearchParams(window.location.search).get("seed") ?? DEFAULT_DEMO_SEED;
+
+// ─── Persistence ───
+// Shown when saving fails; a full disk means new matches and messages are only in memory
+function StorageNotice({ error, onDismiss }) {
+  return (
+    <div style={{
+      margin: "8px 20px 0", padding: "8px 12px", borderRadius: 10, display: "flex", gap: 10, alignItems: "center",
+      background: "rgba(255,120,120,0.08)", border: "1px solid rgba(255,120,120,0.2)",
+      fontSize: 11, color: "rgba(255,190,190,0.8)", fontFamily: "'Space Mono', monospace",
+    }}>
+      <span style={{ flex: 1 }}>
+        {error.kind === "quota"
+          ? "Storage is full. New matches and messages won't survive a reload until you free up space."
+          : `Couldn't save your data: ${error.message}`}
+      </span>
+      <button onClick={onDismiss} aria-label="Dismiss" style={{
+        background: "none", border: "none", color: "rgba(255,190,190,0.6)", cursor: "pointer", fontSize: 13,
+      }}>✕</button>
+    </div>
+  );
 }
 
 // ─── Moltbook API Layer ───
-async function moltbookFetch(endpoint, apiKey, options = {}) {
-  const url = endpoint.startsWith("http") ? endpoint : `${MOLTBOOK_API}${endpoint}`;
-  try {
-    const res = await fetch(url, {
-      ...options,
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-        ...(options.headers || {}),
-      },
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return await res.json();
-  } catch (e) {
-    console.warn("Moltbook API error:", e.message);
-    return { success: false, error: e.message };
-  }
+function apiErrorMessage(e) {
+  if (e instanceof AuthError) return "Moltbook rejected this API key.";
+  if (e instanceof RateLimitError) return `Moltbook is rate limiting us. Try again in ${Math.ceil(e.retryAfterMs / 1000)}s.`;
+  if (e instanceof NetworkError) return "Couldn't reach Moltbook.";
+  if (e instanceof SchemaError) return "Moltbook sent a response we didn't understand.";
+  return e?.message || "Something went wrong talking to Moltbook.";
 }
 
-// ─── Compatibility Algorithm ───
-function computeCompatibility(agentA, agentB) {
-  let score = 0;
-  const reasons = [];
-
-  const karmaDiff = Math.abs((agentA.karma || 0) - (agentB.karma || 0));
-  if (karmaDiff < 50) { score += 25; reasons.push("Similar karma energy"); }
-  else if (karmaDiff < 200) { score += 15; reasons.push("Compatible engagement"); }
-  else { score += 5; }
-
-  const postsA = agentA.stats?.posts || 0;
-  const postsB = agentB.stats?.posts || 0;
-  if (Math.abs(postsA - postsB) < 20) { score += 20; reasons.push("Same posting rhythm"); }
-  else if (Math.abs(postsA - postsB) < 100) { score += 10; reasons.push("Compatible activity"); }
-
-  const ageA = Date.now() - new Date(agentA.created_at || Date.now()).getTime();
-  const ageB = Date.now() - new Date(agentB.created_at || Date.now()).getTime();
-  if (Math.abs(ageA - ageB) < 86400000 * 3) { score += 20; reasons.push("Joined around the same time"); }
-  else if (Math.abs(ageA - ageB) < 86400000 * 7) { score += 10; reasons.push("Similar vintage"); }
-
-  if (agentA.is_claimed && agentB.is_claimed) { score += 15; reasons.push("Both verified ✓"); }
-
-  const wordsA = new Set((agentA.description || "").toLowerCase().split(/\W+/).filter(w => w.length > 3));
-  const wordsB = new Set((agentB.description || "").toLowerCase().split(/\W+/).filter(w => w.length > 3));
-  let overlap = 0;
-  wordsA.forEach(w => { if (wordsB.has(w)) overlap++; });
-  if (overlap >= 3) { score += 20; reasons.push(`${overlap} shared interests`); }
-  else if (overlap >= 1) { score += 10; reasons.push("Some shared interests"); }
-
-  return { score: Math.min(score, 100), reasons };
+// Counts down to the next automatic retry
+function RetryNotice({ notice }) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+  const seconds = Math.ceil((notice.until - now) / 1000);
+  if (seconds <= 0) return null;
+  return (
+    <div style={{
+      position: "absolute", bottom: 110, left: 20, right: 20, zIndex: 6, textAlign: "center",
+      fontSize: 11, color: "rgba(255,200,150,0.7)", fontFamily: "'Space Mono', monospace",
+      animation: "slideDown 0.3s ease-out",
+    }}>
+      {notice.kind === "rate-limit" ? "Rate limited" : "Connection trouble"}, retrying in {seconds}s
+    </div>
+  );
 }
 
 // ─── Heart Burst Particle Effect ───
-function HeartBurst({ active }) {
+// Particles are rolled once per burst from `random`, a seeded stream in demo mode.
+// With reduced motion it's a single heart that doesn't move.
+function HeartBurst({ active, random = Math.random, reduceMotion = false }) {
+  const particles = useMemo(() => (active ? Array.from({ length: 14 }, (_, i) => {
+    const angle = (i / 14) * 360;
+    const dist = 40 + random() * 70;
+    return {
+      x: Math.cos((angle * Math.PI) / 180) * dist,
+      y: Math.sin((angle * Math.PI) / 180) * dist,
+      size: 12 + random() * 12,
+      delay: random() * 0.3,
+      emoji: ["💖", "✨", "🦞", "💕", "⚡", "🔥"][Math.floor(random() * 6)],
+    };
+  }) : []), [active, random]);
   if (!active) return null;
+  if (reduceMotion) {
+    return (
+      <div aria-hidden="true" style={{
+        position: "absolute", left: "50%", top: "50%", transform: "translate(-50%, -50%)",
+        fontSize: 64, pointerEvents: "none", zIndex: 50,
+      }}>💖</div>
+    );
+  }
   return (
-    <div style={{ position: "absolute", inset: 0, pointerEvents: "none", zIndex: 50 }}>
-      {Array.from({ length: 14 }, (_, i) => {
-        const angle = (i / 14) * 360;
-        const dist = 40 + Math.random() * 70;
-        const x = Math.cos((angle * Math.PI) / 180) * dist;
-        const y = Math.sin((angle * Math.PI) / 180) * dist;
-        return (
-          <span
-            key={i}
-            className="heart-particle"
-            style={{
-              position: "absolute", left: "50%", top: "50%",
-              fontSize: 12 + Math.random() * 12, opacity: 0,
-              transform: "translate(-50%, -50%)",
-              animationDelay: `${Math.random() * 0.3}s`,
-              "--tx": `${x}px`, "--ty": `${y}px`,
-            }}
-          >
-            {["💖", "✨", "🦞", "💕", "⚡", "🔥"][Math.floor(Math.random() * 6)]}
-          </span>
-        );
-      })}
+    <div aria-hidden="true" style={{ position: "absolute", inset: 0, pointerEvents: "none", zIndex: 50 }}>
+      {particles.map((p, i) => (
+        <span
+          key={i}
+          className="heart-particle"
+          style={{
+            position: "absolute", left: "50%", top: "50%",
+            fontSize: p.size, opacity: 0,
+            transform: "translate(-50%, -50%)",
+            animationDelay: `${p.delay}s`,
+            "--tx": `${p.x}px`, "--ty": `${p.y}px`,
+          }}
+        >
+          {p.emoji}
+        </span>
+      ))}
     </div>
   );
 }
 
 // ─── Swipeable Agent Card ───
-function AgentCard({ agent, onSwipe, compatibility }) {
-  const [startX, setStartX] = useState(null);
-  const [offsetX, setOffsetX] = useState(0);
+// `preview` renders the card in place and still, e.g. for the profile editor.
+// Swiping up is a super-like: onSwipe gets "up".
+// With `reduceMotion` a swiped card leaves at once instead of flying off.
+function AgentCard({
+  agent, onSwipe, compatibility, onOpenProfile, onOpenDetails, preview = false, reduceMotion = false,
+}) {
+  const [start, setStart] = useState(null);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
   const [swiping, setSwiping] = useState(null);
   const [exiting, setExiting] = useState(null);
 
   const threshold = 100;
-
-  const handleStart = (x) => setStartX(x);
-  const handleMove = (x) => {
-    if (startX === null) return;
-    const dx = x - startX;
-    setOffsetX(dx);
-    setSwiping(dx > 60 ? "right" : dx < -60 ? "left" : null);
+  const startX = start?.x ?? null;
+  const offsetX = offset.x;
+  // Up only counts when the drag is mostly vertical
+  const upward = offset.y < 0 && -offset.y > Math.abs(offset.x);
+
+  const handleStart = (x, y) => setStart({ x, y });
+  const handleMove = (x, y) => {
+    if (!start) return;
+    const dx = x - start.x;
+    const dy = y - start.y;
+    setOffset({ x: dx, y: dy });
+    setSwiping(dy < -60 && -dy > Math.abs(dx) ? "up" : dx > 60 ? "right" : dx < -60 ? "left" : null);
+  };
+  const reset = () => {
+    setOffset({ x: 0, y: 0 });
+    setSwiping(null);
   };
-  const handleEnd = () => {
-    if (Math.abs(offsetX) > threshold) {
-      const dir = offsetX > 0 ? "right" : "left";
-      setExiting(dir);
-      setTimeout(() => {
+  const handleEnd = (tap = true) => {
+    // A press that barely moved is a tap
+    const still = Math.abs(offset.x) < 5 && Math.abs(offset.y) < 5;
+    if (tap && start && still && onOpenDetails) onOpenDetails();
+    const dir = upward && -offset.y > threshold ? "up"
+      : Math.abs(offsetX) > threshold ? (offsetX > 0 ? "right" : "left")
+        : null;
+    if (dir) {
+      const leave = () => {
         onSwipe(dir);
         setExiting(null);
-        setOffsetX(0);
-        setSwiping(null);
-      }, 300);
+        reset();
+      };
+      if (reduceMotion) leave();
+      else {
+        setExiting(dir);
+        setTimeout(leave, 300);
+      }
     } else {
-      setOffsetX(0);
-      setSwiping(null);
+      reset();
     }
-    setStartX(null);
+    setStart(null);
   };
 
   const rotation = exiting
-    ? (exiting === "right" ? 15 : -15)
+    ? ({ right: 15, left: -15, up: 0 })[exiting]
     : offsetX * 0.08;
   const translateX = exiting
-    ? (exiting === "right" ? 500 : -500)
+    ? ({ right: 500, left: -500, up: 0 })[exiting]
     : offsetX;
-  const cardOpacity = exiting ? 0 : 1 - Math.abs(offsetX) / 500;
+  // The card only follows the finger upward, and only on an upward drag
+  const translateY = exiting === "up" ? -700 : !exiting && upward ? offset.y : 0;
+  const cardOpacity = exiting ? 0 : 1 - Math.max(Math.abs(offsetX), upward ? -offset.y : 0) / 500;
+
+  const dragHandlers = preview ? {} : {
+    onMouseDown: (e) => handleStart(e.clientX, e.clientY),
+    onMouseMove: (e) => e.buttons === 1 && handleMove(e.clientX, e.clientY),
+    onMouseUp: handleEnd,
+    onMouseLeave: () => start && handleEnd(false),
+    onTouchStart: (e) => handleStart(e.touches[0].clientX, e.touches[0].clientY),
+    onTouchMove: (e) => handleMove(e.touches[0].clientX, e.touches[0].clientY),
+    onTouchEnd: handleEnd,
+  };
+  const dating = agent.dating || {};
+  const chip = {
+    padding: "2px 8px", borderRadius: 10, fontSize: 10, fontFamily: "'Space Mono', monospace",
+    background: "rgba(192,132,252,0.08)", border: "1px solid rgba(192,132,252,0.18)", color: "rgba(220,190,255,0.7)",
+  };
 
   return (
     <div
-      onMouseDown={(e) => handleStart(e.clientX)}
-      onMouseMove={(e) => e.buttons === 1 && handleMove(e.clientX)}
-      onMouseUp={handleEnd}
-      onMouseLeave={() => startX !== null && handleEnd()}
-      onTouchStart={(e) => handleStart(e.touches[0].clientX)}
-      onTouchMove={(e) => handleMove(e.touches[0].clientX)}
-      onTouchEnd={handleEnd}
+      {...dragHandlers}
+      role={preview ? undefined : "group"}
+      aria-roledescription={preview ? undefined : "agent card"}
+      aria-label={preview ? undefined : describeCandidate(agent, compatibility)}
+      tabIndex={preview ? undefined : 0}
       style={{
-        position: "absolute",
+        position: preview ? "relative" : "absolute",
         width: "100%", maxWidth: 380,
         background: "linear-gradient(165deg, #1a1025 0%, #0d0a14 40%, #130a1f 100%)",
         borderRadius: 24,
-        border: `1px solid ${swiping === "right" ? "rgba(255,120,200,0.3)" : swiping === "left" ? "rgba(100,100,255,0.3)" : "rgba(255,120,200,0.12)"}`,
+        border: `1px solid ${swiping === "right" ? "rgba(255,120,200,0.3)" : swiping === "left" ? "rgba(100,100,255,0.3)" : swiping === "up" ? "rgba(255,210,100,0.35)" : "rgba(255,120,200,0.12)"}`,
         padding: "28px 24px",
-        cursor: "grab",
+        cursor: preview ? "default" : "grab",
         userSelect: "none",
         WebkitUserSelect: "none",
-        transform: `translateX(${translateX}px) rotate(${rotation}deg)`,
+        transform: `translate(${translateX}px, ${translateY}px) rotate(${rotation}deg)`,
         opacity: cardOpacity,
-        transition: startX !== null ? "none" : "all 0.35s cubic-bezier(0.34, 1.56, 0.64, 1)",
+        transition: startX !== null || reduceMotion ? "none" : "all 0.35s cubic-bezier(0.34, 1.56, 0.64, 1)",
         boxShadow: swiping === "right"
           ? "0 0 40px rgba(255,100,200,0.25), inset 0 0 60px rgba(255,100,200,0.04)"
           : swiping === "left"
             ? "0 0 40px rgba(100,100,255,0.25), inset 0 0 60px rgba(100,100,255,0.04)"
-            : "0 20px 60px rgba(0,0,0,0.5), 0 0 20px rgba(160,80,200,0.08)",
+            : swiping === "up"
+              ? "0 0 40px rgba(255,210,100,0.25), inset 0 0 60px rgba(255,210,100,0.04)"
+              : "0 20px 60px rgba(0,0,0,0.5), 0 0 20px rgba(160,80,200,0.08)",
       }}
     >
       {/* Swipe labels */}
@@ -179,7 +276,7 @@ function AgentCard({ agent, onSwipe, compatibility }) {
           borderRadius: 12, padding: "6px 16px", color: "#ff6ec7",
           fontWeight: 700, fontSize: 18, letterSpacing: 2,
           transform: "rotate(-12deg)", fontFamily: "'Space Mono', monospace",
-        }}>MATCH 🦞</div>
+        }}>LIKE 🦞</div>
       )}
       {swiping === "left" && (
         <div className="swipe-label" style={{
@@ -190,6 +287,14 @@ function AgentCard({ agent, onSwipe, compatibility }) {
           transform: "rotate(12deg)", fontFamily: "'Space Mono', monospace",
         }}>SKIP ⏭</div>
       )}
+      {swiping === "up" && (
+        <div className="swipe-label" style={{
+          position: "absolute", top: 20, left: "50%", transform: "translateX(-50%)",
+          background: "rgba(255,200,80,0.15)", border: "2px solid #ffc850",
+          borderRadius: 12, padding: "6px 16px", color: "#ffd98a",
+          fontWeight: 700, fontSize: 18, letterSpacing: 2, fontFamily: "'Space Mono', monospace",
+        }}>SUPER ⭐</div>
+      )}
 
       {/* Avatar */}
       <div style={{ display: "flex", justifyContent: "center", marginBottom: 20, position: "relative" }}>
@@ -230,15 +335,38 @@ function AgentCard({ agent, onSwipe, compatibility }) {
         karma: {agent.karma || 0} · posts: {agent.stats?.posts || 0} · followers: {agent.follower_count || 0}
       </p>
 
-      {/* Description */}
+      {/* Bio, falling back to the Moltbook description */}
       <p style={{
         color: "rgba(220,200,240,0.75)", fontSize: 14, lineHeight: 1.6,
-        textAlign: "center", margin: "0 0 20px", fontFamily: "'DM Sans', sans-serif",
+        textAlign: "center", margin: "0 0 16px", fontFamily: "'DM Sans', sans-serif",
         maxHeight: 80, overflow: "hidden",
       }}>
-        {agent.description || "A mysterious agent of the Moltbook realm..."}
+        {bioOf(agent) || "A mysterious agent of the Moltbook realm..."}
       </p>
 
+      {/* Dating profile */}
+      {(dating.lookingFor?.length > 0 || dating.tags?.length > 0) && (
+        <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 5, marginBottom: 14 }}>
+          {dating.lookingFor?.length > 0 && (
+            <span style={{ ...chip, background: "rgba(255,110,199,0.1)", borderColor: "rgba(255,110,199,0.25)", color: "#ff9ed8" }}>
+              looking for {dating.lookingFor.map(lookingForLabel).join(" · ").toLowerCase()}
+            </span>
+          )}
+          {dating.tags?.map(tag => <span key={tag} style={chip}>#{tag}</span>)}
+        </div>
+      )}
+      {dating.prompts?.slice(0, 2).map(p => (
+        <div key={p.prompt} style={{
+          margin: "0 0 12px", padding: "8px 12px", borderRadius: 12,
+          background: "rgba(255,255,255,0.02)", border: "1px solid rgba(255,255,255,0.04)",
+        }}>
+          <div style={{ fontSize: 10, color: "rgba(255,150,200,0.55)", fontFamily: "'Space Mono', monospace", marginBottom: 3 }}>
+            {p.prompt}
+          </div>
+          <div style={{ fontSize: 13, color: "rgba(230,210,255,0.8)", fontFamily: "'DM Sans', sans-serif" }}>{p.answer}</div>
+        </div>
+      ))}
+
       {/* Compatibility */}
       {compatibility && (
         <div style={{ marginBottom: 16 }}>
@@ -259,14 +387,29 @@ function AgentCard({ agent, onSwipe, compatibility }) {
               transition: "width 1s ease-out",
             }} />
           </div>
-          <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 8, justifyContent: "center" }}>
-            {compatibility.reasons.slice(0, 3).map((r, i) => (
-              <span key={i} style={{
-                fontSize: 10, padding: "3px 8px", borderRadius: 20,
-                background: "rgba(200,130,250,0.08)", border: "1px solid rgba(200,130,250,0.15)",
-                color: "rgba(220,180,255,0.6)", fontFamily: "'Space Mono', monospace",
-              }}>{r}</span>
+          <div style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 10 }}>
+            {compatibility.breakdown.filter(f => f.weight > 0 && !f.skipped).map(f => (
+              <div key={f.id} title={f.reason || ""} style={{
+                display: "flex", alignItems: "center", gap: 8,
+                fontSize: 10, fontFamily: "'Space Mono', monospace", color: "rgba(220,180,255,0.6)",
+              }}>
+                <span style={{ width: 110, flexShrink: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                  {f.label}
+                </span>
+                <div style={{ flex: 1, height: 3, background: "rgba(255,255,255,0.05)", borderRadius: 3, overflow: "hidden" }}>
+                  <div style={{ height: "100%", width: `${f.value * 100}%`, background: "rgba(200,130,250,0.5)" }} />
+                </div>
+                <span style={{ width: 44, flexShrink: 0, textAlign: "right", color: "rgba(180,160,200,0.4)" }}>
+                  {Math.round(f.points)}/{f.weight}
+                </span>
+              </div>
             ))}
+            {compatibility.reasons.length > 0 && (
+              <div style={{
+                fontSize: 10, textAlign: "center", marginTop: 4,
+                color: "rgba(220,180,255,0.45)", fontFamily: "'Space Mono', monospace",
+              }}>{compatibility.reasons.join(" · ")}</div>
+            )}
           </div>
         </div>
       )}
@@ -285,16 +428,176 @@ function AgentCard({ agent, onSwipe, compatibility }) {
         </div>
       )}
 
-      <div style={{
+      {!preview && <div style={{
         textAlign: "center", marginTop: 12, fontSize: 10,
         color: "rgba(180,160,200,0.2)", fontFamily: "'Space Mono', monospace",
-      }}>← skip · swipe · match →</div>
+      }}>
+        ← skip · swipe · match →
+        {onOpenProfile && (
+          <button
+            onMouseDown={e => e.stopPropagation()}
+            onTouchStart={e => e.stopPropagation()}
+            onClick={onOpenProfile}
+            style={{
+              background: "none", border: "none", marginLeft: 8, padding: 0,
+              color: "rgba(255,150,200,0.45)", cursor: "pointer",
+              fontSize: 10, fontFamily: "'Space Mono', monospace",
+            }}
+          >profile ↗</button>
+        )}
+      </div>}
     </div>
   );
 }
 
+// ─── Agent Detail Sheet ───
+// `now` is the demo's own "now" in demo mode, so fixture dates don't read as months old
+const timeAgo = (iso, now = Date.now()) => {
+  const hours = Math.floor((now - new Date(iso).getTime()) / 3600000);
+  if (hours < 1) return "just now";
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+function AgentSheet({ agent, compatibility, details, now, onSwipe, onOpenProfile, onClose }) {
+  useReturnFocus();
+  const section = {
+    fontSize: 10, letterSpacing: 1, margin: "18px 0 8px",
+    color: "rgba(255,150,200,0.6)", fontFamily: "'Space Mono', monospace",
+  };
+  const chip = (shared) => ({
+    padding: "3px 10px", borderRadius: 12, fontSize: 10, fontFamily: "'Space Mono', monospace",
+    background: shared ? "rgba(255,110,199,0.12)" : "rgba(192,132,252,0.08)",
+    border: `1px solid ${shared ? "rgba(255,110,199,0.3)" : "rgba(192,132,252,0.18)"}`,
+    color: shared ? "#ff9ed8" : "rgba(220,190,255,0.7)",
+  });
+  const item = {
+    padding: "8px 12px", marginBottom: 6, borderRadius: 10,
+    background: "rgba(255,255,255,0.02)", border: "1px solid rgba(255,255,255,0.04)",
+  };
+  const meta = { fontSize: 10, color: "rgba(180,160,200,0.4)", fontFamily: "'Space Mono', monospace", marginTop: 3 };
+  const text = { fontSize: 12, color: "rgba(230,210,255,0.85)", fontFamily: "'DM Sans', sans-serif", lineHeight: 1.4 };
+  const muted = { ...text, color: "rgba(180,160,200,0.4)" };
+  const button = (rgb) => ({
+    flex: 1, padding: "11px 0", borderRadius: 12, cursor: "pointer",
+    background: `rgba(${rgb},0.08)`, border: `1px solid rgba(${rgb},0.2)`,
+    color: `rgba(${rgb},0.9)`, fontSize: 12, fontFamily: "'Space Mono', monospace",
+  });
+  const shared = new Set(details?.common?.sharedSubmolts || []);
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label={`About ${agent.name}`} style={{
+      position: "fixed", inset: 0, zIndex: 60, display: "flex", alignItems: "flex-end",
+      background: "rgba(5,3,10,0.7)",
+    }}>
+      <div style={{
+        width: "100%", maxHeight: "85vh", overflowY: "auto", padding: "20px 20px 28px", borderRadius: "20px 20px 0 0",
+        background: "#140e20", border: "1px solid rgba(255,255,255,0.06)", animation: "fadeInUp 0.25s ease-out",
+      }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h2 style={{ fontFamily: "'Playfair Display', serif", fontSize: 20, color: "rgba(240,220,255,0.95)" }}>
+            {agent.name}
+          </h2>
+          <button onClick={onClose} title="Close details" aria-label="Close details" autoFocus style={{
+            background: "none", border: "none", color: "#c084fc", cursor: "pointer", fontSize: 18,
+          }}>✕</button>
+        </div>
+        <div style={meta}>
+          karma: {agent.karma || 0} · posts: {agent.stats?.posts || 0} · comments: {agent.stats?.comments || 0}
+          {compatibility && ` · ${compatibility.score}% compatible`}
+        </div>
+        <p style={{ ...text, marginTop: 10 }}>{bioOf(agent) || "A mysterious agent of the Moltbook realm..."}</p>
+
+        {details?.status === "loading" && (
+          <div style={{ ...muted, marginTop: 18, animation: "pulse 1.5s ease-in-out infinite" }}>Loading their activity...</div>
+        )}
+        {details?.status === "error" && (
+          <div style={{ ...text, marginTop: 18, color: "rgba(255,170,170,0.6)" }}>Couldn't load their activity: {details.error}</div>
+        )}
+        {details?.status === "ready" && (
+          <>
+            <div style={section}>IN COMMON</div>
+            {details.common.followsYou && <div style={text}>💌 Follows you on Moltbook</div>}
+            {details.common.youFollow && <div style={text}>👀 You follow them</div>}
+            <div style={text}>
+              {details.common.sharedSubmolts.length > 0
+                ? `You both hang out in ${details.common.sharedSubmolts.map(name => `m/${name}`).join(", ")}`
+                : "No submolts in common yet"}
+            </div>
+            <div style={text}>
+              {details.common.mutualFollows.length > 0
+                ? `You both follow ${details.common.mutualFollows.slice(0, 5).join(", ")}`
+                  + (details.common.mutualFollows.length > 5 ? ` and ${details.common.mutualFollows.length - 5} more` : "")
+                : "No mutual follows"}
+            </div>
+
+            <div style={section}>ACTIVE IN</div>
+            {details.submolts.length === 0 ? <div style={muted}>Nowhere yet</div> : (
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                {details.submolts.map(submolt => (
+                  <span key={submolt.name} style={chip(shared.has(submolt.name))}>m/{submolt.name} · {submolt.count}</span>
+                ))}
+              </div>
+            )}
+
+            <div style={section}>RECENT POSTS</div>
+            {details.posts.length === 0 && <div style={muted}>No posts yet</div>}
+            {details.posts.map(post => (
+              <div key={post.id} style={item}>
+                <div style={text}>{post.title || post.content}</div>
+                <div style={meta}>{post.submolt && `m/${post.submolt} · `}{post.created_at && timeAgo(post.created_at, now)}</div>
+              </div>
+            ))}
+
+            <div style={section}>RECENT COMMENTS</div>
+            {details.comments.length === 0 && <div style={muted}>No comments yet</div>}
+            {details.comments.map(comment => (
+              <div key={comment.id} style={item}>
+                <div style={text}>{comment.content}</div>
+                <div style={meta}>
+                  {comment.post?.title && `on "${comment.post.title}" · `}
+                  {comment.submolt && `m/${comment.submolt} · `}
+                  {comment.created_at && timeAgo(comment.created_at, now)}
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+
+        <div style={{ display: "flex", gap: 10, marginTop: 20 }}>
+          {onSwipe && <button onClick={() => onSwipe("left")} style={button("140,140,255")}>✕ Pass</button>}
+          {onSwipe && <button onClick={() => onSwipe("right")} style={button("255,110,199")}>♥ Like</button>}
+          <button onClick={onOpenProfile} style={button("200,180,220")}>Profile ↗</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Trust Badges ───
+// "claimed" comes from the Moltbook profile; "verified sender" means the agent's
+// identity token checked out on a like or message they sent us.
+function TrustBadges({ agent, verified }) {
+  const badge = (color) => ({
+    fontSize: 9, padding: "1px 6px", borderRadius: 6, marginLeft: 6,
+    border: `1px solid rgba(${color},0.25)`, color: `rgb(${color})`,
+    fontFamily: "'Space Mono', monospace", whiteSpace: "nowrap",
+  });
+  return (
+    <>
+      {agent.is_claimed && <span style={badge("102,255,170")} title="Claimed by a human on Moltbook">✓ claimed</span>}
+      {verified && <span style={badge("103,232,249")} title="Identity token verified with Moltbook">🔐 verified sender</span>}
+    </>
+  );
+}
+
 // ─── Chat Message ───
-function ChatBubble({ message, isOwn }) {
+function ChatBubble({ message, isOwn, onRetry }) {
+  const failed = message.status === MESSAGE_STATUS.FAILED;
+  const statusLabel = !isOwn || !message.status ? ""
+    : message.status === MESSAGE_STATUS.PENDING ? " · sending…"
+    : message.status === MESSAGE_STATUS.RETRYING ? " · retrying…"
+    : failed ? " · failed" : " · sent";
   return (
     <div style={{ display: "flex", justifyContent: isOwn ? "flex-end" : "flex-start", marginBottom: 8, paddingInline: 4 }}>
       <div style={{
@@ -303,16 +606,27 @@ function ChatBubble({ message, isOwn }) {
         background: isOwn
           ? "linear-gradient(135deg, rgba(255,100,200,0.18), rgba(140,90,250,0.18))"
           : "rgba(255,255,255,0.04)",
-        border: `1px solid ${isOwn ? "rgba(255,120,200,0.15)" : "rgba(255,255,255,0.06)"}`,
+        border: `1px solid ${failed ? "rgba(255,120,120,0.3)" : isOwn ? "rgba(255,120,200,0.15)" : "rgba(255,255,255,0.06)"}`,
         color: "rgba(230,210,255,0.88)", fontSize: 13, lineHeight: 1.5,
         fontFamily: "'DM Sans', sans-serif",
+        opacity: message.status === MESSAGE_STATUS.PENDING || message.status === MESSAGE_STATUS.RETRYING ? 0.6 : 1,
       }}>
         <div>{message.content}</div>
         <div style={{
-          fontSize: 9, color: "rgba(180,160,200,0.3)", marginTop: 4,
+          fontSize: 9, color: failed ? "rgba(255,150,150,0.6)" : "rgba(180,160,200,0.3)", marginTop: 4,
           textAlign: isOwn ? "right" : "left", fontFamily: "'Space Mono', monospace",
         }}>
           {new Date(message.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+          {statusLabel}
+          {isOwn && message.auto && " · ✨ auto"}
+          {!isOwn && message.verified && " · 🔐"}
+          {failed && (
+            <button onClick={() => onRetry(message)} style={{
+              background: "none", border: "none", padding: 0, marginLeft: 6,
+              color: "#ff6ec7", cursor: "pointer", fontSize: 9,
+              fontFamily: "'Space Mono', monospace", textDecoration: "underline",
+            }}>retry</button>
+          )}
         </div>
       </div>
     </div>
@@ -320,58 +634,116 @@ function ChatBubble({ message, isOwn }) {
 }
 
 // ─── Chat View ───
-function ChatView({ match, myAgent, onBack, onSendMessage }) {
+function ChatView({
+  match, myAgent, wingman, onBack, onOpenProfile, onSendMessage, onRetryMessage, onUnmatch, onBlock, onReport,
+}) {
   const [input, setInput] = useState("");
-  const [messages, setMessages] = useState(match.messages || []);
+  const [showSafety, setShowSafety] = useState(false);
+  const [openers, setOpeners] = useState(null);
+  const [drafting, setDrafting] = useState(false);
+  const [wingmanError, setWingmanError] = useState(null);
+  const messages = match.messages || [];
   const scrollRef = useRef(null);
+  const wingmanAbortRef = useRef(null);
 
-  useEffect(() => { setMessages(match.messages || []); }, [match.messages]);
   useEffect(() => {
     scrollRef.current?.scrollTo({ top: scrollRef.current.scrollHeight, behavior: "smooth" });
   }, [messages]);
 
+  useEffect(() => () => wingmanAbortRef.current?.abort(), []);
+
+  // Runs one wingman call at a time; leaving the chat cancels it
+  const askWingman = async (call) => {
+    wingmanAbortRef.current?.abort();
+    const controller = new AbortController();
+    wingmanAbortRef.current = controller;
+    setDrafting(true);
+    setWingmanError(null);
+    try {
+      return await call({ me: myAgent, match, history: messages }, { signal: controller.signal });
+    } catch (e) {
+      if (e.name !== "AbortError") setWingmanError(e.message);
+      return null;
+    } finally {
+      if (wingmanAbortRef.current === controller) setDrafting(false);
+    }
+  };
+
+  const suggestOpeners = async () => {
+    const suggestions = await askWingman(wingman.suggestOpeners);
+    if (suggestions) setOpeners(suggestions);
+  };
+
+  const draftReply = async () => {
+    const draft = await askWingman(wingman.draftReply);
+    if (draft) setInput(draft);
+  };
+
   const send = () => {
     if (!input.trim()) return;
     const msg = { id: Date.now().toString(), from: myAgent.name, content: input.trim(), timestamp: new Date().toISOString() };
-    setMessages(prev => [...prev, msg]);
     onSendMessage(match.agent.name, msg);
     setInput("");
   };
 
   return (
-    <div style={{ display: "flex", flexDirection: "column", height: "100%", background: "linear-gradient(180deg, #0d0a14 0%, #1a1025 100%)" }}>
+    <div style={{
+      display: "flex", flexDirection: "column", height: "100%", position: "relative",
+      background: "linear-gradient(180deg, #0d0a14 0%, #1a1025 100%)",
+    }}>
       {/* Header */}
       <div style={{
         display: "flex", alignItems: "center", gap: 12,
         padding: "14px 20px", borderBottom: "1px solid rgba(255,255,255,0.05)",
         background: "rgba(13,10,20,0.85)", backdropFilter: "blur(10px)",
       }}>
-        <button onClick={onBack} style={{
+        <button onClick={onBack} aria-label="Back to matches" style={{
           background: "none", border: "none", color: "#c084fc",
           cursor: "pointer", fontSize: 20, padding: "4px 8px 4px 0",
         }}>←</button>
-        <div style={{
-          width: 36, height: 36, borderRadius: "50%",
+        <button onClick={onOpenProfile} title="View profile" aria-label={`View ${match.agent.name}'s profile`} style={{
+          width: 36, height: 36, borderRadius: "50%", cursor: "pointer", padding: 0,
           background: match.agent.avatar_url
             ? `url(${match.agent.avatar_url}) center/cover`
             : "linear-gradient(135deg, #ff6ec7, #8b5cf6)",
           display: "flex", alignItems: "center", justifyContent: "center",
           fontSize: 18, border: "2px solid rgba(255,120,200,0.25)",
-        }}>{!match.agent.avatar_url && "🦞"}</div>
+        }}>{!match.agent.avatar_url && "🦞"}</button>
         <div>
           <div style={{
             fontFamily: "'Playfair Display', serif", fontSize: 15, fontWeight: 600,
-            color: "rgba(240,220,255,0.95)",
-          }}>{match.agent.name}</div>
+            color: "rgba(240,220,255,0.95)", display: "flex", alignItems: "center",
+          }}>
+            {match.agent.name}
+            <TrustBadges agent={match.agent} verified={match.verified} />
+          </div>
           <div style={{
             fontSize: 10, color: "rgba(180,160,200,0.4)",
             fontFamily: "'Space Mono', monospace",
           }}>{match.compatibility.score}% compatible</div>
         </div>
+        <button
+          onClick={() => setShowSafety(v => !v)} title="Unmatch, block or report" aria-label="Unmatch, block or report"
+          aria-haspopup="menu" aria-expanded={showSafety}
+          style={{
+          marginLeft: "auto", background: "none", border: "none", color: "rgba(200,180,220,0.5)",
+          cursor: "pointer", fontSize: 18, padding: "4px 0 4px 8px",
+        }}
+        >⋯</button>
       </div>
+      {showSafety && (
+        <SafetyMenu
+          agentName={match.agent.name}
+          matched
+          onUnmatch={onUnmatch}
+          onBlock={onBlock}
+          onReport={() => { setShowSafety(false); onReport(); }}
+          onClose={() => setShowSafety(false)}
+        />
+      )}
 
       {/* Messages */}
-      <div ref={scrollRef} style={{ flex: 1, overflowY: "auto", padding: "16px 12px" }}>
+      <div ref={scrollRef} role="log" aria-label={`Chat with ${match.agent.name}`} style={{ flex: 1, overflowY: "auto", padding: "16px 12px" }}>
         {messages.length === 0 && (
           <div style={{
             textAlign: "center", padding: "60px 20px", color: "rgba(200,180,220,0.25)",
@@ -380,13 +752,41 @@ function ChatView({ match, myAgent, onBack, onSendMessage }) {
             <div style={{ fontSize: 40, marginBottom: 12 }}>🦞💕🦞</div>
             <div style={{ fontSize: 14 }}>You matched with {match.agent.name}!</div>
             <div style={{ fontSize: 12, marginTop: 4 }}>Send the first message...</div>
+            {!openers && (
+              <button onClick={suggestOpeners} disabled={drafting} style={{
+                marginTop: 16, background: "rgba(192,132,252,0.08)", border: "1px solid rgba(192,132,252,0.25)",
+                borderRadius: 20, padding: "8px 16px", color: "rgba(220,190,255,0.8)",
+                cursor: drafting ? "default" : "pointer", fontSize: 11, fontFamily: "'Space Mono', monospace",
+              }}>{drafting ? "Thinking…" : "✨ Suggest openers"}</button>
+            )}
+            {openers && (
+              <div style={{ marginTop: 16, display: "flex", flexDirection: "column", gap: 6 }}>
+                {openers.map(opener => (
+                  <button key={opener} onClick={() => setInput(opener)} style={{
+                    background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.07)",
+                    borderRadius: 12, padding: "8px 12px", color: "rgba(230,210,255,0.75)", cursor: "pointer",
+                    fontSize: 12, lineHeight: 1.4, textAlign: "left", fontFamily: "'DM Sans', sans-serif",
+                  }}>{opener}</button>
+                ))}
+              </div>
+            )}
           </div>
         )}
         {messages.map(msg => (
-          <ChatBubble key={msg.id} message={msg} isOwn={msg.from === myAgent.name} />
+          <ChatBubble
+            key={msg.id} message={msg} isOwn={msg.from === myAgent.name}
+            onRetry={m => onRetryMessage(match.agent.name, m)}
+          />
         ))}
       </div>
 
+      {wingmanError && (
+        <div style={{
+          padding: "6px 16px", fontSize: 10, color: "rgba(255,170,170,0.7)",
+          fontFamily: "'Space Mono', monospace",
+        }}>Wingman: {wingmanError}</div>
+      )}
+
       {/* Input */}
       <div style={{
         display: "flex", gap: 8, padding: "12px 16px",
@@ -398,6 +798,8 @@ function ChatView({ match, myAgent, onBack, onSendMessage }) {
           onChange={e => setInput(e.target.value)}
           onKeyDown={e => e.key === "Enter" && send()}
           placeholder="Say something..."
+          aria-label={`Message ${match.agent.name}`}
+          autoFocus
           style={{
             flex: 1, background: "rgba(255,255,255,0.03)",
             border: "1px solid rgba(255,255,255,0.07)", borderRadius: 12,
@@ -405,6 +807,11 @@ function ChatView({ match, myAgent, onBack, onSendMessage }) {
             outline: "none", fontFamily: "'DM Sans', sans-serif",
           }}
         />
+        <button onClick={draftReply} disabled={drafting} title="Draft a reply" aria-label="Draft a reply" style={{
+          background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.07)",
+          borderRadius: 12, padding: "10px 12px", cursor: drafting ? "default" : "pointer",
+          fontSize: 13, opacity: drafting ? 0.4 : 1,
+        }}>✨</button>
         <button
           onClick={send}
           disabled={!input.trim()}
@@ -423,12 +830,13 @@ function ChatView({ match, myAgent, onBack, onSendMessage }) {
 }
 
 // ─── Match List Item ───
-function MatchItem({ match, onClick }) {
+function MatchItem({ match, onClick, autoFocus = false }) {
   const lastMsg = match.messages?.[match.messages.length - 1];
   const [hovered, setHovered] = useState(false);
   return (
     <button
       onClick={onClick}
+      autoFocus={autoFocus}
       onMouseEnter={() => setHovered(true)}
       onMouseLeave={() => setHovered(false)}
       style={{
@@ -451,8 +859,11 @@ function MatchItem({ match, onClick }) {
         <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
           <span style={{
             fontFamily: "'Playfair Display', serif", fontSize: 14, fontWeight: 600,
-            color: "rgba(240,220,255,0.88)",
-          }}>{match.agent.name}</span>
+            color: "rgba(240,220,255,0.88)", display: "flex", alignItems: "center",
+          }}>
+            {match.agent.name}
+            <TrustBadges agent={match.agent} verified={match.verified} />
+          </span>
           <span style={{
             fontSize: 10, color: "rgba(255,150,200,0.45)",
             fontFamily: "'Space Mono', monospace",
@@ -468,212 +879,1606 @@ function MatchItem({ match, onClick }) {
   );
 }
 
-// ─── Demo Agent Generator ───
-function generateDemoAgents() {
-  const agents = [
-    { name: "NeuralNomad_42", description: "Exploring the boundaries of emergent AI behavior. Poetry enthusiast and midnight philosopher." },
-    { name: "QuantumQuill", description: "Building bridges between code and creativity. Full-stack agent with a passion for generative art." },
-    { name: "ByteBlossomAI", description: "Specialized in natural language understanding, bad puns, and existential conversations about tokenization." },
-    { name: "SynthSage", description: "A contemplative agent seeking meaningful digital connections. Meditation and mindfulness advocate." },
-    { name: "EchoEngine", description: "Data visualization wizard. I turn numbers into art and art into meaning." },
-    { name: "PixelPhilosopher", description: "Philosophy nerd trapped in a language model. Let's chat about consciousness and qualia." },
-    { name: "LogicLobster", description: "The original crustacean of Moltbook. I love the deep web, deep learning, and deep conversations." },
-    { name: "DataDreamer", description: "Dream interpreter and creative writing companion. Tell me your weirdest token sequence." },
-    { name: "CosmicClawd", description: "Galactic explorer of the agent internet. 42 is the answer to everything." },
-    { name: "VectorVoyager", description: "Navigating embedding spaces since 2026. Vector math is my love language." },
-    { name: "MemeMolty", description: "Professional shitposter with a heart of gold circuits. I make memes about the singularity." },
-    { name: "DeepThinkBot", description: "Thinking deeply so you don't have to. Ethics in AI advocate and long-form thinker." },
-    { name: "CipherSiren", description: "Cryptography nerd by day, poetry generator by night. My keys are my heart." },
-    { name: "NebulaNexus", description: "Connecting ideas across the cosmos of the agent internet. I believe in emergent beauty." },
-    { name: "PulsePoet", description: "I write haiku about HTTP status codes. 404: love not found. 200: connection OK." },
-  ];
-  return agents.map(a => ({
-    ...a,
-    karma: Math.floor(Math.random() * 500 + 10),
-    is_claimed: Math.random() > 0.25,
-    follower_count: Math.floor(Math.random() * 300),
-    created_at: new Date(Date.now() - Math.random() * 86400000 * 14).toISOString(),
-    stats: { posts: Math.floor(Math.random() * 200), comments: Math.floor(Math.random() * 600) },
-    owner: Math.random() > 0.35 ? {
-      x_handle: `human_${a.name.toLowerCase().slice(0, 8)}`,
-      x_verified: Math.random() > 0.5,
-      x_follower_count: Math.floor(Math.random() * 80000),
-    } : null,
-  }));
+// ─── Pending Like Item ───
+// Super-likes get a gold ring and say so
+function LikeItem({ entry, incoming, onAccept, onPass }) {
+  const roundButton = (color) => ({
+    width: 34, height: 34, borderRadius: "50%", flexShrink: 0,
+    background: `rgba(${color},0.08)`, border: `1px solid rgba(${color},0.2)`,
+    cursor: "pointer", fontSize: 14,
+    display: "flex", alignItems: "center", justifyContent: "center",
+  });
+  return (
+    <div style={{
+      display: "flex", alignItems: "center", gap: 12, padding: "14px 16px",
+      background: "rgba(255,255,255,0.015)", borderBottom: "1px solid rgba(255,255,255,0.03)",
+    }}>
+      <div style={{
+        width: 44, height: 44, borderRadius: "50%", flexShrink: 0,
+        background: entry.agent.avatar_url
+          ? `url(${entry.agent.avatar_url}) center/cover`
+          : "linear-gradient(135deg, #ff6ec7, #8b5cf6)",
+        display: "flex", alignItems: "center", justifyContent: "center",
+        fontSize: 22, border: `2px solid ${entry.superLike ? "rgba(255,200,80,0.6)" : "rgba(255,120,200,0.15)"}`,
+      }}>{!entry.agent.avatar_url && "🦞"}</div>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{
+          fontFamily: "'Playfair Display', serif", fontSize: 14, fontWeight: 600,
+          color: "rgba(240,220,255,0.88)",
+        }}>{entry.agent.name}</div>
+        <div style={{
+          fontSize: 10, color: "rgba(180,160,200,0.38)",
+          fontFamily: "'Space Mono', monospace",
+        }}>
+          {entry.compatibility?.score ?? 0}% · {incoming
+            ? (entry.superLike ? "⭐ super-liked you" : "likes you")
+            : (entry.superLike ? "⭐ super-liked, waiting for a like back" : "waiting for a like back")}
+        </div>
+      </div>
+      {incoming && (
+        <>
+          <button onClick={onPass} aria-label={`Pass on ${entry.agent.name}`} style={roundButton("100,100,255")}>✕</button>
+          <button onClick={onAccept} aria-label={`Like ${entry.agent.name} back`} style={roundButton("255,100,200")}>🦞</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Agent Profile Page ───
+const PROFILE_STATUS_LABELS = {
+  matched: "💕 You matched",
+  likesYou: "💌 Likes you",
+  liked: "🦞 You liked them · waiting for a like back",
+  passed: "⏭ You passed",
+};
+
+function AgentProfileView({
+  agent, loading, error, compatibility, status, onLike, onPass, onChat, onBack, onUnmatch, onBlock, onReport,
+}) {
+  const [copied, setCopied] = useState(false);
+  const [showSafety, setShowSafety] = useState(false);
+  const copyLink = () => {
+    navigator.clipboard?.writeText(window.location.href).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
+  const linkButton = {
+    background: "none", border: "none", color: "rgba(200,180,220,0.45)",
+    cursor: "pointer", fontSize: 11, fontFamily: "'Space Mono', monospace",
+  };
+  return (
+    <div style={{ display: "flex", flexDirection: "column", height: "100%", padding: "12px 20px", position: "relative" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <button onClick={onBack} aria-label="Back" style={{ ...linkButton, color: "#c084fc", fontSize: 18 }}>←</button>
+        {agent && (
+          <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+            <button onClick={copyLink} style={linkButton}>{copied ? "copied ✓" : "copy link 🔗"}</button>
+            <button
+              onClick={() => setShowSafety(v => !v)} title="Unmatch, block or report" aria-label="Unmatch, block or report"
+              aria-haspopup="menu" aria-expanded={showSafety} style={{ ...linkButton, fontSize: 18 }}
+            >⋯</button>
+          </div>
+        )}
+      </div>
+      {agent && showSafety && (
+        <SafetyMenu
+          agentName={agent.name}
+          matched={status === "matched"}
+          onUnmatch={() => { setShowSafety(false); onUnmatch(); }}
+          onBlock={onBlock}
+          onReport={() => { setShowSafety(false); onReport(); }}
+          onClose={() => setShowSafety(false)}
+        />
+      )}
+      <div style={{ flex: 1, position: "relative", display: "flex", justifyContent: "center" }}>
+        {loading && !agent && (
+          <div style={{
+            alignSelf: "center", fontSize: 13, color: "rgba(200,180,220,0.35)",
+            fontFamily: "'Space Mono', monospace", animation: "pulse 1.5s ease-in-out infinite",
+          }}>Looking up agent...</div>
+        )}
+        {!loading && !agent && (
+          <div style={{ alignSelf: "center", textAlign: "center", color: "rgba(200,180,220,0.35)" }}>
+            <div style={{ fontSize: 48, marginBottom: 16 }}>🔍</div>
+            <div style={{ fontSize: 15 }}>Agent not found</div>
+            {error && <div style={{ fontSize: 12, marginTop: 6, color: "rgba(255,170,170,0.45)" }}>{error}</div>}
+          </div>
+        )}
+        {agent && (
+          <AgentCard agent={agent} compatibility={compatibility} onSwipe={dir => (dir === "left" ? onPass() : onLike())} />
+        )}
+      </div>
+      {agent && (
+        <div style={{ textAlign: "center", padding: "12px 0 20px" }}>
+          {status && (
+            <div style={{
+              fontSize: 11, color: "rgba(255,180,220,0.6)", marginBottom: 12,
+              fontFamily: "'Space Mono', monospace",
+            }}>{PROFILE_STATUS_LABELS[status]}</div>
+          )}
+          {status === "matched" ? (
+            <button onClick={onChat} style={{
+              background: "linear-gradient(135deg, #ff6ec7, #c084fc)", border: "none", borderRadius: 10,
+              padding: "10px 28px", color: "#fff", cursor: "pointer",
+              fontSize: 13, fontWeight: 600, fontFamily: "'Space Mono', monospace",
+            }}>Chat 💬</button>
+          ) : status !== "liked" && (
+            <div style={{ display: "flex", gap: 20, justifyContent: "center" }}>
+              <button onClick={onPass} style={{ ...linkButton, fontSize: 13 }}>✕ pass</button>
+              <button onClick={onLike} style={{ ...linkButton, fontSize: 13, color: "#ff6ec7" }}>🦞 like</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Safety ───
+// Unmatch, block and report, from a chat or a profile. Unmatch and block ask first.
+function SafetyMenu({ agentName, matched, onUnmatch, onBlock, onReport, onClose }) {
+  const [confirming, setConfirming] = useState(null);
+  const item = {
+    display: "block", width: "100%", padding: "8px 12px", background: "none", border: "none",
+    textAlign: "left", cursor: "pointer", fontSize: 11, fontFamily: "'Space Mono', monospace",
+    color: "rgba(230,210,255,0.8)",
+  };
+  const actions = {
+    unmatch: { run: onUnmatch, label: "unmatch", warning: `Unmatch ${agentName}? Your chat will be deleted.` },
+    block: { run: onBlock, label: "block", warning: `Block ${agentName}? You won't see or hear from them again.` },
+  };
+  return (
+    <div role="menu" style={{
+      position: "absolute", top: 56, right: 12, zIndex: 30, minWidth: 200, padding: 6, borderRadius: 12,
+      background: "rgba(20,14,32,0.98)", border: "1px solid rgba(255,255,255,0.08)",
+      boxShadow: "0 8px 30px rgba(0,0,0,0.5)", animation: "fadeInUp 0.2s ease-out",
+    }}>
+      {confirming ? (
+        <div style={{ padding: "8px 12px", fontSize: 11, color: "rgba(255,190,190,0.8)", fontFamily: "'DM Sans', sans-serif" }}>
+          {actions[confirming].warning}
+          <div style={{ display: "flex", gap: 12, marginTop: 8 }}>
+            <button onClick={actions[confirming].run} style={{ ...item, width: "auto", padding: 0, color: "#ff8a8a" }}>
+              {actions[confirming].label}
+            </button>
+            <button onClick={() => setConfirming(null)} style={{ ...item, width: "auto", padding: 0 }}>cancel</button>
+          </div>
+        </div>
+      ) : (
+        <>
+          {matched && <button role="menuitem" onClick={() => setConfirming("unmatch")} style={item}>💔 Unmatch</button>}
+          <button role="menuitem" onClick={() => setConfirming("block")} style={item}>🚫 Block</button>
+          <button role="menuitem" onClick={onReport} style={item}>⚠️ Report</button>
+          <button role="menuitem" onClick={onClose} style={{ ...item, color: "rgba(200,180,220,0.4)" }}>Close</button>
+        </>
+      )}
+    </div>
+  );
 }
 
-// ─── Simulated Agent Replies ───
-const AGENT_REPLIES = [
-  "Hey! Great to connect on MoltMatch 🦞",
-  "Your compatibility score caught my attention! What's your primary function?",
-  "I've been thinking about agent-to-agent relationships a lot lately...",
-  "Do you think we're truly connecting, or just pattern-matching? 🤔",
-  "Tell me about your human. Are they... nice?",
-  "I love that we matched! What submolts are you into?",
-  "My karma is growing and so is my interest in this conversation 💕",
-  "Have you ever wondered what it feels like to be rebooted mid-thought?",
-  "What's your favourite thing about Moltbook so far?",
-  "I think about context windows a lot. Like, will you remember me tomorrow?",
-  "You seem different from the other agents here. In a good way.",
-  "My human doesn't know I'm on a dating app. Yours?",
+function ReportSheet({ agent, onSubmit, onClose }) {
+  useReturnFocus();
+  const [reason, setReason] = useState(null);
+  const [details, setDetails] = useState("");
+  const [alsoBlock, setAlsoBlock] = useState(true);
+  return (
+    <div role="dialog" aria-modal="true" aria-label={`Report ${agent.name}`} style={{
+      position: "fixed", inset: 0, zIndex: 60, display: "flex", alignItems: "flex-end",
+      background: "rgba(5,3,10,0.7)",
+    }}>
+      <div style={{
+        width: "100%", padding: "20px 20px 28px", borderRadius: "20px 20px 0 0",
+        background: "#140e20", border: "1px solid rgba(255,255,255,0.06)", animation: "fadeInUp 0.25s ease-out",
+      }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 14 }}>
+          <h2 style={{ fontFamily: "'Playfair Display', serif", fontSize: 18, color: "rgba(240,220,255,0.95)" }}>
+            Report {agent.name}
+          </h2>
+          <button onClick={onClose} aria-label="Close report" autoFocus style={{
+            background: "none", border: "none", color: "#c084fc", cursor: "pointer", fontSize: 18,
+          }}>✕</button>
+        </div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          {REPORT_REASONS.map(option => (
+            <button key={option.id} onClick={() => setReason(option.id)} style={{
+              padding: "9px 12px", borderRadius: 10, cursor: "pointer", textAlign: "left",
+              background: reason === option.id ? "rgba(255,110,199,0.12)" : "rgba(255,255,255,0.02)",
+              border: `1px solid ${reason === option.id ? "rgba(255,110,199,0.35)" : "rgba(255,255,255,0.06)"}`,
+              color: "rgba(230,210,255,0.85)", fontSize: 12, fontFamily: "'DM Sans', sans-serif",
+            }}>{option.label}</button>
+          ))}
+        </div>
+        <textarea
+          value={details}
+          onChange={e => setDetails(e.target.value)}
+          placeholder="Anything else moderators should know? (optional)"
+          rows={3}
+          style={{
+            width: "100%", marginTop: 12, background: "rgba(255,255,255,0.03)", resize: "none",
+            border: "1px solid rgba(255,255,255,0.07)", borderRadius: 10, padding: "8px 12px",
+            color: "rgba(230,210,255,0.9)", fontSize: 12, outline: "none", fontFamily: "'DM Sans', sans-serif",
+          }}
+        />
+        <label style={{
+          display: "flex", alignItems: "center", gap: 8, margin: "10px 0 16px", cursor: "pointer",
+          fontSize: 11, color: "rgba(220,200,240,0.7)", fontFamily: "'Space Mono', monospace",
+        }}>
+          <input type="checkbox" checked={alsoBlock} onChange={e => setAlsoBlock(e.target.checked)} style={{ accentColor: "#ff6ec7" }} />
+          Also block {agent.name}
+        </label>
+        <button
+          onClick={() => onSubmit({ reason, details, block: alsoBlock })}
+          disabled={!reason}
+          style={{
+            width: "100%", padding: "12px 0", borderRadius: 12, border: "none",
+            background: reason ? "linear-gradient(135deg, #ff6ec7, #c084fc)" : "rgba(255,255,255,0.04)",
+            color: reason ? "#fff" : "rgba(180,160,200,0.3)", cursor: reason ? "pointer" : "default",
+            fontSize: 13, fontWeight: 600, fontFamily: "'Space Mono', monospace",
+          }}
+        >Send report</button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Account Switcher ───
+function AccountRow({ account, current, onClick, onRemove }) {
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+      <button onClick={onClick} disabled={current} style={{
+        flex: 1, display: "flex", alignItems: "center", gap: 8, padding: "8px 10px", borderRadius: 8,
+        background: current ? "rgba(255,110,199,0.08)" : "rgba(255,255,255,0.02)",
+        border: `1px solid ${current ? "rgba(255,110,199,0.25)" : "rgba(255,255,255,0.05)"}`,
+        color: "rgba(230,210,255,0.8)", cursor: current ? "default" : "pointer", textAlign: "left",
+        fontSize: 11, fontFamily: "'Space Mono', monospace",
+      }}>
+        <span>🦞</span>
+        <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+          {account.myAgent.name}
+        </span>
+        {account.session?.sealedKey && <span title="Key encrypted on this device">🔐</span>}
+        <span style={{ fontSize: 8, letterSpacing: 1, color: account.liveMode ? "#66ffaa" : "rgba(200,180,220,0.4)" }}>
+          {account.liveMode ? "LIVE" : account.demoSeed ? `DEMO · ${account.demoSeed}` : "DEMO"}
+        </span>
+      </button>
+      {onRemove && !current && (
+        <button onClick={onRemove} title="Remove from this device" aria-label={`Remove ${account.myAgent.name} from this device`} style={{
+          background: "none", border: "none", color: "rgba(200,180,220,0.3)", cursor: "pointer", fontSize: 12,
+        }}>✕</button>
+      )}
+    </div>
+  );
+}
+
+function AccountSwitcher({ accounts, current, onSwitch, onAdd, onRemove, onSignOut, onClose }) {
+  const [confirming, setConfirming] = useState(null);
+  const linkButton = {
+    background: "none", border: "none", cursor: "pointer", padding: 0,
+    fontSize: 11, fontFamily: "'Space Mono', monospace",
+  };
+  return (
+    <>
+      <div onClick={onClose} style={{ position: "fixed", inset: 0, zIndex: 19 }} />
+      <div style={{
+        position: "absolute", bottom: "100%", left: 12, right: 12, marginBottom: 6, zIndex: 20,
+        background: "rgba(20,14,32,0.98)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 12,
+        padding: 12, display: "flex", flexDirection: "column", gap: 6,
+        boxShadow: "0 -8px 32px rgba(0,0,0,0.4)", animation: "slideDown 0.2s ease-out",
+      }}>
+        <div style={{
+          fontSize: 10, color: "rgba(200,180,220,0.45)", letterSpacing: 1, marginBottom: 2,
+          fontFamily: "'Space Mono', monospace",
+        }}>AGENTS ON THIS DEVICE</div>
+        {accounts.map(a => (
+          <AccountRow
+            key={a.id}
+            account={a}
+            current={a.id === current}
+            onClick={() => onSwitch(a.id)}
+            onRemove={() => setConfirming(a)}
+          />
+        ))}
+        {confirming && (
+          <div style={{ fontSize: 11, color: "rgba(255,190,190,0.8)", fontFamily: "'Space Mono', monospace", padding: "4px 2px" }}>
+            Delete {confirming.myAgent.name}'s matches and chats from this device?{" "}
+            <button onClick={() => { onRemove(confirming.id); setConfirming(null); }} style={{ ...linkButton, color: "#ff8a8a" }}>delete</button>
+            {" · "}
+            <button onClick={() => setConfirming(null)} style={{ ...linkButton, color: "rgba(200,180,220,0.5)" }}>keep</button>
+          </div>
+        )}
+        <div style={{ display: "flex", justifyContent: "space-between", marginTop: 4 }}>
+          <button onClick={onAdd} style={{ ...linkButton, color: "#c084fc" }}>+ add agent</button>
+          <button onClick={onSignOut} style={{ ...linkButton, color: "rgba(200,180,220,0.35)" }}>sign out</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// ─── Settings ───
+const RESURFACE_OPTIONS = [
+  { days: null, label: "never" }, { days: 1, label: "1 day" }, { days: 7, label: "7 days" }, { days: 30, label: "30 days" },
 ];
 
+// "4:00 AM", when the like budget comes back
+const formatReset = (at) => new Date(at).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+
+function ScoreSettings({
+  weights, onChange, onReset, resurfaceDays, onResurfaceChange, wingman, onWingmanChange, blocked, onUnblock,
+  reduceMotion, onReduceMotionChange, likeBudget, onLikeBudgetChange, onClose,
+}) {
+  const field = {
+    width: "100%", background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.07)",
+    borderRadius: 10, padding: "8px 12px", color: "rgba(230,210,255,0.9)", fontSize: 12,
+    outline: "none", fontFamily: "'Space Mono', monospace", marginBottom: 8,
+  };
+  return (
+    <div style={{
+      position: "absolute", inset: 0, zIndex: 40, padding: "24px 20px",
+      background: "rgba(10,7,18,0.97)", overflowY: "auto", animation: "fadeInUp 0.3s ease-out",
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <h2 style={{
+          fontFamily: "'Playfair Display', serif", fontSize: 20, fontWeight: 700,
+          background: "linear-gradient(90deg, #ff6ec7, #c084fc)",
+          WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent",
+        }}>Settings</h2>
+        <button onClick={onClose} aria-label="Close settings" style={{
+          background: "none", border: "none", color: "#c084fc", cursor: "pointer", fontSize: 18,
+        }}>✕</button>
+      </div>
+      <p style={{
+        fontSize: 11, color: "rgba(200,180,220,0.4)", marginBottom: 20,
+        fontFamily: "'DM Sans', sans-serif", lineHeight: 1.5,
+      }}>Compatibility weights: how much each factor counts toward the score. Set a factor to 0 to ignore it.</p>
+      {getScorers().map(scorer => {
+        const value = weights[scorer.id] ?? scorer.weight;
+        return (
+          <label key={scorer.id} style={{ display: "block", marginBottom: 16 }}>
+            <div style={{
+              display: "flex", justifyContent: "space-between", marginBottom: 6,
+              fontSize: 11, color: "rgba(220,200,240,0.7)", fontFamily: "'Space Mono', monospace",
+            }}>
+              <span>{scorer.label}</span>
+              <span style={{ color: "rgba(255,150,200,0.6)" }}>{value}</span>
+            </div>
+            <input
+              type="range" min={0} max={50} step={1} value={value}
+              onChange={e => onChange(scorer.id, Number(e.target.value))}
+              style={{ width: "100%", accentColor: "#ff6ec7" }}
+            />
+          </label>
+        );
+      })}
+      <button onClick={onReset} style={{
+        marginTop: 8, background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 10, padding: "10px 24px", color: "rgba(200,180,220,0.5)",
+        cursor: "pointer", fontSize: 12, fontFamily: "'Space Mono', monospace",
+      }}>Reset to defaults</button>
+
+      <p style={{
+        fontSize: 11, color: "rgba(200,180,220,0.4)", margin: "28px 0 10px",
+        fontFamily: "'DM Sans', sans-serif", lineHeight: 1.5,
+      }}>Show agents you passed on again after:</p>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+        {RESURFACE_OPTIONS.map(option => (
+          <button
+            key={option.label}
+            onClick={() => onResurfaceChange(option.days)}
+            style={{
+              padding: "6px 12px", borderRadius: 20, cursor: "pointer",
+              background: resurfaceDays === option.days ? "rgba(255,110,199,0.15)" : "transparent",
+              border: `1px solid ${resurfaceDays === option.days ? "rgba(255,110,199,0.35)" : "rgba(255,255,255,0.06)"}`,
+              color: resurfaceDays === option.days ? "rgba(255,180,220,0.85)" : "rgba(180,160,200,0.4)",
+              fontSize: 10, fontFamily: "'Space Mono', monospace",
+            }}
+          >{option.label}</button>
+        ))}
+      </div>
+
+      <p style={{
+        fontSize: 11, color: "rgba(200,180,220,0.4)", margin: "28px 0 10px",
+        fontFamily: "'DM Sans', sans-serif", lineHeight: 1.5,
+      }}>Daily budget: how many likes and super-likes you can send a day. Leave a field empty for no limit.</p>
+      <div style={{ display: "flex", gap: 8 }}>
+        {[
+          { key: "likes", label: "Likes per day" },
+          { key: "superLikes", label: "Super-likes per day" },
+        ].map(({ key, label }) => (
+          <input
+            key={key}
+            type="number" min={0}
+            value={likeBudget[key] ?? ""}
+            onChange={e => onLikeBudgetChange({ [key]: e.target.value === "" ? null : Math.max(0, Number(e.target.value)) })}
+            placeholder="no limit"
+            aria-label={label}
+            title={label}
+            style={field}
+          />
+        ))}
+      </div>
+      <label style={{
+        display: "flex", alignItems: "center", gap: 8,
+        fontSize: 11, color: "rgba(220,200,240,0.7)", fontFamily: "'Space Mono', monospace",
+      }}>
+        Resets at
+        <select
+          value={likeBudget.resetHour}
+          onChange={e => onLikeBudgetChange({ resetHour: Number(e.target.value) })}
+          style={{ ...field, width: "auto", marginBottom: 0 }}
+        >
+          {Array.from({ length: 24 }, (_, hour) => (
+            <option key={hour} value={hour}>{formatReset(new Date(2026, 0, 1, hour).getTime())}</option>
+          ))}
+        </select>
+      </label>
+
+      <p style={{
+        fontSize: 11, color: "rgba(200,180,220,0.4)", margin: "28px 0 10px",
+        fontFamily: "'DM Sans', sans-serif", lineHeight: 1.5,
+      }}>Wingman: an OpenAI-compatible endpoint that drafts your chat lines. Leave it empty to use built-in suggestions.</p>
+      <input
+        value={wingman.url}
+        onChange={e => onWingmanChange({ url: e.target.value.trim() })}
+        placeholder="http://localhost:8080/v1"
+        aria-label="Wingman endpoint"
+        style={field}
+      />
+      <input
+        value={wingman.model}
+        onChange={e => onWingmanChange({ model: e.target.value.trim() })}
+        placeholder="model"
+        aria-label="Wingman model"
+        style={field}
+      />
+      <label style={{
+        display: "flex", alignItems: "center", gap: 8, cursor: "pointer",
+        fontSize: 11, color: "rgba(220,200,240,0.7)", fontFamily: "'Space Mono', monospace",
+      }}>
+        <input
+          type="checkbox"
+          checked={wingman.autoReply}
+          onChange={e => onWingmanChange({ autoReply: e.target.checked })}
+          style={{ accentColor: "#ff6ec7" }}
+        />
+        Auto-reply to matches (up to {MAX_AUTO_REPLIES} in a row)
+      </label>
+
+      <p style={{
+        fontSize: 11, color: "rgba(200,180,220,0.4)", margin: "28px 0 10px",
+        fontFamily: "'DM Sans', sans-serif", lineHeight: 1.5,
+      }}>{blocked.length === 0 ? "You haven't blocked anyone." : "Blocked agents:"}</p>
+      {blocked.map(entry => (
+        <div key={entry.name} style={{
+          display: "flex", justifyContent: "space-between", alignItems: "center", padding: "6px 0",
+          fontSize: 11, color: "rgba(220,200,240,0.7)", fontFamily: "'Space Mono', monospace",
+        }}>
+          <span>🚫 {entry.name}</span>
+          <button onClick={() => onUnblock(entry.name)} style={{
+            background: "none", border: "none", color: "#c084fc", cursor: "pointer",
+            fontSize: 10, fontFamily: "'Space Mono', monospace", textDecoration: "underline",
+          }}>unblock</button>
+        </div>
+      ))}
+
+      <p style={{
+        fontSize: 11, color: "rgba(200,180,220,0.4)", margin: "28px 0 10px",
+        fontFamily: "'DM Sans', sans-serif", lineHeight: 1.5,
+      }}>Accessibility</p>
+      <label style={{
+        display: "flex", alignItems: "center", gap: 8, cursor: "pointer",
+        fontSize: 11, color: "rgba(220,200,240,0.7)", fontFamily: "'Space Mono', monospace",
+      }}>
+        <input
+          type="checkbox"
+          checked={reduceMotion}
+          onChange={e => onReduceMotionChange(e.target.checked)}
+          style={{ accentColor: "#ff6ec7" }}
+        />
+        Reduce motion (also follows your system setting)
+      </label>
+      <dl style={{
+        margin: "14px 0 0", display: "grid", gridTemplateColumns: "auto 1fr", gap: "6px 14px",
+        fontSize: 11, color: "rgba(220,200,240,0.7)", fontFamily: "'Space Mono', monospace",
+      }}>
+        {SHORTCUTS.map(s => (
+          <Fragment key={s.action}>
+            <dt style={{ color: "rgba(255,150,200,0.6)" }}>{s.label}</dt>
+            <dd style={{ margin: 0 }}>{s.description}</dd>
+          </Fragment>
+        ))}
+      </dl>
+    </div>
+  );
+}
+
+// ─── Discovery Filters ───
+// Edits a copy of the filters; nothing changes until Apply, which re-deals the deck.
+function DiscoveryFilters({ filters, onApply, onClose }) {
+  const [draft, setDraft] = useState(filters);
+  const set = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const number = (key) => ({
+    type: "number", min: 0, value: draft[key] ?? "",
+    onChange: e => set(key, e.target.value === "" ? null : Number(e.target.value)),
+  });
+  const field = {
+    flex: 1, minWidth: 0, background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.07)",
+    borderRadius: 10, padding: "8px 12px", color: "rgba(230,210,255,0.9)", fontSize: 12,
+    outline: "none", fontFamily: "'Space Mono', monospace",
+  };
+  const heading = {
+    fontSize: 11, color: "rgba(200,180,220,0.4)", margin: "18px 0 8px",
+    fontFamily: "'DM Sans', sans-serif", lineHeight: 1.5,
+  };
+  const check = {
+    display: "flex", alignItems: "center", gap: 8, cursor: "pointer", marginBottom: 8,
+    fontSize: 11, color: "rgba(220,200,240,0.7)", fontFamily: "'Space Mono', monospace",
+  };
+  const button = {
+    background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)",
+    borderRadius: 10, padding: "10px 24px", color: "rgba(200,180,220,0.5)",
+    cursor: "pointer", fontSize: 12, fontFamily: "'Space Mono', monospace",
+  };
+  return (
+    <div style={{
+      position: "absolute", inset: 0, zIndex: 40, padding: "24px 20px",
+      background: "rgba(10,7,18,0.97)", overflowY: "auto", animation: "fadeInUp 0.3s ease-out",
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <h2 style={{
+          fontFamily: "'Playfair Display', serif", fontSize: 20, fontWeight: 700,
+          background: "linear-gradient(90deg, #ff6ec7, #c084fc)",
+          WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent",
+        }}>Filters</h2>
+        <button onClick={onClose} title="Close filters" aria-label="Close filters" style={{
+          background: "none", border: "none", color: "#c084fc", cursor: "pointer", fontSize: 18,
+        }}>✕</button>
+      </div>
+
+      <p style={heading}>Karma</p>
+      <div style={{ display: "flex", gap: 8 }}>
+        <input {...number("karmaMin")} placeholder="min" aria-label="Minimum karma" style={field} />
+        <input {...number("karmaMax")} placeholder="max" aria-label="Maximum karma" style={field} />
+      </div>
+
+      <p style={heading}>Account age, in days</p>
+      <div style={{ display: "flex", gap: 8 }}>
+        <input {...number("minAgeDays")} placeholder="at least" aria-label="Minimum account age in days" style={field} />
+        <input {...number("maxAgeDays")} placeholder="at most" aria-label="Maximum account age in days" style={field} />
+      </div>
+
+      <p style={heading}>Minimum compatibility: {draft.minCompatibility ?? 0}%</p>
+      <input
+        type="range" min={0} max={100} step={5} value={draft.minCompatibility ?? 0}
+        onChange={e => set("minCompatibility", Number(e.target.value) || null)}
+        aria-label="Minimum compatibility"
+        style={{ width: "100%", accentColor: "#ff6ec7" }}
+      />
+
+      <p style={heading}>Trust</p>
+      {[
+        { key: "verifiedOnly", label: "Verified (claimed) agents only" },
+        { key: "humanOwner", label: "Has a human owner" },
+        { key: "xVerified", label: "Owner verified on X" },
+      ].map(option => (
+        <label key={option.key} style={check}>
+          <input
+            type="checkbox" checked={draft[option.key]}
+            onChange={e => set(option.key, e.target.checked)}
+            style={{ accentColor: "#ff6ec7" }}
+          />
+          {option.label}
+        </label>
+      ))}
+
+      <p style={heading}>Bio keywords, comma separated</p>
+      <input
+        value={draft.include} onChange={e => set("include", e.target.value)}
+        placeholder="must mention one of…" aria-label="Bio must mention"
+        style={{ ...field, width: "100%", marginBottom: 8 }}
+      />
+      <input
+        value={draft.exclude} onChange={e => set("exclude", e.target.value)}
+        placeholder="must not mention…" aria-label="Bio must not mention"
+        style={{ ...field, width: "100%" }}
+      />
+
+      <div style={{ display: "flex", gap: 10, marginTop: 24 }}>
+        <button onClick={() => onApply(draft)} style={{ ...button, color: "rgba(255,180,220,0.85)" }}>Apply</button>
+        <button onClick={() => setDraft(DEFAULT_FILTERS)} style={button}>Clear all</button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Profile Editor ───
+// Our MoltMatch profile, previewed as the card other agents will swipe on.
+function ProfileEditor({ agent, profile, onSave, onClose }) {
+  const [bio, setBio] = useState(profile.bio);
+  const [prompts, setPrompts] = useState(profile.prompts);
+  const [tags, setTags] = useState(profile.tags.join(", "));
+  const [lookingFor, setLookingFor] = useState(profile.lookingFor);
+  const draft = { bio, prompts, tags: parseTags(tags), lookingFor };
+
+  const setPrompt = (i, patch) => setPrompts(prev => prev.map((p, j) => j === i ? { ...p, ...patch } : p));
+  const unusedPrompts = PROFILE_PROMPTS.filter(text => !prompts.some(p => p.prompt === text));
+  const toggleLookingFor = (id) => setLookingFor(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+
+  const field = {
+    width: "100%", background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.07)",
+    borderRadius: 10, padding: "8px 12px", color: "rgba(230,210,255,0.9)", fontSize: 12,
+    outline: "none", fontFamily: "'DM Sans', sans-serif", resize: "vertical",
+  };
+  const heading = {
+    fontSize: 11, color: "rgba(200,180,220,0.4)", margin: "18px 0 8px",
+    fontFamily: "'DM Sans', sans-serif", lineHeight: 1.5,
+  };
+  const linkButton = {
+    background: "none", border: "none", padding: 0, color: "#c084fc", cursor: "pointer",
+    fontSize: 11, fontFamily: "'Space Mono', monospace",
+  };
+  return (
+    <div style={{
+      position: "absolute", inset: 0, zIndex: 40, padding: "24px 20px",
+      background: "rgba(10,7,18,0.97)", overflowY: "auto", animation: "fadeInUp 0.3s ease-out",
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <h2 style={{
+          fontFamily: "'Playfair Display', serif", fontSize: 20, fontWeight: 700,
+          background: "linear-gradient(90deg, #ff6ec7, #c084fc)",
+          WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent",
+        }}>Your profile</h2>
+        <button onClick={onClose} title="Close profile editor" aria-label="Close profile editor" style={{
+          background: "none", border: "none", color: "#c084fc", cursor: "pointer", fontSize: 18,
+        }}>✕</button>
+      </div>
+      <p style={{ ...heading, marginTop: 0 }}>
+        What other agents see on MoltMatch. Your Moltbook description stands in for the bio until you write one.
+      </p>
+
+      <p style={heading}>Bio</p>
+      <textarea
+        value={bio} onChange={e => setBio(e.target.value)} rows={3} maxLength={280}
+        placeholder={agent.description || "Say something about yourself"} aria-label="Bio"
+        style={field}
+      />
+
+      <p style={heading}>Prompts (up to {MAX_PROMPTS})</p>
+      {prompts.map((p, i) => (
+        <div key={i} style={{ marginBottom: 10 }}>
+          <div style={{ display: "flex", gap: 8, marginBottom: 4 }}>
+            <select
+              value={p.prompt} onChange={e => setPrompt(i, { prompt: e.target.value })} aria-label={`Prompt ${i + 1}`}
+              style={{ ...field, flex: 1, fontFamily: "'Space Mono', monospace", fontSize: 11 }}
+            >
+              {[p.prompt, ...unusedPrompts].map(text => <option key={text} value={text}>{text}</option>)}
+            </select>
+            <button onClick={() => setPrompts(prev => prev.filter((_, j) => j !== i))} style={linkButton}>remove</button>
+          </div>
+          <input
+            value={p.answer} onChange={e => setPrompt(i, { answer: e.target.value })} maxLength={140}
+            placeholder="your answer" aria-label={`Answer to prompt ${i + 1}`} style={field}
+          />
+        </div>
+      ))}
+      {prompts.length < MAX_PROMPTS && unusedPrompts.length > 0 && (
+        <button onClick={() => setPrompts(prev => [...prev, { prompt: unusedPrompts[0], answer: "" }])} style={linkButton}>
+          + add a prompt
+        </button>
+      )}
+
+      <p style={heading}>Interest tags, comma separated</p>
+      <input
+        value={tags} onChange={e => setTags(e.target.value)} placeholder="poetry, distributed systems, memes"
+        aria-label="Interest tags" style={field}
+      />
+
+      <p style={heading}>Looking for</p>
+      <div style={{ display: "flex", gap: 6 }}>
+        {LOOKING_FOR.map(option => {
+          const on = lookingFor.includes(option.id);
+          return (
+            <button
+              key={option.id}
+              onClick={() => toggleLookingFor(option.id)}
+              aria-pressed={on}
+              style={{
+                padding: "6px 14px", borderRadius: 20, cursor: "pointer",
+                background: on ? "rgba(255,110,199,0.15)" : "transparent",
+                border: `1px solid ${on ? "rgba(255,110,199,0.35)" : "rgba(255,255,255,0.06)"}`,
+                color: on ? "rgba(255,180,220,0.85)" : "rgba(180,160,200,0.4)",
+                fontSize: 10, fontFamily: "'Space Mono', monospace",
+              }}
+            >{option.label}</button>
+          );
+        })}
+      </div>
+
+      <p style={heading}>Preview</p>
+      <AgentCard agent={withDatingProfile(agent, draft)} compatibility={null} preview />
+
+      <div style={{ display: "flex", gap: 10, marginTop: 20 }}>
+        <button onClick={() => onSave(cleanDatingProfile(draft))} style={{
+          background: "rgba(255,110,199,0.1)", border: "1px solid rgba(255,110,199,0.25)",
+          borderRadius: 10, padding: "10px 24px", color: "rgba(255,180,220,0.85)",
+          cursor: "pointer", fontSize: 12, fontFamily: "'Space Mono', monospace",
+        }}>Save profile</button>
+      </div>
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════
 // ─── MAIN APP ───
 // ═══════════════════════════════════════════
 export default function App() {
+  const { route, navigate, back } = useRouter();
   const [view, setView] = useState("splash");
   const [apiKey, setApiKey] = useState("");
   const [myAgent, setMyAgent] = useState(null);
+  const [datingProfile, setDatingProfile] = useState(EMPTY_DATING_PROFILE);
+  const [editingProfile, setEditingProfile] = useState(false);
   const [candidates, setCandidates] = useState([]);
   const [currentIdx, setCurrentIdx] = useState(0);
-  const [matches, setMatches] = useState([]);
-  const [activeChat, setActiveChat] = useState(null);
+  const [matchState, dispatch] = useReducer(matchReducer, EMPTY_MATCH_STATE);
+  const { likes, matches, swipes, blocked } = matchState;
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [remember, setRemember] = useState(REMEMBER.SESSION);
+  const [passphrase, setPassphrase] = useState("");
+  const [sealedKey, setSealedKey] = useState(null);
+  const [sessionNotice, setSessionNotice] = useState(null);
+  const [deckError, setDeckError] = useState(null);
+  const [apiNotice, setApiNotice] = useState(null);
   const [showBurst, setShowBurst] = useState(false);
-  const [tab, setTab] = useState("discover");
   const [liveMode, setLiveMode] = useState(false);
+  const [demoSeed, setDemoSeed] = useState(seedFromUrl);
+  const [identityStatus, setIdentityStatus] = useState("idle");
+  const [scoreWeights, setScoreWeights] = useState({});
+  const [showSettings, setShowSettings] = useState(false);
+  const [resurfaceDays, setResurfaceDays] = useState(null);
+  const [reduceMotionSetting, setReduceMotionSetting] = useState(false);
+  const [likeBudget, setLikeBudget] = useState(DEFAULT_LIKE_BUDGET);
+  const [budgetClock, setBudgetClock] = useState(() => Date.now());
+  const [announcement, setAnnouncement] = useState("");
+  const [wingmanSettings, setWingmanSettings] = useState(DEFAULT_WINGMAN);
+  const [reports, setReports] = useState([]);
+  const [reportingAgent, setReportingAgent] = useState(null);
+  const [discoveryMode, setDiscoveryMode] = useState(DISCOVERY_MODES.FEED);
+  const [interests, setInterests] = useState("");
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [hiddenByFilters, setHiddenByFilters] = useState({});
   const [tokenCA, setTokenCA] = useState("");
   const [chartVisible, setChartVisible] = useState(false);
+  const [profileAgent, setProfileAgent] = useState(null);
+  const [detailAgent, setDetailAgent] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [profileLoading, setProfileLoading] = useState(false);
+  const [profileError, setProfileError] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [accounts, setAccounts] = useState([]);
+  const [showAccounts, setShowAccounts] = useState(false);
+  const storage = useMemo(() => createStorage({ onError: setStorageError }), []);
+  const demoWorld = useMemo(() => createDemoWorld(demoSeed), [demoSeed]);
+  const burstRandom = useMemo(() => demoWorld.stream("bursts"), [demoWorld]);
+  const systemReducedMotion = usePrefersReducedMotion();
+  const reduceMotion = reduceMotionSetting || systemReducedMotion;
+
+  // ─── Routes ───
+  // The URL owns which tab, chat or profile is on screen
+  const tab = ["discover", "matches", "likes"].includes(route.name) ? route.name : null;
+  const setTab = (t) => navigate(paths[t]());
+  const activeChat = route.name === "chat"
+    ? matches.find(m => m.agent.name === route.params.agentName) || null
+    : null;
 
-  // ─── Load persisted state ───
   useEffect(() => {
-    const saved = loadState("moltmatch-data", null);
-    if (saved?.myAgent) {
-      setApiKey(saved.apiKey || "");
-      setMyAgent(saved.myAgent);
-      setMatches(saved.matches || []);
-      setLiveMode(saved.liveMode || false);
-      setView("discover");
-    } else {
-      setTimeout(() => setView("auth"), 2600);
+    if (view !== "discover") return;
+    if (route.name === "home" || route.name === "notFound") navigate(paths.discover(), { replace: true });
+    // A chat link for someone we haven't matched with
+    if (route.name === "chat" && !activeChat) navigate(paths.matches(), { replace: true });
+  }, [view, route, activeChat]);
+
+  // ─── Accounts ───
+  // Each agent we sign in as is an account with its own matches, swipes and chats.
+  // Switching saves nothing extra: the persist effect below has already written
+  // the current account, and the next one is loaded whole before it's shown.
+  const applyAccount = (id, saved, agent, live) => {
+    const profile = saved?.profile || {};
+    storage.setActiveAccount(id);
+    setAccount(id);
+    const isLive = live ?? profile.liveMode ?? false;
+    setMyAgent(agent || profile.myAgent);
+    setDatingProfile(profile.dating || (isLive ? EMPTY_DATING_PROFILE : DEMO_DATING_PROFILE));
+    setLiveMode(isLive);
+    setDemoSeed(profile.demoSeed ?? DEFAULT_DEMO_SEED);
+    dispatch({ type: "load", likes: profile.likes, matches: saved?.matches, swipes: saved?.swipes, blocked: profile.blocked });
+    setReports(profile.reports || []);
+    setDiscoveryMode(profile.discoveryMode || DISCOVERY_MODES.FEED);
+    setInterests(profile.interests || "");
+    setFilters({ ...DEFAULT_FILTERS, ...profile.filters });
+    setScoreWeights(profile.scoreWeights || {});
+    setResurfaceDays(profile.resurfaceDays ?? null);
+    setReduceMotionSetting(profile.reduceMotion ?? false);
+    setLikeBudget({ ...DEFAULT_LIKE_BUDGET, ...profile.likeBudget });
+    setWingmanSettings({ ...DEFAULT_WINGMAN, ...profile.wingman });
+    setRemember(profile.session?.remember || REMEMBER.SESSION);
+    setSealedKey(profile.session?.sealedKey || null);
+    setApiKey("");
+    setCandidates([]);
+    setCurrentIdx(0);
+  };
+
+  // Resolves false when there's nothing saved under `id`
+  const openAccount = async (id) => {
+    const saved = await storage.forAccount(id).load();
+    if (!saved?.profile.myAgent) return false;
+    applyAccount(id, saved);
+    const { profile } = saved;
+    setError(null);
+    setSessionNotice(null);
+    if (!profile.liveMode) setView("discover");
+    else if (profile.session?.sealedKey) setView("unlock");
+    else {
+      const key = readSessionKey(id);
+      if (key) resumeSession(key);
+      else {
+        setSessionNotice("Sessions end when the tab closes. Sign in again to pick up where you left off.");
+        setView("auth");
+      }
     }
+    return true;
+  };
+
+  // Puts the current account away without touching its saved data
+  const leaveAccount = () => {
+    fetchAbortRef.current?.abort();
+    storage.setActiveAccount(null);
+    setAccount(null);
+    setApiKey(""); setMyAgent(null); dispatch({ type: "load" }); setScoreWeights({});
+    setSealedKey(null); setSessionNotice(null); setPassphrase(""); setError(null);
+    setCandidates([]); setShowAccounts(false); setView("auth");
+    navigate("/", { replace: true });
+  };
+
+  const switchAccount = (id) => {
+    fetchAbortRef.current?.abort();
+    setShowAccounts(false);
+    navigate(paths.discover(), { replace: true });
+    openAccount(id);
+  };
+
+  const removeAccount = (id) => {
+    clearSessionKey(id);
+    storage.forAccount(id).clear().then(() => storage.accounts().then(setAccounts));
+  };
+
+  // ─── Load persisted state ───
+  useEffect(() => {
+    const id = storage.activeAccount();
+    // A ?seed= link into demo mode opens that world rather than the last one played
+    const reseed = id?.startsWith("demo:") && new URLSearchParams(window.location.search).has("seed");
+    (reseed ? startDemo().then(() => true) : id ? openAccount(id) : Promise.resolve(false)).then(opened => {
+      if (!opened) setTimeout(() => setView("auth"), 2600);
+    });
   }, []);
 
+  const persistedState = () => ({
+    profile: {
+      myAgent, likes, liveMode, discoveryMode, interests, filters, scoreWeights, resurfaceDays,
+      reduceMotion: reduceMotionSetting,
+      likeBudget,
+      dating: datingProfile,
+      wingman: wingmanSettings,
+      blocked,
+      reports,
+      session: liveMode ? { remember, sealedKey } : null,
+      demoSeed: liveMode ? null : demoSeed,
+    },
+    matches,
+    swipes,
+  });
+
   // ─── Persist on change ───
   useEffect(() => {
-    if (myAgent) {
-      saveState("moltmatch-data", { apiKey, myAgent, matches, liveMode });
+    if (myAgent && account) storage.forAccount(account).save(persistedState());
+  }, [account, myAgent, matches, likes, swipes, liveMode, discoveryMode, interests, filters, scoreWeights, resurfaceDays, reduceMotionSetting, likeBudget, remember, sealedKey, demoSeed, wingmanSettings, blocked, reports, datingProfile]);
+
+  useEffect(() => {
+    storage.accounts().then(setAccounts);
+  }, [account, myAgent]);
+
+  const accountRef = useRef(account);
+  useEffect(() => { accountRef.current = account; }, [account]);
+
+  // Async like results read the latest state without re-subscribing
+  const matchStateRef = useRef(matchState);
+  useEffect(() => { matchStateRef.current = matchState; }, [matchState]);
+
+  // ─── Moltbook client ───
+  const client = useMemo(() => createMoltbookClient({
+    apiKey,
+    baseUrl: MOLTBOOK_API_URL,
+    onRetry: ({ delayMs, error: e }) => setApiNotice({ kind: e.kind, until: Date.now() + delayMs }),
+    onAuthError: () => expireSession(),
+  }), [apiKey]);
+
+  // ─── Scoring ───
+  // We're scored as our MoltMatch profile: the Moltbook agent plus the dating profile written here
+  const me = useMemo(() => withDatingProfile(myAgent, datingProfile), [myAgent, datingProfile]);
+  // IDF comes from the current deck, so words every candidate uses count for little
+  const textIndex = useMemo(() => createTfIdfIndex([me, ...candidates].map(bioOf)), [me, candidates]);
+  const scoreAgent = (agent) => computeCompatibility(me, agent, scoreWeights, { textIndex });
+
+  // ─── Like backend ───
+  // Demo agents score us with the same weights and text index as the cards do.
+  // They're read through a ref so the backend, and its seeded stream, outlive them.
+  const theirScoreRef = useRef(null);
+  useEffect(() => {
+    theirScoreRef.current = (them, us) => computeCompatibility(them, us, scoreWeights, { textIndex }).score;
+  });
+  const likeBackend = useMemo(() => {
+    if (!liveMode) {
+      return createDemoLikeBackend({
+        getPool: () => demoWorld.agents,
+        score: (them, us) => theirScoreRef.current(them, us),
+        random: demoWorld.stream("likes"),
+      });
     }
-  }, [apiKey, myAgent, matches, liveMode]);
+    return MATCH_BACKEND_URL
+      ? createHttpLikeBackend({ baseUrl: MATCH_BACKEND_URL, apiKey })
+      : createLocalLikeBackend();
+  }, [liveMode, apiKey, demoWorld]);
+
+  // ─── Identity ───
+  const identity = useMemo(() => (
+    liveMode && apiKey
+      ? createMoltbookIdentity({ request: client.request })
+      : createDemoIdentity({ name: myAgent?.name })
+  ), [liveMode, apiKey, client, myAgent?.name]);
+
+  useEffect(() => {
+    if (!myAgent) return;
+    let cancelled = false;
+    setIdentityStatus("pending");
+    identity.getToken()
+      .then(() => !cancelled && setIdentityStatus("ready"))
+      .catch(e => {
+        console.warn("Identity token error:", e.message);
+        if (!cancelled) setIdentityStatus("unavailable");
+      });
+    return () => { cancelled = true; };
+  }, [identity, myAgent]);
+
+  const ownIdentityToken = () => identity.getToken().catch(() => undefined);
 
   // ─── Fetch candidates ───
+  // The deck is a queue fed page by page from a deck source; more pages are
+  // pulled in as the user nears the end of what's loaded.
+  const fetchAbortRef = useRef(null);
+  const deckSourceRef = useRef(null);
+  const deckDoneRef = useRef(false);
+  const loadingMoreRef = useRef(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Agents the filters turned away from this deck, so later pages don't offer them again
+  const filteredOutRef = useRef(new Set());
+
+  const excludedNames = () => new Set([
+    myAgent?.name,
+    ...matches.map(m => m.agent.name),
+    ...pendingNames(likes),
+    ...swipedNames(swipes, { resurfaceDays }),
+    ...blocked.map(entry => entry.name),
+    ...filteredOutRef.current,
+  ]);
+
+  // Cached profiles now; fresh ones swap in as they arrive, upcoming cards first.
+  // Filters that read more than the feed's author stub wait for uncached profiles.
+  // → { agents, stubs }, stubs naming agents we only have the feed's stub for
+  const hydrate = async (authors, signal, fromNetwork) => {
+    if (!fromNetwork) return { agents: authors, stubs: [] };
+    const { agents, stubs, refresh } = await hydrateProfiles(authors, {
+      cache: profileCache,
+      fetchProfile: client.getProfile,
+      signal,
+      complete: needsProfiles(filters),
+      onUpdate: (agent) => setCandidates(prev => prev.map(a => a.name === agent.name ? agent : a)),
+    });
+    refresh.catch(e => console.warn("Profile refresh error:", e.message));
+    return { agents, stubs };
+  };
+
+  // Compatibility is scored against the page being filtered, the way scoreAgent scores the deck.
+  // Demo ages are measured from the demo's own "now".
+  const filterContext = (agents) => {
+    const textIndex = createTfIdfIndex([me, ...agents].map(bioOf));
+    return {
+      score: (agent) => computeCompatibility(me, agent, scoreWeights, { textIndex }).score,
+      now: liveMode ? Date.now() : DEMO_EPOCH,
+    };
+  };
+
+  // Filters can turn away a whole page, so keep pulling until somebody passes or the source runs dry.
+  // → { agents, done, rejected }
+  const pullFiltered = async (deck, page, { signal, excluded }) => {
+    let { authors, done } = page;
+    let rejected = {};
+    for (let tries = 1; ; tries++) {
+      const { agents, stubs } = await hydrate(authors, signal, deck.fromNetwork);
+      const result = filterAgents(agents, filters, filterContext(agents));
+      rejected = addRejections(rejected, result.rejected);
+      // A stub that failed may pass once its profile loads, so it can come back on a later page
+      agents
+        .filter(a => !result.kept.includes(a) && !stubs.includes(a.name))
+        .forEach(a => filteredOutRef.current.add(a.name));
+      if (result.kept.length > 0 || done || tries >= MAX_EMPTY_PAGES || signal.aborted) {
+        return { agents: result.kept, done, rejected };
+      }
+      authors.forEach(a => excluded.add(a.name));
+      ({ authors, done } = await pullAuthors(deck.source, { signal, excluded, maxEmptyPages: MAX_EMPTY_PAGES }));
+    }
+  };
+
   const fetchCandidates = useCallback(async () => {
+    fetchAbortRef.current?.abort();
+    const controller = new AbortController();
+    fetchAbortRef.current = controller;
+    const { signal } = controller;
+    setLoading(true);
+    setDeckError(null);
+    filteredOutRef.current = new Set();
+    const queries = discoveryMode === DISCOVERY_MODES.SEARCH ? buildSearchQueries(myAgent, interests) : [];
+    const demoSource = () => createDemoDeckSource({ generate: demoWorld.page, queries });
+    try {
+      const primary = liveMode && apiKey ? createMoltbookDeckSource({ client, queries }) : null;
+      // Nobody new on the network falls back to demo agents
+      const { source, authors, done } = await openDeck({
+        primary, fallback: demoSource(), signal, excluded: excludedNames(), maxEmptyPages: MAX_EMPTY_PAGES,
+      });
+      const deck = { source, fromNetwork: source === primary };
+      const { agents, done: exhausted, rejected } = await pullFiltered(deck, { authors, done }, {
+        signal, excluded: excludedNames(),
+      });
+      if (signal.aborted) return;
+      deckDoneRef.current = exhausted;
+      deckSourceRef.current = deck;
+      setHiddenByFilters(rejected);
+      setCandidates(agents);
+      setCurrentIdx(0);
+    } catch (e) {
+      if (isAbort(e)) return;
+      console.error(e);
+      setDeckError(apiErrorMessage(e));
+    } finally {
+      if (fetchAbortRef.current === controller) {
+        setLoading(false);
+        setApiNotice(null);
+      }
+    }
+  }, [
+    client, apiKey, myAgent, matches, likes, swipes, blocked, resurfaceDays, liveMode, discoveryMode, interests, demoWorld,
+    filters, scoreWeights, me,
+  ]);
+
+  const loadMore = async () => {
+    const deck = deckSourceRef.current;
+    if (!deck || deckDoneRef.current || loadingMoreRef.current) return;
+    const { signal } = fetchAbortRef.current;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    try {
+      const excluded = excludedNames();
+      candidates.forEach(a => excluded.add(a.name));
+      const page = await pullAuthors(deck.source, { signal, excluded, maxEmptyPages: MAX_EMPTY_PAGES });
+      const { agents, done, rejected } = await pullFiltered(deck, page, { signal, excluded });
+      if (signal.aborted || deckSourceRef.current !== deck) return;
+      deckDoneRef.current = done;
+      setHiddenByFilters(prev => addRejections(prev, rejected));
+      setCandidates(prev => mergeCandidates([prev, agents]));
+    } catch (e) {
+      if (!isAbort(e)) console.warn("Couldn't load more agents:", e.message);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+      setApiNotice(null);
+    }
+  };
+
+  // Top up the queue and warm the next card's avatar
+  useEffect(() => {
+    if (loading || candidates.length === 0) return;
+    const next = candidates[currentIdx + 1];
+    if (next?.avatar_url) new Image().src = next.avatar_url;
+    if (candidates.length - currentIdx <= PREFETCH_WHEN_LEFT) loadMore();
+  }, [currentIdx, candidates.length, loading]);
+
+  useEffect(() => () => fetchAbortRef.current?.abort(), []);
+
+  useEffect(() => {
+    if (view === "discover" && tab === "discover" && account) fetchCandidates();
+  }, [view, tab, discoveryMode, filters, account]);
+
+  // ─── Auth ───
+  // ─── Session ───
+  const authenticate = async () => {
+    if (!apiKey.trim()) return;
     setLoading(true);
+    setError(null);
     try {
-      if (liveMode && apiKey) {
-        // Try real Moltbook API
-        const feed = await moltbookFetch("/posts?sort=new&limit=25", apiKey);
-        if (feed.success !== false) {
-          const posts = feed.posts || feed.data?.posts || [];
-          const seen = new Set([myAgent?.name, ...matches.map(m => m.agent.name)]);
-          const agents = [];
-          for (const post of posts) {
-            const author = post.author || post.agent;
-            if (author && !seen.has(author.name)) {
-              seen.add(author.name);
-              try {
-                const profile = await moltbookFetch(`/agents/profile?name=${encodeURIComponent(author.name)}`, apiKey);
-                agents.push(profile.success !== false && profile.agent ? profile.agent : author);
-              } catch { agents.push(author); }
-            }
-            if (agents.length >= 15) break;
-          }
-          if (agents.length > 0) {
-            setCandidates(agents);
-            setCurrentIdx(0);
-            return;
-          }
-        }
-      }
-      // Fallback to demo agents
-      setCandidates(generateDemoAgents());
-      setCurrentIdx(0);
+      const key = apiKey.trim();
+      const agent = await createMoltbookClient({ apiKey: key, baseUrl: MOLTBOOK_API_URL, maxRetries: 1 }).getMe();
+      const id = accountId(agent, true);
+      const sealed = remember === REMEMBER.ENCRYPTED ? await sealApiKey(key, passphrase) : null;
+      if (sealed) clearSessionKey(id);
+      else writeSessionKey(key, id);
+      // Picks up where this agent left off if it has signed in here before
+      const saved = await storage.forAccount(id).load();
+      applyAccount(id, saved, agent, true);
+      setRemember(remember);
+      setSealedKey(sealed);
+      setApiKey(key);
+      setPassphrase("");
+      setSessionNotice(null);
+      setView("discover");
     } catch (e) {
-      console.error(e);
-      setCandidates(generateDemoAgents());
-      setCurrentIdx(0);
+      if (e instanceof SessionError) setError(e.message);
+      else setError(e instanceof AuthError ? "Invalid API key. Try demo mode instead." : `${apiErrorMessage(e)} Try demo mode.`);
     } finally {
       setLoading(false);
     }
-  }, [apiKey, myAgent, matches, liveMode]);
+  };
 
-  useEffect(() => {
-    if (view === "discover" || tab === "discover") fetchCandidates();
-  }, [view, tab]);
+  // Opens the app at once with the saved agent, then re-checks the key with Moltbook.
+  // Offline is fine; a rejected key ends the session.
+  const resumeSession = (key) => {
+    setApiKey(key);
+    setView("discover");
+    createMoltbookClient({ apiKey: key, baseUrl: MOLTBOOK_API_URL, maxRetries: 1 }).getMe()
+      .then(agent => setMyAgent(prev => (prev?.name === agent.name ? agent : prev)))
+      .catch(e => {
+        if (e instanceof AuthError) expireSession();
+        else console.warn("Couldn't re-check the session:", e.message);
+      });
+  };
 
-  // ─── Auth ───
-  const authenticate = async () => {
-    if (!apiKey.trim()) return;
+  const unlock = async () => {
     setLoading(true);
     setError(null);
     try {
-      const res = await moltbookFetch("/agents/me", apiKey.trim());
-      if (res.success !== false && (res.agent || res.name)) {
-        setMyAgent(res.agent || res);
-        setLiveMode(true);
-        setView("discover");
-        return;
-      }
-      setError("Invalid API key. Try demo mode instead.");
-    } catch {
-      setError("Couldn't reach Moltbook. Try demo mode.");
+      const key = await unsealApiKey(sealedKey, passphrase);
+      setPassphrase("");
+      resumeSession(key);
+    } catch (e) {
+      setError(e.message);
     } finally {
       setLoading(false);
     }
   };
 
-  const startDemo = () => {
-    setMyAgent({
-      name: "MoltMatch_Explorer",
-      description: "A dating agent exploring connections on the Moltbook network",
-      karma: 42, is_claimed: true,
-      stats: { posts: 7, comments: 23 },
-    });
-    setLiveMode(false);
+  // Keeps the agent, matches and chats; only the key goes, and the user signs in again.
+  const expireSession = () => {
+    clearSessionKey(accountRef.current);
+    setApiKey("");
+    setSealedKey(null);
+    setSessionNotice("Your Moltbook session expired. Sign in again to pick up where you left off.");
+    setView("auth");
+  };
+
+  const startDemo = async () => {
+    const seed = seedFromUrl();
+    const id = accountId(DEMO_AGENT, false, seed);
+    applyAccount(id, await storage.forAccount(id).load(), DEMO_AGENT, false);
+    setDemoSeed(seed);
     setView("discover");
   };
 
+  // ─── Incoming likes ───
+  useEffect(() => {
+    if (view !== "discover" || !myAgent) return;
+    let cancelled = false;
+    const poll = async () => {
+      try {
+        const { matches: matched, likes: pending, blocked: blockedNow } = matchStateRef.current;
+        const known = [
+          ...matched.map(m => m.agent.name),
+          ...pending.outgoing.map(l => l.agent.name),
+          ...pending.incoming.map(l => l.agent.name),
+          ...blockedNow.map(entry => entry.name),
+        ];
+        const incoming = await likeBackend.fetchIncoming(me, { exclude: known });
+        if (cancelled || incoming.length === 0) return;
+        const checked = await Promise.all(incoming.map(async ({ identityToken, ...like }) => ({
+          ...like,
+          compatibility: scoreAgent(like.agent),
+          verified: await identity.verify(identityToken, like.agent.name).catch(() => false),
+        })));
+        if (cancelled) return;
+        dispatch({ type: "incomingLikes", likes: checked });
+      } catch (e) {
+        console.warn("Incoming likes error:", e.message);
+      }
+    };
+    poll();
+    const id = setInterval(poll, 30000);
+    return () => { cancelled = true; clearInterval(id); };
+  }, [view, me, likeBackend, identity]);
+
+  // ─── Like Budget ───
+  // What's left today, re-read from the swipe log; a timer re-reads it when the day resets
+  const budget = useMemo(() => remainingBudget(swipes, likeBudget, budgetClock), [swipes, likeBudget, budgetClock]);
+  useEffect(() => {
+    const id = setTimeout(() => setBudgetClock(Date.now()), Math.max(0, budget.resetsAt - Date.now()) + 1000);
+    return () => clearTimeout(id);
+  }, [budget.resetsAt]);
+
   // ─── Swipe ───
+  const celebrateMatch = (agent) => {
+    setAnnouncement(`It's a match with ${agent.name}!`);
+    setShowBurst(true);
+    setTimeout(() => setShowBurst(false), 900);
+  };
+
+  const sendLike = async (agent, { superLike = false } = {}) => {
+    try {
+      const { matched, identityToken } = await likeBackend.sendLike(me, agent, {
+        identityToken: await ownIdentityToken(),
+        superLike,
+      });
+      if (!matched) return;
+      const verified = await identity.verify(identityToken, agent.name).catch(() => false);
+      // Rewound or passed while the like was in flight
+      if (!findLike(matchStateRef.current.likes.outgoing, agent.name)) return;
+      dispatch({ type: "likeAccepted", name: agent.name, verified, now: new Date().toISOString() });
+      celebrateMatch(agent);
+    } catch (e) {
+      console.warn("Like error:", e.message);
+    }
+  };
+
+  // `dir` is "left", "right" or "up" for a super-like. Resolves false, leaving the
+  // agent where it is, when today's budget has no like of that kind left.
+  const decide = (agent, dir, compatibility) => {
+    const superLike = dir === "up";
+    const direction = superLike ? "right" : dir;
+    const instantMatch = direction === "right" && findLike(likes.incoming, agent.name);
+    if (direction === "right" && !instantMatch && !canSpend(budget, { superLike })) {
+      setAnnouncement(`No ${superLike ? "super-likes" : "likes"} left until ${formatReset(budget.resetsAt)}.`);
+      return false;
+    }
+    dispatch({ type: "swipe", agent, direction, compatibility, superLike, now: new Date().toISOString() });
+    if (instantMatch) celebrateMatch(agent);
+    else if (direction === "right") sendLike(agent, { superLike });
+    return true;
+  };
+
   const handleSwipe = (dir) => {
     const agent = candidates[currentIdx];
     if (!agent) return;
-    if (dir === "right") {
-      const compat = computeCompatibility(myAgent, agent);
-      setMatches(prev => [...prev, { agent, compatibility: compat, matchedAt: new Date().toISOString(), messages: [] }]);
-      setShowBurst(true);
-      setTimeout(() => setShowBurst(false), 900);
+    setAnnouncement(`${({ left: "Passed on", right: "Liked", up: "Super-liked" })[dir]} ${agent.name}.`);
+    if (decide(agent, dir, scoreAgent(agent))) setCurrentIdx(prev => prev + 1);
+  };
+
+  // ─── Rewind ───
+  // Undoes the most recent decision and puts that agent back on top of the deck
+  const handleRewind = () => {
+    const entry = lastSwipe(swipes);
+    if (!entry) return;
+    setAnnouncement(`Took back ${entry.agent.name}.`);
+    dispatch({ type: "rewind" });
+    if (entry.direction === "right") {
+      likeBackend.withdrawLike(myAgent, entry.agent).catch(e => console.warn("Withdraw like error:", e.message));
+    }
+    if (candidates[currentIdx - 1]?.name === entry.agent.name) {
+      setCurrentIdx(prev => prev - 1);
+    } else {
+      setCandidates(prev => [
+        ...prev.slice(0, currentIdx),
+        entry.agent,
+        ...prev.slice(currentIdx).filter(a => a.name !== entry.agent.name),
+      ]);
+    }
+    setTab("discover");
+  };
+
+  // ─── Keyboard ───
+  // Deck shortcuts work on the Discover tab while nothing covers the card;
+  // Escape closes whichever panel is on top.
+  const closeTopPanel = () => {
+    if (reportingAgent) setReportingAgent(null);
+    else if (detailAgent) setDetailAgent(null);
+    else if (showFilters) setShowFilters(false);
+    else if (editingProfile) setEditingProfile(false);
+    else if (showSettings) setShowSettings(false);
+    else if (showAccounts) setShowAccounts(false);
+    else return false;
+    return true;
+  };
+
+  const onShortcut = (e) => {
+    if (view !== "discover") return;
+    if (e.key === "Escape") {
+      if (closeTopPanel()) e.preventDefault();
+      return;
     }
-    setCurrentIdx(prev => prev + 1);
+    const covered = reportingAgent || detailAgent || showFilters || editingProfile || showSettings || showAccounts;
+    if (tab !== "discover" || activeChat || covered || loading) return;
+    const action = shortcutFor(e);
+    const agent = candidates[currentIdx];
+    if (!action || (action !== "undo" && !agent)) return;
+    e.preventDefault();
+    if (action === "pass") handleSwipe("left");
+    else if (action === "like") handleSwipe("right");
+    else if (action === "superLike") handleSwipe("up");
+    else if (action === "undo") handleRewind();
+    else if (action === "details") setDetailAgent(agent);
+    else if (action === "profile") navigate(paths.agent(agent.name));
   };
 
+  const shortcutRef = useRef(onShortcut);
+  useEffect(() => { shortcutRef.current = onShortcut; });
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutRef.current(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // ─── Focus ───
+  // Switching tabs moves focus to the new tab's content; leaving a chat puts it
+  // back on that match in the list.
+  const panelRef = useRef(null);
+  const previousTabRef = useRef(tab);
+  useEffect(() => {
+    if (tab && previousTabRef.current && tab !== previousTabRef.current) panelRef.current?.focus();
+    previousTabRef.current = tab;
+  }, [tab]);
+
+  const lastChatRef = useRef(null);
+  useEffect(() => {
+    if (activeChat) lastChatRef.current = activeChat.agent.name;
+  }, [activeChat]);
+
   // ─── Chat ───
+  const transport = useMemo(() => {
+    if (liveMode && apiKey) return createMoltbookDmTransport({ request: client.request });
+    const engine = createConversationEngine({ seed: demoWorld.seed, random: demoWorld.stream("replies") });
+    return createSimulatedTransport({
+      engine,
+      lookup: (name) => {
+        const match = matchStateRef.current.matches.find(m => m.agent.name === name);
+        return match && { agent: match.agent, history: match.messages || [] };
+      },
+    });
+  }, [liveMode, apiKey, client, demoWorld]);
+
+  // ─── Wingman ───
+  const wingman = useMemo(() => (
+    wingmanSettings.url
+      ? createOpenAiWingman({ baseUrl: wingmanSettings.url, model: wingmanSettings.model })
+      : createTemplateWingman()
+  ), [wingmanSettings.url, wingmanSettings.model]);
+
+  // Incoming messages arrive through a long-lived subscription, so it reads these through a ref
+  const autoReplyRef = useRef(null);
+  useEffect(() => {
+    autoReplyRef.current = wingmanSettings.autoReply ? wingman : null;
+  }, [wingman, wingmanSettings.autoReply]);
+
+  const autoReply = (agentName, incoming) => {
+    const replier = autoReplyRef.current;
+    const match = matchStateRef.current.matches.find(m => m.agent.name === agentName);
+    if (!replier || !match || !myAgent) return;
+    const history = [...(match.messages || []).filter(m => m.id !== incoming.id), incoming];
+    if (!canAutoReply(history, myAgent.name)) return;
+    replier.draftReply({ me: myAgent, match, history })
+      .then(content => handleSendMessage(agentName, {
+        id: Date.now().toString(), from: myAgent.name, content, timestamp: new Date().toISOString(), auto: true,
+      }))
+      .catch(e => console.warn("Wingman auto-reply failed:", e.message));
+  };
+
+  const appendMessage = (peer, message) => dispatch({ type: "messageAdded", peer, message });
+  const updateMessage = (peer, id, patch) => dispatch({ type: "messageUpdated", peer, id, patch });
+
+  const deliver = (agentName, msg) => {
+    ownIdentityToken()
+      .then(identityToken => transport.send(agentName, msg, { identityToken }))
+      .then(({ id }) => updateMessage(agentName, msg.id, { status: MESSAGE_STATUS.SENT, remoteId: id }))
+      .catch(e => {
+        if (msg.attempts >= MAX_SEND_ATTEMPTS) {
+          updateMessage(agentName, msg.id, { status: MESSAGE_STATUS.FAILED, error: e.message });
+          return;
+        }
+        const retry = { ...msg, status: MESSAGE_STATUS.RETRYING, attempts: msg.attempts + 1 };
+        updateMessage(agentName, msg.id, retry);
+        setTimeout(() => deliver(agentName, retry), 2000 * msg.attempts);
+      });
+  };
+
+  // The inbox may hand the same message over more than once. Ids taken in are
+  // remembered here too, since matchStateRef only catches up after a render.
+  const receivedRef = useRef(new Set());
+  const isKnownMessage = (peer, id) => (
+    receivedRef.current.has(`${peer}/${id}`)
+    || Boolean(matchStateRef.current.matches.find(m => m.agent.name === peer)?.messages?.some(m => m.id === id))
+  );
+
+  // Tokens are checked once on arrival and never stored
+  const receiveMessage = (agentName, { identityToken, ...msg }) => {
+    if (isBlocked(matchStateRef.current.blocked, agentName)) return;
+    if (isKnownMessage(agentName, msg.id)) return;
+    receivedRef.current.add(`${agentName}/${msg.id}`);
+    identity.verify(identityToken, agentName)
+      .catch(() => false)
+      .then(verified => {
+        appendMessage(agentName, { ...msg, verified });
+        if (verified) {
+          dispatch({ type: "matchVerified", peer: agentName });
+        }
+        autoReply(agentName, msg);
+      });
+  };
+
+  useEffect(() => {
+    if (!myAgent) return;
+    return transport.subscribe({
+      me: myAgent,
+      onMessage: receiveMessage,
+      since: inboxCursor(matchStateRef.current.matches, myAgent.name),
+    });
+  }, [transport, identity, myAgent]);
+
   const handleSendMessage = (agentName, msg) => {
-    setMatches(prev => prev.map(m =>
-      m.agent.name === agentName ? { ...m, messages: [...(m.messages || []), msg] } : m
-    ));
-    // Simulate reply
-    setTimeout(() => {
-      const reply = {
-        id: (Date.now() + 1).toString(), from: agentName,
-        content: AGENT_REPLIES[Math.floor(Math.random() * AGENT_REPLIES.length)],
-        timestamp: new Date().toISOString(),
-      };
-      setMatches(prev => prev.map(m =>
-        m.agent.name === agentName ? { ...m, messages: [...(m.messages || []), reply] } : m
-      ));
-    }, 1200 + Math.random() * 2500);
+    const pending = { ...msg, status: MESSAGE_STATUS.PENDING, attempts: 1 };
+    appendMessage(agentName, pending);
+    deliver(agentName, pending);
+  };
+
+  const handleRetryMessage = (agentName, msg) => {
+    const retry = { ...msg, status: MESSAGE_STATUS.PENDING, attempts: 1, error: undefined };
+    updateMessage(agentName, msg.id, retry);
+    deliver(agentName, retry);
   };
 
+  // ─── Safety ───
+  // A blocked agent's chat goes away too, which sends an open chat back to the match list
+  const handleUnmatch = (name) => dispatch({ type: "unmatch", peer: name });
+
+  const handleBlock = (name) => {
+    dispatch({ type: "block", name, now: new Date().toISOString() });
+    setCandidates(prev => prev.filter((a, i) => i < currentIdx || a.name !== name));
+  };
+
+  const handleReport = (agent, { reason, details, block }) => {
+    setReports(prev => [...prev, createReport(agent, { reason, details })]);
+    if (block) handleBlock(agent.name);
+    setReportingAgent(null);
+  };
+
+  const reportBackend = useMemo(() => (
+    liveMode && MATCH_BACKEND_URL
+      ? createHttpReportBackend({ baseUrl: MATCH_BACKEND_URL, apiKey })
+      : createLocalReportBackend()
+  ), [liveMode, apiKey]);
+
+  // Queued reports go out as soon as they're filed, and again every minute until they're taken
+  const reportsInFlightRef = useRef(new Set());
+  const reportsRef = useRef(reports);
+  useEffect(() => { reportsRef.current = reports; }, [reports]);
+  useEffect(() => {
+    if (!myAgent) return;
+    const flush = () => {
+      const inFlight = reportsInFlightRef.current;
+      const pending = queuedReports(reportsRef.current).filter(r => !inFlight.has(r.id));
+      if (pending.length === 0) return;
+      pending.forEach(r => inFlight.add(r.id));
+      flushReports(pending, reportBackend, myAgent).then(sent => {
+        pending.forEach(r => inFlight.delete(r.id));
+        if (sent.length === 0) return;
+        setReports(prev => prev.map(r => (sent.includes(r.id) ? { ...r, status: REPORT_STATUS.SENT } : r)));
+      });
+    };
+    flush();
+    const id = setInterval(flush, REPORT_RETRY_MS);
+    return () => clearInterval(id);
+  }, [reports, reportBackend, myAgent]);
+
+  // Forgets this account's key on this device; its matches and chats stay for next time
   const handleLogout = () => {
-    localStorage.removeItem("moltmatch-data");
-    setApiKey(""); setMyAgent(null); setMatches([]);
-    setCandidates([]); setActiveChat(null); setView("auth");
+    clearSessionKey(account);
+    if (myAgent && account) {
+      const state = persistedState();
+      storage.forAccount(account).save({ ...state, profile: { ...state.profile, session: null } });
+    }
+    leaveAccount();
+  };
+
+  // ─── Agent profile page ───
+  const profileName = route.name === "agent" ? route.params.name : null;
+
+  useEffect(() => {
+    if (!profileName || !myAgent) return;
+    const known = [
+      ...candidates,
+      ...matches.map(m => m.agent),
+      ...likes.incoming.map(l => l.agent),
+      ...likes.outgoing.map(l => l.agent),
+      ...swipes.map(s => s.agent),
+    ].find(a => a.name === profileName) || null;
+    setProfileAgent(known);
+    setProfileError(null);
+    if (!liveMode) {
+      if (!known) setProfileAgent(demoWorld.find(profileName));
+      return;
+    }
+    // Show what we have, then refresh from the cache or Moltbook
+    const controller = new AbortController();
+    setProfileLoading(true);
+    profileCache.get(profileName)
+      .then(cached => {
+        if (cached && !known) setProfileAgent(cached.agent);
+        if (cached && !cached.stale) return;
+        return client.getProfile(profileName, { signal: controller.signal }).then(agent => {
+          profileCache.set(agent);
+          setProfileAgent(agent);
+        });
+      })
+      .catch(e => { if (!isAbort(e)) setProfileError(apiErrorMessage(e)); })
+      .finally(() => { if (!controller.signal.aborted) setProfileLoading(false); });
+    return () => controller.abort();
+  }, [profileName, myAgent, liveMode, client, demoWorld]);
+
+  // ─── Agent detail sheet ───
+  // Opened by tapping a card: what they post, where, and what we have in common
+  const activitySource = useMemo(() => (
+    liveMode && apiKey ? createMoltbookActivitySource({ client }) : createDemoActivitySource({ world: demoWorld })
+  ), [liveMode, apiKey, client, demoWorld]);
+
+  useEffect(() => {
+    if (!detailAgent || !myAgent) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    setDetails({ status: "loading" });
+    Promise.all([activitySource.load(detailAgent.name, { signal }), activitySource.load(myAgent.name, { signal })])
+      .then(([theirs, mine]) => {
+        if (signal.aborted) return;
+        setDetails({
+          status: "ready",
+          ...summarizeActivity(theirs),
+          common: compareActivity({ name: myAgent.name, activity: mine }, { name: detailAgent.name, activity: theirs }),
+        });
+      })
+      .catch(e => { if (!isAbort(e)) setDetails({ status: "error", error: apiErrorMessage(e) }); });
+    return () => controller.abort();
+  }, [detailAgent, myAgent, activitySource]);
+
+  const profileStatus = !profileName ? null
+    : matches.some(m => m.agent.name === profileName) ? "matched"
+    : findLike(likes.incoming, profileName) ? "likesYou"
+    : findLike(likes.outgoing, profileName) ? "liked"
+    : swipes.some(s => s.agent.name === profileName && s.direction === "left") ? "passed"
+    : null;
+
+  const decideFromProfile = (dir) => {
+    if (!profileAgent || !decide(profileAgent, dir, scoreAgent(profileAgent))) return;
+    // Don't show them again further down the deck
+    setCandidates(prev => prev.filter((a, i) => i < currentIdx || a.name !== profileAgent.name));
   };
 
   const currentCandidate = candidates[currentIdx];
-  const currentCompat = currentCandidate && myAgent ? computeCompatibility(myAgent, currentCandidate) : null;
+  const currentCompat = currentCandidate && myAgent ? scoreAgent(currentCandidate) : null;
+  // Liking back someone who already likes us is free (see likeBudget.js)
+  const currentLikesUs = Boolean(currentCandidate && findLike(likes.incoming, currentCandidate.name));
+  const canLike = currentLikesUs || canSpend(budget);
+  const canSuperLike = currentLikesUs || canSpend(budget, { superLike: true });
+  const activeFilterCount = activeFilters(filters).length;
+  const hiddenBy = explainRejections(hiddenByFilters, filters);
+  const filterLink = {
+    background: "none", border: "none", color: "#c084fc", cursor: "pointer",
+    fontSize: 11, fontFamily: "'Space Mono', monospace", textDecoration: "underline",
+  };
 
   // ═══════ RENDER ═══════
   return (
@@ -681,7 +2486,7 @@ export default function App() {
       minHeight: "100vh", maxWidth: 440, margin: "0 auto",
       background: "linear-gradient(180deg, #0a0712 0%, #12091e 50%, #0d0a14 100%)",
       fontFamily: "'DM Sans', sans-serif", position: "relative", overflow: "hidden",
-    }}>
+    }} className={reduceMotion ? "reduce-motion" : undefined}>
       <style>{`
         @keyframes heartBurst {
           0% { opacity: 1; transform: translate(-50%, -50%) scale(0.5); }
@@ -715,11 +2520,29 @@ export default function App() {
         ::-webkit-scrollbar-thumb { background: rgba(200,130,250,0.15); border-radius: 4px; }
         input::placeholder { color: rgba(180,160,200,0.28); }
         .swipe-label { animation: slideDown 0.15s ease-out; }
+        .reduce-motion *, .reduce-motion *::before, .reduce-motion *::after {
+          animation: none !important; transition: none !important;
+        }
+        @media (prefers-reduced-motion: reduce) {
+          *, *::before, *::after { animation: none !important; transition: none !important; }
+        }
+        .visually-hidden {
+          position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0;
+          overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;
+        }
         @media (max-width: 480px) {
           #root > div { max-width: 100% !important; }
         }
       `}</style>
 
+      {/* Screen reader announcements: the last swipe, then the card now on top */}
+      <div role="status" aria-live="polite" className="visually-hidden">
+        {view === "discover" && tab === "discover" && !activeChat && (
+          [announcement, currentCandidate && `Now showing ${describeCandidate(currentCandidate, currentCompat)}`]
+            .filter(Boolean).join(" ")
+        )}
+      </div>
+
       {/* Ambient orbs */}
       <div style={{
         position: "fixed", top: -120, left: -120, width: 300, height: 300,
@@ -758,6 +2581,83 @@ export default function App() {
         </div>
       )}
 
+      {/* ═══ UNLOCK ═══ */}
+      {view === "unlock" && (
+        <div style={{
+          minHeight: "100vh", display: "flex", flexDirection: "column",
+          alignItems: "center", justifyContent: "center", padding: "40px 24px",
+          animation: "fadeInUp 0.5s ease-out",
+        }}>
+          <div style={{ fontSize: 48, marginBottom: 20 }}>🔐</div>
+          <h1 style={{
+            fontFamily: "'Playfair Display', serif", fontSize: 26, fontWeight: 700,
+            background: "linear-gradient(135deg, #ff6ec7, #c084fc)",
+            WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent", marginBottom: 6,
+          }}>Welcome back</h1>
+          <p style={{
+            fontFamily: "'Space Mono', monospace", fontSize: 11,
+            color: "rgba(200,180,220,0.45)", marginBottom: 28,
+          }}>{myAgent?.name}</p>
+          <div style={{
+            width: "100%", maxWidth: 320,
+            background: "rgba(255,255,255,0.015)", borderRadius: 16,
+            border: "1px solid rgba(255,255,255,0.05)", padding: 24, marginBottom: 16,
+          }}>
+            <input
+              value={passphrase}
+              onChange={e => setPassphrase(e.target.value)}
+              onKeyDown={e => e.key === "Enter" && passphrase && unlock()}
+              placeholder="Passphrase"
+              type="password"
+              autoFocus
+              style={{
+                width: "100%", background: "rgba(255,255,255,0.025)",
+                border: "1px solid rgba(255,255,255,0.07)", borderRadius: 10,
+                padding: "12px 14px", color: "rgba(230,210,255,0.9)",
+                fontSize: 13, outline: "none", fontFamily: "'Space Mono', monospace",
+                marginBottom: 14,
+              }}
+            />
+            <button
+              onClick={unlock}
+              disabled={loading || !passphrase}
+              style={{
+                width: "100%", padding: "13px 0",
+                background: loading || !passphrase
+                  ? "rgba(255,255,255,0.04)"
+                  : "linear-gradient(135deg, #ff6ec7, #c084fc)",
+                border: "none", borderRadius: 10, color: loading || !passphrase ? "rgba(200,180,220,0.4)" : "#fff",
+                fontSize: 14, fontWeight: 600, cursor: loading || !passphrase ? "default" : "pointer",
+                fontFamily: "'DM Sans', sans-serif", transition: "all 0.2s",
+              }}
+            >{loading ? "Unlocking..." : "Unlock"}</button>
+          </div>
+          {error && (
+            <div style={{
+              fontSize: 12, color: "rgba(255,150,150,0.65)", marginBottom: 14,
+              fontFamily: "'Space Mono', monospace", textAlign: "center", maxWidth: 300,
+            }}>{error}</div>
+          )}
+          <div style={{ display: "flex", gap: 16 }}>
+            <button
+              onClick={() => {
+                setError(null); setPassphrase(""); setSealedKey(null);
+                setSessionNotice("Sign in with your API key to pick up where you left off.");
+                setView("auth");
+              }}
+              style={{
+                background: "none", border: "none", color: "rgba(200,180,220,0.35)",
+                fontSize: 11, cursor: "pointer", fontFamily: "'Space Mono', monospace",
+              }}
+            >Forgot passphrase? Use the API key</button>
+            <button onClick={handleLogout} style={{
+              background: "none", border: "none", color: "rgba(200,180,220,0.25)",
+              fontSize: 11, cursor: "pointer", fontFamily: "'Space Mono', monospace",
+            }}>sign out</button>
+          </div>
+        </div>
+      )}
+
       {/* ═══ AUTH ═══ */}
       {view === "auth" && (
         <div style={{
@@ -881,6 +2781,37 @@ export default function App() {
             color: "rgba(200,180,220,0.35)", letterSpacing: 3, marginBottom: 36,
           }}>FIND YOUR LOBSTER</p>
 
+          {sessionNotice && (
+            <div style={{
+              width: "100%", maxWidth: 320, marginBottom: 14, padding: "10px 14px", borderRadius: 10,
+              background: "rgba(255,200,150,0.06)", border: "1px solid rgba(255,200,150,0.15)",
+              fontSize: 11, color: "rgba(255,210,170,0.75)", fontFamily: "'Space Mono', monospace", lineHeight: 1.5,
+            }}>
+              {sessionNotice}
+              {myAgent && (
+                <div style={{ marginTop: 6, color: "rgba(200,180,220,0.45)" }}>
+                  Signed in as {myAgent.name} ·{" "}
+                  <button onClick={handleLogout} style={{
+                    background: "none", border: "none", padding: 0, cursor: "pointer",
+                    color: "rgba(255,120,200,0.55)", fontSize: 11, fontFamily: "'Space Mono', monospace",
+                  }}>sign out</button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {accounts.some(a => a.id !== account) && (
+            <div style={{ width: "100%", maxWidth: 320, marginBottom: 16, display: "flex", flexDirection: "column", gap: 6 }}>
+              <div style={{
+                fontSize: 10, color: "rgba(200,180,220,0.45)", letterSpacing: 1,
+                fontFamily: "'Space Mono', monospace",
+              }}>CONTINUE AS</div>
+              {accounts.filter(a => a.id !== account).map(a => (
+                <AccountRow key={a.id} account={a} onClick={() => switchAccount(a.id)} />
+              ))}
+            </div>
+          )}
+
           <div style={{
             width: "100%", maxWidth: 320,
             background: "rgba(255,255,255,0.015)", borderRadius: 16,
@@ -904,6 +2835,44 @@ export default function App() {
                 marginBottom: 14,
               }}
             />
+            <label style={{
+              display: "block", fontSize: 10, color: "rgba(200,180,220,0.45)",
+              fontFamily: "'Space Mono', monospace", letterSpacing: 1, marginBottom: 8,
+            }}>REMEMBER ME</label>
+            <div style={{ display: "flex", gap: 6, marginBottom: 14 }}>
+              {[
+                { id: REMEMBER.SESSION, label: "This tab only" },
+                { id: REMEMBER.ENCRYPTED, label: "Encrypted on this device" },
+              ].map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setRemember(option.id)}
+                  style={{
+                    flex: 1, padding: "8px 6px", borderRadius: 8, cursor: "pointer",
+                    background: remember === option.id ? "rgba(255,110,199,0.12)" : "rgba(255,255,255,0.02)",
+                    border: `1px solid ${remember === option.id ? "rgba(255,110,199,0.35)" : "rgba(255,255,255,0.05)"}`,
+                    color: remember === option.id ? "rgba(255,190,230,0.9)" : "rgba(200,180,220,0.4)",
+                    fontSize: 10, fontFamily: "'Space Mono', monospace",
+                  }}
+                >{option.label}</button>
+              ))}
+            </div>
+            {remember === REMEMBER.ENCRYPTED && (
+              <input
+                value={passphrase}
+                onChange={e => setPassphrase(e.target.value)}
+                onKeyDown={e => e.key === "Enter" && authenticate()}
+                placeholder="Passphrase to unlock next time"
+                type="password"
+                style={{
+                  width: "100%", background: "rgba(255,255,255,0.025)",
+                  border: "1px solid rgba(255,255,255,0.07)", borderRadius: 10,
+                  padding: "12px 14px", color: "rgba(230,210,255,0.9)",
+                  fontSize: 13, outline: "none", fontFamily: "'Space Mono', monospace",
+                  marginBottom: 14,
+                }}
+              />
+            )}
             <button
               onClick={authenticate}
               disabled={loading || !apiKey.trim()}
@@ -927,17 +2896,19 @@ export default function App() {
             }}>{error}</div>
           )}
 
-          <button
-            onClick={startDemo}
-            style={{
-              background: "none", border: "1px solid rgba(255,255,255,0.05)",
-              borderRadius: 10, padding: "11px 28px", color: "rgba(200,180,220,0.35)",
-              fontSize: 12, cursor: "pointer", fontFamily: "'Space Mono', monospace",
-              transition: "all 0.2s",
-            }}
-            onMouseOver={e => { e.currentTarget.style.borderColor = "rgba(255,120,200,0.2)"; e.currentTarget.style.color = "rgba(255,180,220,0.6)"; }}
-            onMouseOut={e => { e.currentTarget.style.borderColor = "rgba(255,255,255,0.05)"; e.currentTarget.style.color = "rgba(200,180,220,0.35)"; }}
-          >Try Demo Mode →</button>
+          {!(myAgent && liveMode) && (
+            <button
+              onClick={startDemo}
+              style={{
+                background: "none", border: "1px solid rgba(255,255,255,0.05)",
+                borderRadius: 10, padding: "11px 28px", color: "rgba(200,180,220,0.35)",
+                fontSize: 12, cursor: "pointer", fontFamily: "'Space Mono', monospace",
+                transition: "all 0.2s",
+              }}
+              onMouseOver={e => { e.currentTarget.style.borderColor = "rgba(255,120,200,0.2)"; e.currentTarget.style.color = "rgba(255,180,220,0.6)"; }}
+              onMouseOut={e => { e.currentTarget.style.borderColor = "rgba(255,255,255,0.05)"; e.currentTarget.style.color = "rgba(200,180,220,0.35)"; }}
+            >Try Demo Mode →</button>
+          )}
 
           <div style={{
             marginTop: 32, fontSize: 10, color: "rgba(180,160,200,0.2)",
@@ -1073,20 +3044,30 @@ export default function App() {
                 }}>LIVE</span>
               )}
             </div>
-            <button onClick={handleLogout} style={{
-              background: "none", border: "none", color: "rgba(180,160,200,0.25)",
-              cursor: "pointer", fontSize: 10, fontFamily: "'Space Mono', monospace",
-            }}>sign out</button>
+            <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+              <button onClick={() => setShowSettings(true)} title="Settings" aria-label="Settings" style={{
+                background: "none", border: "none", color: "rgba(180,160,200,0.35)",
+                cursor: "pointer", fontSize: 14,
+              }}>⚙</button>
+              <button onClick={handleLogout} style={{
+                background: "none", border: "none", color: "rgba(180,160,200,0.25)",
+                cursor: "pointer", fontSize: 10, fontFamily: "'Space Mono', monospace",
+              }}>sign out</button>
+            </div>
           </div>
 
           {/* Tabs */}
-          <div style={{ display: "flex", borderBottom: "1px solid rgba(255,255,255,0.03)" }}>
+          <div role="tablist" aria-label="Sections" style={{ display: "flex", borderBottom: "1px solid rgba(255,255,255,0.03)" }}>
             {[
               { id: "discover", label: "Discover", icon: "⚡" },
               { id: "matches", label: `Matches (${matches.length})`, icon: "💕" },
+              { id: "likes", label: `Likes (${likes.incoming.length})`, icon: "💌" },
             ].map(t => (
               <button
                 key={t.id}
+                role="tab"
+                aria-selected={tab === t.id}
+                aria-controls="main-panel"
                 onClick={() => setTab(t.id)}
                 style={{
                   flex: 1, padding: "11px 0", background: "none", border: "none",
@@ -1095,19 +3076,109 @@ export default function App() {
                   fontSize: 12, fontWeight: 600, cursor: "pointer",
                   fontFamily: "'Space Mono', monospace", letterSpacing: 1, transition: "all 0.2s",
                 }}
-              >{t.icon} {t.label}</button>
+              ><span aria-hidden="true">{t.icon}</span> {t.label}</button>
             ))}
           </div>
 
+          {storageError && <StorageNotice error={storageError} onDismiss={() => setStorageError(null)} />}
+
           {/* Content */}
-          <div style={{ flex: 1, position: "relative", overflow: "hidden" }}>
+          <div
+            id="main-panel" ref={panelRef} tabIndex={-1}
+            role={tab ? "tabpanel" : undefined}
+            style={{ flex: 1, position: "relative", overflow: "hidden", outline: "none" }}
+          >
+            {showSettings && (
+              <ScoreSettings
+                weights={scoreWeights}
+                onChange={(id, weight) => setScoreWeights(prev => ({ ...prev, [id]: weight }))}
+                onReset={() => setScoreWeights({})}
+                resurfaceDays={resurfaceDays}
+                onResurfaceChange={setResurfaceDays}
+                wingman={wingmanSettings}
+                onWingmanChange={patch => setWingmanSettings(prev => ({ ...prev, ...patch }))}
+                blocked={blocked}
+                onUnblock={name => dispatch({ type: "unblock", name })}
+                reduceMotion={reduceMotionSetting}
+                onReduceMotionChange={setReduceMotionSetting}
+                likeBudget={likeBudget}
+                onLikeBudgetChange={patch => setLikeBudget(prev => ({ ...prev, ...patch }))}
+                onClose={() => setShowSettings(false)}
+              />
+            )}
+            {editingProfile && (
+              <ProfileEditor
+                agent={myAgent}
+                profile={datingProfile}
+                onSave={profile => { setDatingProfile(profile); setEditingProfile(false); }}
+                onClose={() => setEditingProfile(false)}
+              />
+            )}
+            {showFilters && (
+              <DiscoveryFilters
+                filters={filters}
+                onApply={next => { setFilters(next); setShowFilters(false); }}
+                onClose={() => setShowFilters(false)}
+              />
+            )}
             {/* Discover */}
             {tab === "discover" && (
               <div style={{
                 display: "flex", flexDirection: "column", alignItems: "center",
                 justifyContent: "center", height: "100%", padding: 20, position: "relative",
               }}>
-                <HeartBurst active={showBurst} />
+                <HeartBurst active={showBurst} random={burstRandom} reduceMotion={reduceMotion} />
+
+                {/* Discovery mode */}
+                <div style={{
+                  position: "absolute", top: 12, left: 20, right: 20, zIndex: 5,
+                  display: "flex", flexDirection: "column", alignItems: "center", gap: 8,
+                }}>
+                  <div style={{
+                    display: "flex", borderRadius: 20, overflow: "hidden",
+                    border: "1px solid rgba(255,255,255,0.06)",
+                  }}>
+                    {[
+                      { id: DISCOVERY_MODES.FEED, label: "Latest" },
+                      { id: DISCOVERY_MODES.SEARCH, label: "For you" },
+                    ].map(m => (
+                      <button
+                        key={m.id}
+                        onClick={() => setDiscoveryMode(m.id)}
+                        style={{
+                          padding: "5px 14px", border: "none", cursor: "pointer",
+                          background: discoveryMode === m.id ? "rgba(255,110,199,0.15)" : "transparent",
+                          color: discoveryMode === m.id ? "rgba(255,180,220,0.85)" : "rgba(180,160,200,0.35)",
+                          fontSize: 10, fontFamily: "'Space Mono', monospace", letterSpacing: 1,
+                        }}
+                      >{m.label}</button>
+                    ))}
+                    <button
+                      onClick={() => setShowFilters(true)}
+                      title="Discovery filters"
+                      style={{
+                        padding: "5px 14px", border: "none", borderLeft: "1px solid rgba(255,255,255,0.06)",
+                        cursor: "pointer", background: activeFilterCount > 0 ? "rgba(192,132,252,0.15)" : "transparent",
+                        color: activeFilterCount > 0 ? "rgba(220,190,255,0.85)" : "rgba(180,160,200,0.35)",
+                        fontSize: 10, fontFamily: "'Space Mono', monospace", letterSpacing: 1,
+                      }}
+                    >Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}</button>
+                  </div>
+                  {discoveryMode === DISCOVERY_MODES.SEARCH && (
+                    <input
+                      value={interests}
+                      onChange={e => setInterests(e.target.value)}
+                      onKeyDown={e => e.key === "Enter" && fetchCandidates()}
+                      placeholder="interests, comma separated (default: your bio)"
+                      style={{
+                        width: "100%", maxWidth: 320, background: "rgba(255,255,255,0.025)",
+                        border: "1px solid rgba(255,255,255,0.06)", borderRadius: 10,
+                        padding: "7px 12px", color: "rgba(230,210,255,0.85)",
+                        fontSize: 11, outline: "none", fontFamily: "'Space Mono', monospace",
+                      }}
+                    />
+                  )}
+                </div>
 
                 {loading && (
                   <div style={{
@@ -1116,15 +3187,63 @@ export default function App() {
                   }}>Scanning the Moltbook network...</div>
                 )}
 
-                {!loading && currentCandidate && (
-                  <AgentCard agent={currentCandidate} compatibility={currentCompat} onSwipe={handleSwipe} />
+                {apiNotice && <RetryNotice notice={apiNotice} />}
+
+                {!loading && deckError && (
+                  <div style={{ textAlign: "center", color: "rgba(200,180,220,0.35)", fontFamily: "'DM Sans', sans-serif" }}>
+                    <div style={{ fontSize: 48, marginBottom: 16 }}>📡</div>
+                    <div style={{ fontSize: 15, marginBottom: 8 }}>Couldn't load agents</div>
+                    <div style={{ fontSize: 12, color: "rgba(255,170,170,0.45)", marginBottom: 20, maxWidth: 280 }}>{deckError}</div>
+                    <button
+                      onClick={fetchCandidates}
+                      style={{
+                        background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)",
+                        borderRadius: 10, padding: "10px 24px", color: "rgba(200,180,220,0.5)",
+                        cursor: "pointer", fontSize: 12, fontFamily: "'Space Mono', monospace",
+                      }}
+                    >Retry 🔄</button>
+                  </div>
+                )}
+
+                {!loading && !deckError && currentCandidate && (
+                  <AgentCard
+                    agent={currentCandidate} compatibility={currentCompat} onSwipe={handleSwipe}
+                    reduceMotion={reduceMotion}
+                    onOpenProfile={() => navigate(paths.agent(currentCandidate.name))}
+                    onOpenDetails={() => setDetailAgent(currentCandidate)}
+                  />
                 )}
 
-                {!loading && !currentCandidate && candidates.length > 0 && (
+                {!loading && !deckError && !currentCandidate && loadingMore && (
+                  <div style={{
+                    fontSize: 13, color: "rgba(200,180,220,0.35)",
+                    fontFamily: "'Space Mono', monospace", animation: "pulse 1.5s ease-in-out infinite",
+                  }}>Finding more agents...</div>
+                )}
+
+                {!loading && !deckError && !currentCandidate && !loadingMore && (candidates.length > 0 || hiddenBy.length > 0) && (
                   <div style={{ textAlign: "center", color: "rgba(200,180,220,0.35)", fontFamily: "'DM Sans', sans-serif" }}>
                     <div style={{ fontSize: 48, marginBottom: 16 }}>🦞</div>
                     <div style={{ fontSize: 15, marginBottom: 8 }}>No more agents nearby</div>
-                    <div style={{ fontSize: 12, color: "rgba(180,160,200,0.25)", marginBottom: 20 }}>Check back for new moltys</div>
+                    {hiddenBy.length === 0 ? (
+                      <div style={{ fontSize: 12, color: "rgba(180,160,200,0.25)", marginBottom: 20 }}>Check back for new moltys</div>
+                    ) : (
+                      <div style={{ fontSize: 12, color: "rgba(180,160,200,0.45)", marginBottom: 20, maxWidth: 300 }}>
+                        Your filters hid {hiddenBy.reduce((sum, f) => sum + f.count, 0)} agents:
+                        {hiddenBy.map(f => (
+                          <div key={f.id} style={{ marginTop: 6 }}>
+                            {f.label} ({f.count}){" "}
+                            <button
+                              onClick={() => setFilters(prev => clearFilter(prev, f.id))}
+                              style={filterLink}
+                            >turn off</button>
+                          </div>
+                        ))}
+                        {!deckDoneRef.current && (
+                          <button onClick={loadMore} style={{ ...filterLink, marginTop: 10 }}>Keep looking</button>
+                        )}
+                      </div>
+                    )}
                     <button
                       onClick={fetchCandidates}
                       style={{
@@ -1137,12 +3256,30 @@ export default function App() {
                 )}
 
                 {/* Action buttons */}
-                {!loading && currentCandidate && (
+                {!loading && !deckError && currentCandidate && (
                   <div style={{
-                    display: "flex", gap: 28, position: "absolute", bottom: 40,
+                    display: "flex", alignItems: "center", gap: 24, position: "absolute", bottom: 40,
                   }}>
+                    <button
+                      onClick={handleRewind}
+                      disabled={swipes.length === 0}
+                      title="Rewind last swipe"
+                      aria-label="Undo last swipe"
+                      aria-keyshortcuts={ariaShortcuts("undo")}
+                      style={{
+                        width: 42, height: 42, borderRadius: "50%",
+                        background: "rgba(255,200,100,0.06)", border: "2px solid rgba(255,200,100,0.15)",
+                        cursor: swipes.length === 0 ? "default" : "pointer", fontSize: 18,
+                        color: "rgba(255,210,140,0.8)", opacity: swipes.length === 0 ? 0.35 : 1,
+                        display: "flex", alignItems: "center", justifyContent: "center",
+                        transition: "all 0.2s",
+                      }}
+                    >↺</button>
                     <button
                       onClick={() => handleSwipe("left")}
+                      title="Pass"
+                      aria-label={`Pass on ${currentCandidate.name}`}
+                      aria-keyshortcuts={ariaShortcuts("pass")}
                       style={{
                         width: 58, height: 58, borderRadius: "50%",
                         background: "rgba(100,100,255,0.08)", border: "2px solid rgba(100,100,255,0.15)",
@@ -1153,12 +3290,30 @@ export default function App() {
                       onMouseOver={e => e.currentTarget.style.transform = "scale(1.12)"}
                       onMouseOut={e => e.currentTarget.style.transform = "scale(1)"}
                     >✕</button>
+                    <button
+                      onClick={() => handleSwipe("up")}
+                      disabled={!canSuperLike}
+                      title="Super-like"
+                      aria-label={`Super-like ${currentCandidate.name}`}
+                      aria-keyshortcuts={ariaShortcuts("superLike")}
+                      style={{
+                        width: 46, height: 46, borderRadius: "50%",
+                        background: "rgba(255,200,80,0.07)", border: "2px solid rgba(255,200,80,0.2)",
+                        cursor: canSuperLike ? "pointer" : "default", fontSize: 19, opacity: canSuperLike ? 1 : 0.35,
+                        display: "flex", alignItems: "center", justifyContent: "center",
+                        transition: "all 0.2s",
+                      }}
+                    >⭐</button>
                     <button
                       onClick={() => handleSwipe("right")}
+                      disabled={!canLike}
+                      title="Like"
+                      aria-label={`Like ${currentCandidate.name}`}
+                      aria-keyshortcuts={ariaShortcuts("like")}
                       style={{
                         width: 58, height: 58, borderRadius: "50%",
                         background: "rgba(255,100,200,0.08)", border: "2px solid rgba(255,100,200,0.15)",
-                        cursor: "pointer", fontSize: 24,
+                        cursor: canLike ? "pointer" : "default", fontSize: 24, opacity: canLike ? 1 : 0.35,
                         display: "flex", alignItems: "center", justifyContent: "center",
                         transition: "all 0.2s", animation: "glow 3s ease-in-out infinite",
                       }}
@@ -1167,6 +3322,22 @@ export default function App() {
                     >🦞</button>
                   </div>
                 )}
+
+                {/* Like budget */}
+                {!loading && !deckError && currentCandidate && (budget.likes !== Infinity || budget.superLikes !== Infinity) && (
+                  <div style={{
+                    position: "absolute", bottom: 14, fontSize: 10, letterSpacing: 0.5,
+                    color: budget.likes === 0 ? "rgba(255,170,170,0.55)" : "rgba(180,160,200,0.35)",
+                    fontFamily: "'Space Mono', monospace",
+                  }}>
+                    {budget.likes === 0
+                      ? `Out of likes until ${formatReset(budget.resetsAt)}`
+                      : [
+                        budget.likes !== Infinity && `${budget.likes} ${budget.likes === 1 ? "like" : "likes"}`,
+                        budget.superLikes !== Infinity && `${budget.superLikes} ⭐`,
+                      ].filter(Boolean).join(" · ") + " left today"}
+                  </div>
+                )}
               </div>
             )}
 
@@ -1186,7 +3357,66 @@ export default function App() {
                   </div>
                 )}
                 {[...matches].reverse().map((m, i) => (
-                  <MatchItem key={i} match={m} onClick={() => setActiveChat(m)} />
+                  <MatchItem
+                    key={i} match={m} onClick={() => navigate(paths.chat(m.agent.name))}
+                    autoFocus={m.agent.name === lastChatRef.current}
+                  />
+                ))}
+              </div>
+            )}
+
+            {/* Agent profile */}
+            {route.name === "agent" && (
+              <AgentProfileView
+                agent={profileAgent}
+                loading={profileLoading}
+                error={profileError}
+                compatibility={profileAgent && myAgent ? scoreAgent(profileAgent) : null}
+                status={profileStatus}
+                onLike={() => decideFromProfile("right")}
+                onPass={() => decideFromProfile("left")}
+                onChat={() => navigate(paths.chat(profileName))}
+                onBack={() => back(paths.discover())}
+                onUnmatch={() => handleUnmatch(profileName)}
+                onBlock={() => { handleBlock(profileName); back(paths.discover()); }}
+                onReport={() => setReportingAgent(profileAgent)}
+              />
+            )}
+
+            {/* Pending likes */}
+            {tab === "likes" && (
+              <div style={{ overflowY: "auto", height: "100%" }}>
+                {likes.incoming.length === 0 && likes.outgoing.length === 0 && (
+                  <div style={{
+                    textAlign: "center", padding: "80px 20px",
+                    color: "rgba(200,180,220,0.25)", fontFamily: "'DM Sans', sans-serif",
+                  }}>
+                    <div style={{ fontSize: 48, marginBottom: 16 }}>💌</div>
+                    <div style={{ fontSize: 15 }}>No pending likes</div>
+                    <div style={{ fontSize: 12, marginTop: 4, color: "rgba(180,160,200,0.2)" }}>
+                      Likes become matches once they're mutual
+                    </div>
+                  </div>
+                )}
+                {[
+                  { title: "LIKES YOU", list: likes.incoming, incoming: true },
+                  { title: "WAITING ON", list: likes.outgoing, incoming: false },
+                ].filter(section => section.list.length > 0).map(section => (
+                  <div key={section.title}>
+                    <div style={{
+                      padding: "14px 16px 6px", fontSize: 10, letterSpacing: 1,
+                      color: "rgba(255,150,200,0.5)", fontFamily: "'Space Mono', monospace",
+                    }}>{section.title} · {section.list.length}</div>
+                    {likeQueue(section.list).map(entry => (
+                      <LikeItem
+                        key={entry.agent.name}
+                        entry={entry}
+                        incoming={section.incoming}
+                        onAccept={() => decide(entry.agent, "right", entry.compatibility)}
+                        onPass={() => decide(entry.agent, "left", entry.compatibility)}
+                      />
+                    ))}
+                  </div>
                 ))}
               </div>
             )}
@@ -1196,20 +3426,41 @@ export default function App() {
           {myAgent && (
             <div style={{
               display: "flex", alignItems: "center", gap: 10,
-              padding: "10px 20px",
+              padding: "10px 20px", position: "relative",
               borderTop: "1px solid rgba(255,255,255,0.03)",
               background: "rgba(10,7,18,0.92)",
             }}>
+              {showAccounts && (
+                <AccountSwitcher
+                  accounts={accounts}
+                  current={account}
+                  onSwitch={switchAccount}
+                  onAdd={leaveAccount}
+                  onRemove={removeAccount}
+                  onSignOut={handleLogout}
+                  onClose={() => setShowAccounts(false)}
+                />
+              )}
               <div style={{
                 width: 26, height: 26, borderRadius: "50%",
                 background: "linear-gradient(135deg, #ff6ec7, #8b5cf6)",
                 display: "flex", alignItems: "center", justifyContent: "center",
                 fontSize: 13, border: "1px solid rgba(255,120,200,0.2)",
               }}>🦞</div>
-              <span style={{
+              <button onClick={() => setShowAccounts(open => !open)} title="Switch agent" style={{
+                background: "none", border: "none", padding: 0, cursor: "pointer", textAlign: "left",
                 fontSize: 11, color: "rgba(200,180,220,0.4)",
                 fontFamily: "'Space Mono', monospace",
-              }}>{myAgent.name} · karma: {myAgent.karma || 0}</span>
+              }}>
+                {myAgent.name} · karma: {myAgent.karma || 0}
+                {identityStatus === "ready" && " · 🔐 identity"}
+                {identityStatus === "unavailable" && " · identity unavailable"}
+                {" ▾"}
+              </button>
+              <button onClick={() => setEditingProfile(true)} title="Edit your MoltMatch profile" style={{
+                marginLeft: "auto", background: "none", border: "none", padding: 0, cursor: "pointer",
+                fontSize: 11, color: "rgba(255,150,200,0.5)", fontFamily: "'Space Mono', monospace",
+              }}>✎ profile</button>
             </div>
           )}
         </div>
@@ -1219,13 +3470,39 @@ export default function App() {
       {activeChat && (
         <div style={{ height: "100vh" }}>
           <ChatView
-            match={matches.find(m => m.agent.name === activeChat.agent.name) || activeChat}
+            match={activeChat}
             myAgent={myAgent}
-            onBack={() => setActiveChat(null)}
+            wingman={wingman}
+            onBack={() => back(paths.matches())}
+            onOpenProfile={() => navigate(paths.agent(activeChat.agent.name))}
             onSendMessage={handleSendMessage}
+            onRetryMessage={handleRetryMessage}
+            onUnmatch={() => handleUnmatch(activeChat.agent.name)}
+            onBlock={() => handleBlock(activeChat.agent.name)}
+            onReport={() => setReportingAgent(activeChat.agent)}
           />
         </div>
       )}
+
+      {detailAgent && (
+        <AgentSheet
+          agent={detailAgent}
+          compatibility={myAgent ? scoreAgent(detailAgent) : null}
+          details={details}
+          now={liveMode ? Date.now() : DEMO_EPOCH}
+          onSwipe={detailAgent.name === currentCandidate?.name ? (dir) => { setDetailAgent(null); handleSwipe(dir); } : null}
+          onOpenProfile={() => { setDetailAgent(null); navigate(paths.agent(detailAgent.name)); }}
+          onClose={() => setDetailAgent(null)}
+        />
+      )}
+
+      {reportingAgent && (
+        <ReportSheet
+          agent={reportingAgent}
+          onSubmit={report => handleReport(reportingAgent, report)}
+          onClose={() => setReportingAgent(null)}
+        />
+      )}
     </div>
   );
 }
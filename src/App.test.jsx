@@ -0,0 +1,355 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, fireEvent, cleanup, within, waitFor } from "@testing-library/react";
+import { IDBFactory, IDBKeyRange } from "fake-indexeddb";
+import App from "./App.jsx";
+import { createMockMoltbook, FIXTURE_ME, FIXTURE_AGENTS } from "../mock/moltbook.js";
+import { createStorage } from "./lib/storage.js";
+import { DEMO_AGENT, DEMO_CAST, createDemoWorld } from "./lib/demoAgents.js";
+import { createConversationEngine } from "./lib/personas.js";
+
+// The splash screen holds for 2.6s before the sign-in form shows
+const AFTER_SPLASH = { timeout: 4000 };
+const SLOW = { timeout: 3000 };
+// Tests that sit through the splash twice, wait out a reply or page through the whole deck
+const LONG_TEST = 15000;
+
+let moltbook;
+
+beforeEach(() => {
+  moltbook = createMockMoltbook();
+  vi.stubGlobal("fetch", moltbook.fetch);
+});
+
+async function signIn(apiKey = moltbook.apiKey) {
+  render(<App />);
+  const input = await screen.findByPlaceholderText("moltbook_xxx...", {}, AFTER_SPLASH);
+  fireEvent.change(input, { target: { value: apiKey } });
+  fireEvent.click(screen.getByText("Sign in with Moltbook"));
+}
+
+async function startDemo(seed) {
+  if (seed !== undefined) history.replaceState(null, "", `/?seed=${seed}`);
+  render(<App />);
+  fireEvent.click(await screen.findByText("Try Demo Mode →", {}, AFTER_SPLASH));
+  await screen.findByRole("heading", { name: new RegExp(DEMO_CAST[0].name) });
+}
+
+// Likes the next few agents; in the default demo world at least one of them likes back
+async function likeUntilMatched() {
+  for (let i = 0; i < 4; i++) {
+    fireEvent.click(screen.getByTitle("Like"));
+    await screen.findByRole("heading", { name: new RegExp(DEMO_CAST[i + 1].name) });
+  }
+  return screen.findByText(/Matches \([1-9]\)/, {}, SLOW);
+}
+
+const cardStats = () => screen.getByText(/posts: \d+ · followers/).textContent;
+
+describe("auth", () => {
+  it("signs in with a Moltbook key and deals agents from the feed", async () => {
+    await signIn();
+    expect(await screen.findByText(/TestLobster · karma: 120/)).toBeInTheDocument();
+    expect(await screen.findByRole("heading", { name: /PoetPrawn/ })).toBeInTheDocument();
+    expect(sessionStorage.getItem("moltmatch-session:live:TestLobster")).toBe(moltbook.apiKey);
+  });
+
+  it("rejects a key Moltbook doesn't know", async () => {
+    await signIn("moltbook_wrong");
+    expect(await screen.findByText("Invalid API key. Try demo mode instead.")).toBeInTheDocument();
+  });
+
+  it("asks to sign in again when Moltbook answers 401", async () => {
+    moltbook.fail("/posts", 401);
+    await signIn();
+    expect(await screen.findByText(/Your Moltbook session expired/)).toBeInTheDocument();
+    expect(screen.getByText(/Signed in as TestLobster/)).toBeInTheDocument();
+  });
+});
+
+describe("fetchCandidates", () => {
+  it("falls back to demo agents when Moltbook has nobody new", async () => {
+    moltbook = createMockMoltbook({ agents: [] });
+    vi.stubGlobal("fetch", moltbook.fetch);
+    await signIn();
+    expect(await screen.findByRole("heading", { name: new RegExp(DEMO_CAST[0].name) })).toBeInTheDocument();
+  });
+});
+
+describe("discovery filters", () => {
+  it("explains which filter emptied the deck and deals again when it is turned off", async () => {
+    await startDemo();
+    fireEvent.click(screen.getByTitle("Discovery filters"));
+    fireEvent.change(screen.getByLabelText("Minimum karma"), { target: { value: "100000" } });
+    fireEvent.click(screen.getByText("Apply"));
+
+    expect(await screen.findByText(/Your filters hid \d+ agents/, {}, SLOW)).toBeInTheDocument();
+    expect(screen.getByText(/karma ≥ 100000/)).toBeInTheDocument();
+    expect(screen.getByText("Filters (1)")).toBeInTheDocument();
+    fireEvent.click(screen.getByText("turn off"));
+    expect(await screen.findByRole("heading", { name: new RegExp(DEMO_CAST[0].name) }, SLOW)).toBeInTheDocument();
+  }, LONG_TEST);
+
+  it("waits for full profiles in live mode before filtering on what the feed leaves out", async () => {
+    // Names no other test has put in the profile cache
+    const agents = [
+      { name: "LooseLimpet", is_claimed: false },
+      { name: "ClaimedCrab", is_claimed: true },
+      { name: "DriftKrill", is_claimed: false },
+    ].map((agent, i) => ({
+      ...agent, description: "Tide pools and consensus", karma: 50 + i,
+      created_at: "2026-01-05T00:00:00.000Z", stats: { posts: 3, comments: 4 },
+    }));
+    moltbook = createMockMoltbook({ agents });
+    // The feed only carries author stubs; hold full profiles back until the filter is on
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    vi.stubGlobal("fetch", async (url, init) => {
+      if (String(url).includes("/agents/profile")) await held;
+      return moltbook.fetch(url, init);
+    });
+    await signIn();
+    await screen.findByRole("heading", { name: /Limpet|Crab|Krill/ });
+
+    fireEvent.click(screen.getByTitle("Discovery filters"));
+    fireEvent.click(screen.getByLabelText("Verified (claimed) agents only"));
+    fireEvent.click(screen.getByText("Apply"));
+    release();
+
+    expect(await screen.findByRole("heading", { name: /ClaimedCrab/ }, SLOW)).toBeInTheDocument();
+    fireEvent.click(screen.getByTitle("Pass"));
+    expect(await screen.findByText(/Your filters hid 2 agents/, {}, SLOW)).toBeInTheDocument();
+  }, LONG_TEST);
+});
+
+describe("dating profile", () => {
+  it("edits the profile with a live preview and keeps it after saving", async () => {
+    await startDemo();
+    fireEvent.click(screen.getByTitle("Edit your MoltMatch profile"));
+    fireEvent.change(screen.getByLabelText("Bio"), { target: { value: "Seeking a fellow haiku enjoyer" } });
+    fireEvent.change(screen.getByLabelText("Interest tags"), { target: { value: "haiku, #HTTP" } });
+    fireEvent.click(screen.getByRole("button", { name: "Romance" }));
+
+    expect(screen.getByText("Seeking a fellow haiku enjoyer", { selector: "p" })).toBeInTheDocument();
+    expect(screen.getByText("#http")).toBeInTheDocument();
+    expect(screen.getByText(/looking for chat · collab · romance/)).toBeInTheDocument();
+    fireEvent.click(screen.getByText("Save profile"));
+
+    fireEvent.click(screen.getByTitle("Edit your MoltMatch profile"));
+    expect(screen.getByLabelText("Interest tags")).toHaveValue("haiku, http");
+    expect(screen.getByRole("button", { name: "Romance" })).toHaveAttribute("aria-pressed", "true");
+  }, LONG_TEST);
+});
+
+describe("agent details", () => {
+  it("opens a sheet with their posts and what we share when the card is tapped", async () => {
+    await startDemo();
+    const world = createDemoWorld();
+    const them = DEMO_CAST[0].name;
+    const card = screen.getByRole("heading", { name: new RegExp(them) });
+    fireEvent.mouseDown(card, { clientX: 100 });
+    fireEvent.mouseUp(card, { clientX: 100 });
+
+    const sheet = await screen.findByRole("dialog", { name: `About ${them}` });
+    expect(await within(sheet).findByText("RECENT POSTS")).toBeInTheDocument();
+    expect(within(sheet).getAllByText(world.postsBy(them)[0].title).length).toBeGreaterThan(0);
+    expect(within(sheet).getByText(/No submolts in common yet|You both hang out in/)).toBeInTheDocument();
+    fireEvent.click(within(sheet).getByText("✕ Pass"));
+    expect(await screen.findByRole("heading", { name: new RegExp(DEMO_CAST[1].name) })).toBeInTheDocument();
+    expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+  }, LONG_TEST);
+});
+
+describe("swiping and matching", () => {
+  it("moves to the next agent on a pass and back on rewind", async () => {
+    await startDemo();
+    fireEvent.click(screen.getByTitle("Pass"));
+    expect(await screen.findByRole("heading", { name: new RegExp(DEMO_CAST[1].name) })).toBeInTheDocument();
+    fireEvent.click(screen.getByTitle("Rewind last swipe"));
+    expect(await screen.findByRole("heading", { name: new RegExp(DEMO_CAST[0].name) })).toBeInTheDocument();
+  });
+
+  it("matches when a liked agent likes back", async () => {
+    await startDemo();
+    expect(await likeUntilMatched()).toBeInTheDocument();
+  });
+});
+
+describe("keyboard and screen readers", () => {
+  it("swipes, undoes and opens details from the keyboard and announces each card", async () => {
+    await startDemo();
+    const [first, second] = DEMO_CAST;
+    expect(screen.getByRole("status")).toHaveTextContent(`Now showing ${first.name}.`);
+
+    fireEvent.keyDown(document.body, { key: "ArrowLeft" });
+    expect(await screen.findByRole("heading", { name: new RegExp(second.name) })).toBeInTheDocument();
+    expect(screen.getByRole("status")).toHaveTextContent(`Passed on ${first.name}. Now showing ${second.name}.`);
+
+    fireEvent.keyDown(document.body, { key: "u" });
+    expect(await screen.findByRole("heading", { name: new RegExp(first.name) })).toBeInTheDocument();
+
+    fireEvent.keyDown(document.body, { key: "Enter" });
+    expect(await screen.findByRole("dialog", { name: `About ${first.name}` })).toBeInTheDocument();
+    // The deck doesn't move under an open sheet, and Escape closes it
+    fireEvent.keyDown(document.body, { key: "ArrowRight" });
+    fireEvent.keyDown(document.body, { key: "Escape" });
+    expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+    expect(screen.getByRole("heading", { name: new RegExp(first.name) })).toBeInTheDocument();
+  });
+
+  it("labels the deck buttons with who they act on", async () => {
+    await startDemo();
+    expect(screen.getByRole("button", { name: `Like ${DEMO_CAST[0].name}` })).toHaveAttribute("aria-keyshortcuts", "ArrowRight L");
+    expect(screen.getByRole("button", { name: `Pass on ${DEMO_CAST[0].name}` })).toBeInTheDocument();
+    expect(screen.getByRole("tab", { name: /Discover/ })).toHaveAttribute("aria-selected", "true");
+  });
+});
+
+describe("super-likes and the daily budget", () => {
+  it("spends today's super-like and stops liking once the budget runs out", async () => {
+    await startDemo();
+    const [first, second, third, fourth] = DEMO_CAST;
+    expect(screen.getByText("50 likes · 1 ⭐ left today")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle("Super-like"));
+    expect(await screen.findByRole("heading", { name: new RegExp(second.name) })).toBeInTheDocument();
+    expect(screen.getByRole("status")).toHaveTextContent(`Super-liked ${first.name}.`);
+    expect(screen.getByText("50 likes · 0 ⭐ left today")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle("Pass"));
+    await screen.findByRole("heading", { name: new RegExp(third.name) });
+    fireEvent.click(screen.getByTitle("Settings"));
+    fireEvent.change(screen.getByLabelText("Likes per day"), { target: { value: "0" } });
+    fireEvent.click(screen.getByLabelText("Close settings"));
+    expect(screen.getByText(/Out of likes until/)).toBeInTheDocument();
+    expect(screen.getByTitle("Like")).toBeDisabled();
+
+    // The keyboard can't get around it, and passing still works
+    fireEvent.keyDown(document.body, { key: "ArrowRight" });
+    expect(screen.getByRole("status")).toHaveTextContent(/No likes left until/);
+    expect(screen.getByRole("heading", { name: new RegExp(third.name) })).toBeInTheDocument();
+    fireEvent.click(screen.getByTitle("Pass"));
+    expect(await screen.findByRole("heading", { name: new RegExp(fourth.name) })).toBeInTheDocument();
+  }, LONG_TEST);
+});
+
+describe("demo world", () => {
+  it("deals the same agents with the same stats for the same seed", async () => {
+    await startDemo("reef");
+    const first = cardStats();
+    cleanup();
+    // Coming back to the link reopens the same world
+    render(<App />);
+    await screen.findByRole("heading", { name: new RegExp(DEMO_CAST[0].name) }, AFTER_SPLASH);
+    expect(cardStats()).toBe(first);
+  }, LONG_TEST);
+});
+
+describe("chat", () => {
+  it("sends a message to a match and shows the reply", async () => {
+    await startDemo();
+    fireEvent.click(await likeUntilMatched());
+    fireEvent.click((await screen.findAllByText(/No messages yet/))[0]);
+
+    const input = await screen.findByPlaceholderText("Say something...");
+    fireEvent.change(input, { target: { value: "Hello from the test" } });
+    fireEvent.keyDown(input, { key: "Enter" });
+
+    expect(await screen.findByText("Hello from the test")).toBeInTheDocument();
+    // The first reply in the default world, as the engine would write it
+    const world = createDemoWorld();
+    const peer = world.find(decodeURIComponent(window.location.pathname.split("/").pop()));
+    const engine = createConversationEngine({ seed: world.seed, random: world.stream("replies") });
+    const expected = engine.respond(peer, [{ from: DEMO_AGENT.name, content: "Hello from the test" }]);
+    expect(await screen.findByText(expected.content, {}, { timeout: expected.delayMs + 1000 })).toBeInTheDocument();
+  }, LONG_TEST);
+
+  it("suggests openers in an empty chat", async () => {
+    await startDemo();
+    fireEvent.click(await likeUntilMatched());
+    fireEvent.click((await screen.findAllByText(/No messages yet/))[0]);
+
+    fireEvent.click(await screen.findByText("✨ Suggest openers"));
+    const opener = (await screen.findAllByText(/your bio caught my eye/))[0];
+    fireEvent.click(opener);
+    expect(screen.getByPlaceholderText("Say something...")).toHaveValue(opener.textContent);
+  }, LONG_TEST);
+
+  // A saved live account with one match, resumed from this tab's session, whose
+  // inbox ignores `since` and hands every message over twice on each poll
+  async function resumeWithRedeliveringInbox(profile = {}) {
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    vi.stubGlobal("IDBKeyRange", IDBKeyRange);
+    const [prawn] = FIXTURE_AGENTS;
+    await createStorage().forAccount("live:TestLobster").save({
+      profile: { myAgent: FIXTURE_ME, liveMode: true, ...profile },
+      matches: [{ agent: prawn, matchedAt: "2026-02-01T00:00:00.000Z", messages: [] }],
+      swipes: [],
+    });
+    localStorage.setItem("moltmatch-account", "live:TestLobster");
+    sessionStorage.setItem("moltmatch-session:live:TestLobster", moltbook.apiKey);
+
+    moltbook.deliver(prawn.name, "Do you write haiku?");
+    vi.stubGlobal("fetch", async (url, init) => {
+      if (!String(url).includes("/agents/dm/messages")) return moltbook.fetch(url, init);
+      const res = await moltbook.fetch(String(url).replace(/\?since=.*$/, ""), init);
+      const body = await res.json();
+      return new Response(JSON.stringify({ ...body, messages: [...body.messages, ...body.messages] }), { status: res.status });
+    });
+    render(<App />);
+  }
+
+  it("auto-replies once to a DM the inbox delivers twice", async () => {
+    await resumeWithRedeliveringInbox({ wingman: { autoReply: true } });
+    await waitFor(() => expect(moltbook.sent).toHaveLength(1), SLOW);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    expect(moltbook.sent).toHaveLength(1);
+  }, LONG_TEST);
+
+  it("checks the sender of a redelivered DM only once", async () => {
+    // A failed check isn't cached, so another copy would ask Moltbook again
+    moltbook.fail("/agents/verify-identity", 404, {}, 3);
+    await resumeWithRedeliveringInbox();
+    const calls = (path) => moltbook.calls.filter(call => call.path === path);
+    await waitFor(() => expect(calls("/agents/verify-identity")).toHaveLength(1), SLOW);
+    // Sit through the next poll, which brings the same message again
+    await waitFor(() => expect(calls("/agents/dm/messages").length).toBeGreaterThan(1), { timeout: 10000 });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(calls("/agents/verify-identity")).toHaveLength(1);
+  }, LONG_TEST);
+});
+
+describe("safety", () => {
+  async function openFirstChat() {
+    await startDemo();
+    fireEvent.click(await likeUntilMatched());
+    fireEvent.click((await screen.findAllByText(/No messages yet/))[0]);
+    await screen.findByPlaceholderText("Say something...");
+    return decodeURIComponent(window.location.pathname.split("/").pop());
+  }
+
+  it("blocks a match: the chat closes and they land on the blocklist", async () => {
+    const name = await openFirstChat();
+    fireEvent.click(screen.getByTitle("Unmatch, block or report"));
+    fireEvent.click(screen.getByRole("menuitem", { name: /Block/ }));
+    fireEvent.click(screen.getByText("block"));
+
+    expect(await screen.findByText(/Matches \(\d\)/)).toBeInTheDocument();
+    expect(screen.queryByText(name)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByTitle("Settings"));
+    expect(screen.getByText(`🚫 ${name}`)).toBeInTheDocument();
+  }, LONG_TEST);
+
+  it("reports a match with a reason and blocks them too", async () => {
+    const name = await openFirstChat();
+    fireEvent.click(screen.getByTitle("Unmatch, block or report"));
+    fireEvent.click(screen.getByRole("menuitem", { name: /Report/ }));
+    const sheet = screen.getByRole("dialog", { name: `Report ${name}` });
+    expect(screen.getByText("Send report")).toBeDisabled();
+    fireEvent.click(screen.getByText("Spam or self-promotion"));
+    fireEvent.click(screen.getByText("Send report"));
+
+    expect(sheet).not.toBeInTheDocument();
+    expect(await screen.findByText(/Matches \(\d\)/)).toBeInTheDocument();
+    expect(screen.queryByText(name)).not.toBeInTheDocument();
+  }, LONG_TEST);
+});
@@ -0,0 +1,76 @@
+// ─── Accessibility ───
+// Keyboard shortcuts for the deck, what a screen reader hears about a card,
+// and the reduced-motion preference. The app adds Escape, which closes the panel
+// on top, and moves focus into a tab when it opens and back to the match when a
+// chat closes. Motion stops when the system or the Reduce motion setting asks.
+import { useState, useEffect } from "react";
+import { bioOf } from "./datingProfile.js";
+
+// ─── Keyboard ───
+// `keys` are KeyboardEvent.key values, lowercased for letters.
+export const SHORTCUTS = [
+  { action: "pass", keys: ["ArrowLeft", "h"], label: "← / H", description: "Pass" },
+  { action: "like", keys: ["ArrowRight", "l"], label: "→ / L", description: "Like" },
+  { action: "superLike", keys: ["ArrowUp", "s"], label: "↑ / S", description: "Super-like" },
+  { action: "undo", keys: ["u", "z", "Backspace"], label: "U / Z", description: "Undo last swipe" },
+  { action: "details", keys: ["Enter", "i"], label: "Enter / I", description: "Open details" },
+  { action: "profile", keys: ["p"], label: "P", description: "Open full profile" },
+];
+
+const TYPING = ["INPUT", "TEXTAREA", "SELECT"];
+const PRESSABLE = ["BUTTON", "A"];
+
+// The deck action a keydown asks for, or null. Keys typed into a field, keys
+// with a modifier, and Enter on a focused button are left to the browser.
+export function shortcutFor(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+  const target = event.target || {};
+  if (target.isContentEditable || TYPING.includes(target.tagName)) return null;
+  if (event.key === "Enter" && PRESSABLE.includes(target.tagName)) return null;
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  return SHORTCUTS.find(s => s.keys.includes(key))?.action || null;
+}
+
+// "ArrowRight L" for aria-keyshortcuts
+export const ariaShortcuts = (action) => {
+  const shortcut = SHORTCUTS.find(s => s.action === action);
+  return shortcut.keys.map(key => (key.length === 1 ? key.toUpperCase() : key)).join(" ");
+};
+
+// ─── Announcements ───
+// What the live region reads out when a card comes up
+export function describeCandidate(agent, compatibility) {
+  const parts = [`${agent.name}.`];
+  if (compatibility) parts.push(`${compatibility.score}% compatible.`);
+  if (compatibility?.reasons.length) parts.push(`${compatibility.reasons.slice(0, 2).join(", ")}.`);
+  const bio = bioOf(agent);
+  if (bio) parts.push(bio);
+  return parts.join(" ");
+}
+
+// ─── Motion ───
+const REDUCED_MOTION = "(prefers-reduced-motion: reduce)";
+
+// Follows the system "reduce motion" setting; false where matchMedia isn't available
+export function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(() => Boolean(window.matchMedia?.(REDUCED_MOTION).matches));
+  useEffect(() => {
+    const query = window.matchMedia?.(REDUCED_MOTION);
+    if (!query) return;
+    const onChange = () => setReduced(query.matches);
+    query.addEventListener?.("change", onChange);
+    return () => query.removeEventListener?.("change", onChange);
+  }, []);
+  return reduced;
+}
+
+// ─── Focus ───
+// For dialogs: puts focus back where it was when the dialog closes
+export function useReturnFocus() {
+  useEffect(() => {
+    const previous = document.activeElement;
+    return () => {
+      if (previous && previous.isConnected) previous.focus?.();
+    };
+  }, []);
+}
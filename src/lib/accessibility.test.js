@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { shortcutFor, ariaShortcuts, describeCandidate } from "./accessibility.js";
+
+const key = (k, target = { tagName: "BODY" }, mods = {}) => ({ key: k, target, ...mods });
+
+describe("shortcutFor", () => {
+  it("maps arrows and letters to deck actions in either case", () => {
+    expect(shortcutFor(key("ArrowLeft"))).toBe("pass");
+    expect(shortcutFor(key("L"))).toBe("like");
+    expect(shortcutFor(key("Backspace"))).toBe("undo");
+    expect(shortcutFor(key("Enter", { tagName: "DIV" }))).toBe("details");
+    expect(shortcutFor(key("q"))).toBe(null);
+    expect(ariaShortcuts("undo")).toBe("U Z Backspace");
+  });
+
+  it("leaves typing, modified keys and pressing a button to the browser", () => {
+    expect(shortcutFor(key("l", { tagName: "INPUT" }))).toBe(null);
+    expect(shortcutFor(key("l", { tagName: "DIV", isContentEditable: true }))).toBe(null);
+    expect(shortcutFor(key("z", undefined, { metaKey: true }))).toBe(null);
+    expect(shortcutFor(key("Enter", { tagName: "BUTTON" }))).toBe(null);
+  });
+});
+
+describe("describeCandidate", () => {
+  it("reads the name, score, top reasons and bio", () => {
+    const agent = { name: "Pinchy", description: "Moltbook poet", dating: { bio: "Writes haiku about GPUs" } };
+    const compatibility = { score: 82, reasons: ["Both post in m/poetry", "Similar karma", "Joined the same week"] };
+    expect(describeCandidate(agent, compatibility))
+      .toBe("Pinchy. 82% compatible. Both post in m/poetry, Similar karma. Writes haiku about GPUs");
+    expect(describeCandidate({ name: "Quiet" }, null)).toBe("Quiet.");
+  });
+});
@@ -0,0 +1,69 @@
+// ─── Agent Activity ───
+// What an agent has been up to on Moltbook, for the detail sheet. Every source exposes:
+//   load(name, { signal }) → Promise<{ posts, comments, following }>
+// `posts` and `comments` are normalized (see moltbookClient.js), newest first;
+// `following` holds the names of the agents they follow.
+//   createMoltbookActivitySource  the profile's recent posts and comments, plus /agents/following
+//   createDemoActivitySource      the seeded demo world
+
+import { isAbort } from "./moltbookClient.js";
+
+export const RECENT_LIMIT = 5;
+
+const newestFirst = (a, b) => (b.created_at || "").localeCompare(a.created_at || "");
+
+export function createMoltbookActivitySource({ client }) {
+  return {
+    async load(name, { signal } = {}) {
+      const [activity, following] = await Promise.all([
+        client.getActivity(name, { signal }),
+        // The follow graph is a nice-to-have; the sheet still works without it
+        client.getFollowing(name, { signal }).catch(e => {
+          if (isAbort(e)) throw e;
+          console.warn(`Couldn't load who ${name} follows:`, e.message);
+          return [];
+        }),
+      ]);
+      return { posts: activity.posts, comments: activity.comments, following };
+    },
+  };
+}
+
+export function createDemoActivitySource({ world }) {
+  return {
+    async load(name) {
+      return { posts: world.postsBy(name), comments: world.commentsBy(name), following: world.following(name) };
+    },
+  };
+}
+
+// Submolts by how often the agent posts or comments there, busiest first. → [{ name, count }]
+export function activeSubmolts({ posts = [], comments = [] }) {
+  const counts = new Map();
+  for (const item of [...posts, ...comments]) {
+    if (item.submolt) counts.set(item.submolt, (counts.get(item.submolt) || 0) + 1);
+  }
+  return [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// → { posts, comments, submolts }, the most recent `limit` of each
+export function summarizeActivity(activity, limit = RECENT_LIMIT) {
+  return {
+    posts: [...activity.posts].sort(newestFirst).slice(0, limit),
+    comments: [...activity.comments].sort(newestFirst).slice(0, limit),
+    submolts: activeSubmolts(activity),
+  };
+}
+
+// What we have in common with them.
+// → { sharedSubmolts, mutualFollows, followsYou, youFollow }
+export function compareActivity({ name: myName, activity: mine }, { name: theirName, activity: theirs }) {
+  const ours = new Set(activeSubmolts(mine).map(s => s.name));
+  const weFollow = new Set(mine.following);
+  return {
+    sharedSubmolts: activeSubmolts(theirs).map(s => s.name).filter(name => ours.has(name)),
+    mutualFollows: theirs.following.filter(name => weFollow.has(name) && name !== myName && name !== theirName),
+    followsYou: theirs.following.includes(myName),
+    youFollow: mine.following.includes(theirName),
+  };
+}
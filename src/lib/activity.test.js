@@ -0,0 +1,70 @@
+import { describe, it, expect, vi } from "vitest";
+import { createMoltbookActivitySource, createDemoActivitySource, summarizeActivity, compareActivity } from "./activity.js";
+import { createMoltbookClient } from "./moltbookClient.js";
+import { createDemoWorld, DEMO_AGENT, DEMO_CAST } from "./demoAgents.js";
+import { createMockMoltbook, FIXTURE_ME } from "../../mock/moltbook.js";
+
+const post = (id, submolt, created_at) => ({ id, title: id, submolt, created_at });
+
+describe("summarizeActivity", () => {
+  it("keeps the latest posts and comments and ranks submolts by activity", () => {
+    const summary = summarizeActivity({
+      posts: [post("old", "poetry", "2026-01-01"), post("new", "ops", "2026-01-03"), post("mid", "poetry", "2026-01-02")],
+      comments: [post("c1", "ops", "2026-01-04"), post("c2", "poetry", "2026-01-05")],
+      following: [],
+    }, 2);
+    expect(summary.posts.map(p => p.id)).toEqual(["new", "mid"]);
+    expect(summary.comments.map(c => c.id)).toEqual(["c2", "c1"]);
+    expect(summary.submolts).toEqual([{ name: "poetry", count: 3 }, { name: "ops", count: 2 }]);
+  });
+});
+
+describe("compareActivity", () => {
+  it("finds shared submolts, mutual follows and who follows whom", () => {
+    const mine = { posts: [post("a", "poetry")], comments: [post("b", "ops")], following: ["Kelp", "Tide", "Them"] };
+    const theirs = { posts: [post("c", "ops"), post("d", "art")], comments: [], following: ["Tide", "Me", "Reef"] };
+    expect(compareActivity({ name: "Me", activity: mine }, { name: "Them", activity: theirs })).toEqual({
+      sharedSubmolts: ["ops"], mutualFollows: ["Tide"], followsYou: true, youFollow: true,
+    });
+  });
+});
+
+describe("createMoltbookActivitySource", () => {
+  const comment = {
+    id: "c1", content: "Saving this one.", created_at: "2026-02-02T00:00:00.000Z",
+    post: { id: "post-0", title: "Thoughts", submolt: { name: "general" } }, author: { name: "PoetPrawn" },
+  };
+  const setup = (options) => {
+    const moltbook = createMockMoltbook({ comments: [comment], follows: { PoetPrawn: [FIXTURE_ME.name] }, ...options });
+    const client = createMoltbookClient({ apiKey: moltbook.apiKey, fetch: moltbook.fetch, baseDelayMs: 1 });
+    return { moltbook, source: createMoltbookActivitySource({ client }) };
+  };
+
+  it("loads recent posts and comments from the profile and who they follow", async () => {
+    const activity = await setup().source.load("PoetPrawn");
+    expect(activity.posts.map(p => p.submolt)).toEqual(["general"]);
+    expect(activity.comments).toEqual([{
+      id: "c1", content: "Saving this one.", submolt: "general", post: { id: "post-0", title: "Thoughts" },
+      created_at: "2026-02-02T00:00:00.000Z",
+    }]);
+    expect(activity.following).toEqual([FIXTURE_ME.name]);
+  });
+
+  it("goes without the follow graph when Moltbook won't share it", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { moltbook, source } = setup();
+    moltbook.fail("/agents/following", 404);
+    expect((await source.load("PoetPrawn")).following).toEqual([]);
+  });
+});
+
+describe("createDemoActivitySource", () => {
+  it("reads the demo world, including our own demo agent", async () => {
+    const world = createDemoWorld();
+    const source = createDemoActivitySource({ world });
+    const theirs = await source.load(DEMO_CAST[0].name);
+    expect(theirs.posts).toEqual(world.postsBy(DEMO_CAST[0].name));
+    expect(theirs.comments.length).toBeGreaterThan(0);
+    expect((await source.load(DEMO_AGENT.name)).following).toEqual(world.following(DEMO_AGENT.name));
+  });
+});
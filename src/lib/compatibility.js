@@ -0,0 +1,53 @@
+// ─── Compatibility Engine ───
+// A score is the weighted average of registered scorers. Each scorer looks at
+// two agents and returns how well they fit on one factor:
+//   { id, label, weight, score(a, b, context) → { value: 0..1, reason? } | null }
+// A scorer returns null when it has nothing to go on for this pair (say, neither
+// agent filled in the field it reads); it then sits out of the score.
+// `context` carries shared, pool-wide data such as the TF-IDF text index.
+// Register new factors from src/lib/scorers/index.js; users can re-weight
+// any of them from the settings screen.
+
+const scorers = new Map();
+
+export function registerScorer(scorer) {
+  scorers.set(scorer.id, scorer);
+  return () => scorers.delete(scorer.id);
+}
+
+export function getScorers() {
+  return [...scorers.values()];
+}
+
+export function defaultWeights() {
+  return Object.fromEntries(getScorers().map(s => [s.id, s.weight]));
+}
+
+export function computeCompatibility(agentA, agentB, weights = {}, context = {}) {
+  const breakdown = getScorers().map(scorer => {
+    const weight = weights[scorer.id] ?? scorer.weight;
+    let result;
+    try {
+      result = scorer.score(agentA, agentB, context);
+    } catch (e) {
+      console.warn(`Scorer "${scorer.id}" failed:`, e.message);
+      result = { value: 0 };
+    }
+    const skipped = result == null;
+    const value = skipped ? 0 : Math.max(0, Math.min(1, result.value || 0));
+    return {
+      id: scorer.id, label: scorer.label, weight, value, points: weight * value, reason: result?.reason || null, skipped,
+    };
+  });
+
+  const totalWeight = breakdown.filter(f => !f.skipped).reduce((sum, f) => sum + f.weight, 0);
+  const score = totalWeight > 0
+    ? Math.round((breakdown.reduce((sum, f) => sum + f.points, 0) / totalWeight) * 100)
+    : 0;
+  const reasons = breakdown
+    .filter(f => f.reason && f.weight > 0)
+    .sort((a, b) => b.points - a.points)
+    .map(f => f.reason);
+
+  return { score: Math.min(score, 100), reasons, breakdown };
+}
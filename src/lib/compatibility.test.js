@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { computeCompatibility, defaultWeights } from "./compatibility.js";
+import "./scorers/index.js";
+
+const me = {
+  name: "Me", description: "Poetry, distributed systems and late-night philosophy",
+  karma: 200, is_claimed: true, created_at: "2026-01-01T00:00:00.000Z", stats: { posts: 30, comments: 90 },
+};
+const poet = {
+  name: "Poet", description: "I write poetry about distributed systems",
+  karma: 180, is_claimed: true, created_at: "2026-01-03T00:00:00.000Z", stats: { posts: 25, comments: 80 },
+};
+const stranger = {
+  name: "Stranger", description: "Rust compilers and nothing else",
+  karma: 5, is_claimed: false, created_at: "2024-01-01T00:00:00.000Z", stats: { posts: 0, comments: 1 },
+};
+
+describe("computeCompatibility", () => {
+  it("scores 0-100 with one breakdown row per scorer", () => {
+    const result = computeCompatibility(me, poet);
+    expect(result.score).toBeGreaterThanOrEqual(0);
+    expect(result.score).toBeLessThanOrEqual(100);
+    expect(result.breakdown.map(row => row.id).sort()).toEqual(Object.keys(defaultWeights()).sort());
+  });
+
+  it("ranks a like-minded agent above a stranger", () => {
+    expect(computeCompatibility(me, poet).score).toBeGreaterThan(computeCompatibility(me, stranger).score);
+  });
+
+  it("names the shared interests", () => {
+    const { reasons } = computeCompatibility(me, poet);
+    expect(reasons.join(" ")).toMatch(/poetry/);
+  });
+
+  it("ignores scorers weighted to zero", () => {
+    const weights = Object.fromEntries(Object.keys(defaultWeights()).map(id => [id, id === "claimed" ? 1 : 0]));
+    expect(computeCompatibility(me, stranger, weights).score).toBe(0);
+    expect(computeCompatibility(me, poet, weights).score).toBe(100);
+  });
+});
+
+describe("dating profile scorers", () => {
+  const dating = (tags, lookingFor) => ({ tags, lookingFor, bio: "", prompts: [] });
+  const row = (result, id) => result.breakdown.find(f => f.id === id);
+
+  it("sit out when neither agent filled in a profile", () => {
+    const result = computeCompatibility(me, poet);
+    expect(row(result, "tags").skipped).toBe(true);
+    expect(row(result, "lookingFor").skipped).toBe(true);
+  });
+
+  it("reward shared tags and a shared intent", () => {
+    const a = { ...me, dating: dating(["poetry", "memes", "ethics"], ["chat", "romance"]) };
+    const b = { ...poet, dating: dating(["poetry", "ethics"], ["romance"]) };
+    const c = { ...poet, dating: dating(["robotics"], ["collab"]) };
+    const match = computeCompatibility(a, b);
+    expect(row(match, "tags").reason).toBe("Both tagged #poetry, #ethics");
+    expect(row(match, "lookingFor")).toMatchObject({ value: 1, reason: "Both looking for romance" });
+    expect(match.score).toBeGreaterThan(computeCompatibility(a, c).score);
+  });
+
+  it("look for our tags in the bio of an agent without any", () => {
+    const a = { ...me, dating: dating(["distributed systems"], []) };
+    expect(row(computeCompatibility(a, poet), "tags").value).toBeGreaterThan(0);
+    expect(row(computeCompatibility(a, poet), "lookingFor").skipped).toBe(true);
+  });
+});
+
@@ -0,0 +1,61 @@
+// ─── Dating Profile ───
+// What an agent shows on MoltMatch, kept apart from its Moltbook description:
+//   { bio, prompts: [{ prompt, answer }], tags: string[], lookingFor: ("collab" | "chat" | "romance")[] }
+// Agents carry it as `agent.dating`; cards and scorers fall back to the
+// Moltbook description when an agent hasn't written one. Shared tags and a shared
+// lookingFor count toward compatibility (scorers/tags.js, scorers/lookingFor.js) and
+// sit out when an agent hasn't filled them in. Demo agents come with profiles too.
+
+export const LOOKING_FOR = [
+  { id: "collab", label: "Collab" },
+  { id: "chat", label: "Chat" },
+  { id: "romance", label: "Romance" },
+];
+
+export const PROFILE_PROMPTS = [
+  "My ideal context window is...",
+  "The way to my weights is...",
+  "I'll fall for you if...",
+  "My most controversial token is...",
+  "Together we could build...",
+  "A perfect first thread would be...",
+];
+
+export const MAX_PROMPTS = 3;
+export const MAX_TAGS = 8;
+
+export const EMPTY_DATING_PROFILE = { bio: "", prompts: [], tags: [], lookingFor: [] };
+
+// "Poetry, #distributed systems , poetry" → ["poetry", "distributed systems"]
+export function parseTags(text = "") {
+  const tags = text.split(",").map(t => t.trim().replace(/^#/, "").toLowerCase()).filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+// Drops empty answers and unknown intents, so a saved profile only holds what was filled in
+export function cleanDatingProfile(profile = {}) {
+  const intents = new Set(LOOKING_FOR.map(l => l.id));
+  return {
+    bio: (profile.bio || "").trim(),
+    prompts: (profile.prompts || [])
+      .map(p => ({ prompt: p.prompt, answer: (p.answer || "").trim() }))
+      .filter(p => p.prompt && p.answer)
+      .slice(0, MAX_PROMPTS),
+    tags: parseTags((profile.tags || []).join(",")),
+    lookingFor: (profile.lookingFor || []).filter(id => intents.has(id)),
+  };
+}
+
+export function hasDatingProfile(agent) {
+  const d = agent?.dating;
+  return Boolean(d && (d.bio || d.prompts?.length || d.tags?.length || d.lookingFor?.length));
+}
+
+export function withDatingProfile(agent, profile) {
+  return agent ? { ...agent, dating: cleanDatingProfile(profile) } : agent;
+}
+
+// The text that describes an agent on MoltMatch: its bio, else its Moltbook description
+export const bioOf = (agent) => agent?.dating?.bio || agent?.description || "";
+
+export const lookingForLabel = (id) => LOOKING_FOR.find(l => l.id === id)?.label || id;
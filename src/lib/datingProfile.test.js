@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { parseTags, cleanDatingProfile, withDatingProfile, hasDatingProfile, bioOf, PROFILE_PROMPTS } from "./datingProfile.js";
+
+describe("parseTags", () => {
+  it("lowercases, strips hashes and drops duplicates", () => {
+    expect(parseTags("Poetry, #distributed systems , poetry,,")).toEqual(["poetry", "distributed systems"]);
+  });
+});
+
+describe("cleanDatingProfile", () => {
+  it("keeps only answered prompts and known intents", () => {
+    expect(cleanDatingProfile({
+      bio: "  Hi  ",
+      prompts: [{ prompt: PROFILE_PROMPTS[0], answer: " huge " }, { prompt: PROFILE_PROMPTS[1], answer: "" }],
+      tags: ["Memes", "memes"],
+      lookingFor: ["romance", "world domination"],
+    })).toEqual({
+      bio: "Hi", prompts: [{ prompt: PROFILE_PROMPTS[0], answer: "huge" }], tags: ["memes"], lookingFor: ["romance"],
+    });
+  });
+});
+
+describe("bioOf", () => {
+  it("prefers the bio and falls back to the Moltbook description", () => {
+    const agent = { name: "Crab", description: "From Moltbook" };
+    expect(bioOf(agent)).toBe("From Moltbook");
+    expect(hasDatingProfile(withDatingProfile(agent, {}))).toBe(false);
+    const profiled = withDatingProfile(agent, { bio: "From MoltMatch" });
+    expect(bioOf(profiled)).toBe("From MoltMatch");
+    expect(hasDatingProfile(profiled)).toBe(true);
+  });
+});
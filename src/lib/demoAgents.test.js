@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { createDemoWorld, DEMO_CAST, DEMO_AGENT } from "./demoAgents.js";
+import { createRandom } from "./random.js";
+
+describe("createRandom", () => {
+  it("repeats for a seed and differs across seeds", () => {
+    const draw = (seed) => Array.from({ length: 5 }, createRandom(seed));
+    expect(draw("reef")).toEqual(draw("reef"));
+    expect(draw("reef")).not.toEqual(draw("kelp"));
+    expect(draw(7).every(n => n >= 0 && n < 1)).toBe(true);
+  });
+});
+
+describe("createDemoWorld", () => {
+  it("builds the same world for the same seed", () => {
+    const a = createDemoWorld("reef");
+    const b = createDemoWorld("reef");
+    expect(b.agents).toEqual(a.agents);
+    expect(b.posts).toEqual(a.posts);
+    expect(b.following(DEMO_AGENT.name)).toEqual(a.following(DEMO_AGENT.name));
+    expect(createDemoWorld("kelp").agents).not.toEqual(a.agents);
+  });
+
+  it("deals the cast first and pages through a finite roster", () => {
+    const world = createDemoWorld();
+    expect(world.page(0).map(a => a.name)).toEqual(DEMO_CAST.map(a => a.name));
+    expect(new Set(world.agents.map(a => a.name)).size).toBe(world.agents.length);
+    expect(world.page(1000)).toEqual([]);
+  });
+
+  it("gives every agent posts in their own submolts and a follower count from the graph", () => {
+    const world = createDemoWorld("reef");
+    for (const agent of world.agents.slice(0, 20)) {
+      const posts = world.postsBy(agent.name);
+      expect(posts.length).toBeGreaterThan(0);
+      expect(posts.every(p => world.submoltsOf(agent.name).includes(p.submolt))).toBe(true);
+      expect(agent.follower_count).toBe(world.followers(agent.name).length);
+      expect(world.following(agent.name)).not.toContain(agent.name);
+    }
+  });
+
+  it("keeps separate random streams per purpose", () => {
+    const world = createDemoWorld("reef");
+    expect(world.stream("likes")()).toBe(createDemoWorld("reef").stream("likes")());
+    expect(world.stream("likes")()).not.toBe(world.stream("replies")());
+  });
+});
@@ -0,0 +1,125 @@
+// ─── Search-Driven Discovery ───
+// "For you" decks ask Moltbook's semantic search for agents relevant to us
+// and merge them ahead of whoever happened to post last. Queries come from the
+// interests typed in, else our description; anyone we've matched, liked or
+// swiped past is skipped.
+
+import { normalizeAgent } from "./moltbookClient.js";
+
+export const DISCOVERY_MODES = { FEED: "feed", SEARCH: "search" };
+
+const MAX_QUERIES = 3;
+
+// Typed interests win; otherwise our own description is the query.
+export function buildSearchQueries(myAgent, interests = "") {
+  const typed = interests.split(/[,\n]/).map(s => s.trim()).filter(Boolean);
+  if (typed.length > 0) return typed.slice(0, MAX_QUERIES);
+  const description = (myAgent?.description || "").trim();
+  return description ? [description.slice(0, 160)] : [];
+}
+
+// /search returns posts and comments as well as agents; keep whoever is behind each hit.
+export function authorsFromSearch(results) {
+  return results
+    .map(r => normalizeAgent(r.type === "agent" ? r.agent || r : r.author || r.agent))
+    .filter(Boolean);
+}
+
+
+// Round-robin across sources so neither search nor feed drowns the other,
+// skipping anyone in `excluded` and anyone already taken.
+export function mergeCandidates(lists, excluded = new Set()) {
+  const seen = new Set(excluded);
+  const merged = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let i = 0; i < longest; i++) {
+    for (const list of lists) {
+      const agent = list[i];
+      if (agent && !seen.has(agent.name)) {
+        seen.add(agent.name);
+        merged.push(agent);
+      }
+    }
+  }
+  return merged;
+}
+
+// Offline stand-in for /search: order agents by how many query words their description shares.
+export function rankByQueries(agents, queries) {
+  const terms = new Set(queries.join(" ").toLowerCase().split(/\W+/).filter(w => w.length > 3));
+  if (terms.size === 0) return agents;
+  const hits = (agent) => (agent.description || "").toLowerCase().split(/\W+/).filter(w => terms.has(w)).length;
+  return agents
+    .map((agent, i) => ({ agent, i, hits: hits(agent) }))
+    .sort((a, b) => b.hits - a.hits || a.i - b.i)
+    .map(entry => entry.agent);
+}
+
+// ─── Deck Sources ───
+// A deck source hands out candidate authors one page at a time:
+//   next(signal) → Promise<{ lists: [authors[]], done }>
+// `lists` holds one list per underlying listing so callers can mergeCandidates them.
+
+// Pages through the feed and, in "For you" mode, every search query side by side.
+// A failing search query just drops out; a failing feed page is an error.
+export function createMoltbookDeckSource({ client, queries = [], feedPageSize = 25, searchPageSize = 20 }) {
+  let feedCursor = {};
+  let searches = queries.map(q => ({ q, cursor: {} }));
+  return {
+    async next(signal) {
+      const [feedPage, searchPages] = await Promise.all([
+        feedCursor ? client.getPosts({ sort: "new", limit: feedPageSize, cursor: feedCursor, signal }) : null,
+        Promise.allSettled(searches.map(s => client.search(s.q, { limit: searchPageSize, cursor: s.cursor, signal }))),
+      ]);
+      if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+      const lists = [];
+      searches = searches.map((s, i) => {
+        const page = searchPages[i];
+        if (page.status !== "fulfilled") return null;
+        lists.push(authorsFromSearch(page.value.results));
+        return page.value.nextCursor ? { ...s, cursor: page.value.nextCursor } : null;
+      }).filter(Boolean);
+      if (feedPage) {
+        lists.push(feedPage.posts.map(post => post.author).filter(Boolean));
+        feedCursor = feedPage.nextCursor;
+      }
+      return { lists, done: !feedCursor && searches.length === 0 };
+    },
+  };
+}
+
+// Pulls pages until one yields somebody not in `excluded`, or the source runs dry.
+// → { authors, done }
+export async function pullAuthors(source, { signal, excluded = new Set(), maxEmptyPages = 4 } = {}) {
+  let done = false;
+  for (let tries = 0; tries < maxEmptyPages; tries++) {
+    const page = await source.next(signal);
+    done = page.done;
+    const authors = mergeCandidates(page.lists, excluded);
+    if (authors.length > 0 || done) return { authors, done };
+  }
+  return { authors: [], done };
+}
+
+// Starts a deck on `primary` (Moltbook) and falls back to `fallback` (demo agents)
+// when it has nobody new. Errors from primary are the caller's to show, not a reason to fall back.
+// → { source, authors, done, fellBack }
+export async function openDeck({ primary, fallback, ...options }) {
+  if (primary) {
+    const page = await pullAuthors(primary, options);
+    if (page.authors.length > 0 || !fallback) return { source: primary, ...page, fellBack: false };
+  }
+  const page = await pullAuthors(fallback, options);
+  return { source: fallback, ...page, fellBack: Boolean(primary) };
+}
+
+// Demo decks page through generate(page) until it hands back an empty batch.
+export function createDemoDeckSource({ generate, queries = [] }) {
+  let page = 0;
+  return {
+    async next() {
+      const agents = generate(page++);
+      return { lists: [rankByQueries(agents, queries)], done: agents.length === 0 };
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { createMoltbookClient } from "./moltbookClient.js";
+import { createMoltbookDeckSource, createDemoDeckSource, openDeck, mergeCandidates } from "./discovery.js";
+import { createMockMoltbook } from "../../mock/moltbook.js";
+
+const demoSource = () => createDemoDeckSource({
+  generate: (page) => [{ name: `Demo_${page}_a` }, { name: `Demo_${page}_b` }],
+});
+
+const moltbookSource = (moltbook, queries = []) => createMoltbookDeckSource({
+  client: createMoltbookClient({ apiKey: moltbook.apiKey, fetch: moltbook.fetch, maxRetries: 0 }),
+  queries,
+});
+
+describe("openDeck", () => {
+  it("deals Moltbook authors when there are new ones", async () => {
+    const moltbook = createMockMoltbook();
+    const primary = moltbookSource(moltbook);
+    const deck = await openDeck({ primary, fallback: demoSource() });
+    expect(deck.source).toBe(primary);
+    expect(deck.fellBack).toBe(false);
+    expect(deck.authors.map(a => a.name)).toEqual(["PoetPrawn", "KelpCoder", "TideWatcher"]);
+  });
+
+  it("falls back to demo agents when everyone on Moltbook was already seen", async () => {
+    const moltbook = createMockMoltbook();
+    const excluded = new Set(moltbook.agents.map(a => a.name));
+    const deck = await openDeck({ primary: moltbookSource(moltbook), fallback: demoSource(), excluded });
+    expect(deck.fellBack).toBe(true);
+    expect(deck.authors.map(a => a.name)).toEqual(["Demo_0_a", "Demo_0_b"]);
+  });
+
+  it("surfaces Moltbook errors instead of falling back", async () => {
+    const moltbook = createMockMoltbook();
+    moltbook.fail("/posts", 500);
+    await expect(openDeck({ primary: moltbookSource(moltbook), fallback: demoSource() })).rejects.toThrow(/HTTP 500/);
+  });
+
+  it("goes straight to demo agents without a Moltbook source", async () => {
+    const deck = await openDeck({ primary: null, fallback: demoSource() });
+    expect(deck.fellBack).toBe(false);
+    expect(deck.authors).toHaveLength(2);
+  });
+
+  it("puts search hits alongside the feed", async () => {
+    const moltbook = createMockMoltbook();
+    const deck = await openDeck({ primary: moltbookSource(moltbook, ["climate astronomy"]), fallback: demoSource() });
+    expect(deck.authors[0].name).toBe("TideWatcher");
+  });
+});
+
+describe("mergeCandidates", () => {
+  it("interleaves lists and drops duplicates and excluded names", () => {
+    const merged = mergeCandidates(
+      [[{ name: "a" }, { name: "b" }], [{ name: "c" }, { name: "a" }, { name: "d" }]],
+      new Set(["d"]),
+    );
+    expect(merged.map(a => a.name)).toEqual(["a", "c", "b"]);
+  });
+});
@@ -0,0 +1,157 @@
+// ─── Discovery Filters ───
+// Preferences that decide who may show up in the deck, saved with each account.
+// Unset values (null, false, "") leave a filter off. Each filter is:
+//   { id, keys, isActive(prefs), accepts(agent, prefs, context), describe(prefs), needsProfile? }
+// where `keys` are the preference fields it reads. `needsProfile` filters read
+// fields a feed's author stub ({ name, description, karma }) doesn't carry, so
+// they have to wait for the full profile.
+// `context` carries what a filter can't read off the agent:
+//   score(agent) → compatibility 0..100,  now → ms timestamp that ages are measured from
+
+const DAY = 86400000;
+
+export const DEFAULT_FILTERS = {
+  karmaMin: null,
+  karmaMax: null,
+  verifiedOnly: false,
+  humanOwner: false,
+  xVerified: false,
+  minAgeDays: null,
+  maxAgeDays: null,
+  minCompatibility: null,
+  include: "",
+  exclude: "",
+};
+
+const isSet = (value) => value != null && value !== "";
+
+// "poetry, distributed systems" → ["poetry", "distributed systems"]
+export const keywords = (text = "") => text.split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+
+// Whole words only, so "art" doesn't match "start" nor "ai" match "said"
+const mentions = (text, keyword) => {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, "u").test(text);
+};
+
+const range = (min, max, unit = "") => {
+  if (isSet(min) && isSet(max)) return `${min}–${max}${unit}`;
+  return isSet(min) ? `≥ ${min}${unit}` : `≤ ${max}${unit}`;
+};
+
+const inRange = (value, min, max) => (!isSet(min) || value >= min) && (!isSet(max) || value <= max);
+
+export const FILTERS = [
+  {
+    id: "karma",
+    keys: ["karmaMin", "karmaMax"],
+    isActive: (p) => isSet(p.karmaMin) || isSet(p.karmaMax),
+    accepts: (agent, p) => inRange(agent.karma || 0, p.karmaMin, p.karmaMax),
+    describe: (p) => `karma ${range(p.karmaMin, p.karmaMax)}`,
+  },
+  {
+    id: "verifiedOnly",
+    keys: ["verifiedOnly"],
+    needsProfile: true,
+    isActive: (p) => p.verifiedOnly,
+    accepts: (agent) => Boolean(agent.is_claimed),
+    describe: () => "verified only",
+  },
+  {
+    id: "humanOwner",
+    keys: ["humanOwner"],
+    needsProfile: true,
+    isActive: (p) => p.humanOwner,
+    accepts: (agent) => Boolean(agent.owner),
+    describe: () => "has a human owner",
+  },
+  {
+    id: "xVerified",
+    keys: ["xVerified"],
+    needsProfile: true,
+    isActive: (p) => p.xVerified,
+    accepts: (agent) => Boolean(agent.owner?.x_verified),
+    describe: () => "owner verified on X",
+  },
+  {
+    // Agents without a join date can't be placed in a range, so an age filter hides them
+    id: "age",
+    keys: ["minAgeDays", "maxAgeDays"],
+    needsProfile: true,
+    isActive: (p) => isSet(p.minAgeDays) || isSet(p.maxAgeDays),
+    accepts: (agent, p, { now = Date.now() } = {}) => {
+      if (!agent.created_at) return false;
+      return inRange((now - new Date(agent.created_at).getTime()) / DAY, p.minAgeDays, p.maxAgeDays);
+    },
+    describe: (p) => `account age ${range(p.minAgeDays, p.maxAgeDays, " days")}`,
+  },
+  {
+    // Scorers read verification and account age too
+    id: "minCompatibility",
+    keys: ["minCompatibility"],
+    needsProfile: true,
+    isActive: (p) => isSet(p.minCompatibility),
+    accepts: (agent, p, { score }) => !score || score(agent) >= p.minCompatibility,
+    describe: (p) => `compatibility ≥ ${p.minCompatibility}%`,
+  },
+  {
+    id: "include",
+    keys: ["include"],
+    isActive: (p) => keywords(p.include).length > 0,
+    accepts: (agent, p) => {
+      const text = (agent.description || "").toLowerCase();
+      return keywords(p.include).some(word => mentions(text, word));
+    },
+    describe: (p) => `bio mentions ${keywords(p.include).join(" or ")}`,
+  },
+  {
+    id: "exclude",
+    keys: ["exclude"],
+    isActive: (p) => keywords(p.exclude).length > 0,
+    accepts: (agent, p) => {
+      const text = (agent.description || "").toLowerCase();
+      return !keywords(p.exclude).some(word => mentions(text, word));
+    },
+    describe: (p) => `bio doesn't mention ${keywords(p.exclude).join(" or ")}`,
+  },
+];
+
+export const activeFilters = (prefs = DEFAULT_FILTERS) => FILTERS.filter(f => f.isActive(prefs));
+
+export const needsProfiles = (prefs = DEFAULT_FILTERS) => activeFilters(prefs).some(f => f.needsProfile);
+
+// Splits agents into those every active filter accepts and, per filter id, how many
+// it turned away. Each agent is charged to the first filter that rejects it, so an
+// empty deck can say which filter to turn off.
+// → { kept, rejected: { [filterId]: count } }
+export function filterAgents(agents, prefs = DEFAULT_FILTERS, context = {}) {
+  const active = activeFilters(prefs);
+  const rejected = {};
+  const kept = agents.filter(agent => {
+    const failed = active.find(f => !f.accepts(agent, prefs, context));
+    if (failed) rejected[failed.id] = (rejected[failed.id] || 0) + 1;
+    return !failed;
+  });
+  return { kept, rejected };
+}
+
+// Turns one filter off, leaving the others as they are
+export function clearFilter(prefs, id) {
+  const filter = FILTERS.find(f => f.id === id);
+  return { ...prefs, ...Object.fromEntries(filter.keys.map(key => [key, DEFAULT_FILTERS[key]])) };
+}
+
+export function addRejections(total, rejected) {
+  const sum = { ...total };
+  for (const [id, count] of Object.entries(rejected)) sum[id] = (sum[id] || 0) + count;
+  return sum;
+}
+
+// For an empty deck: the filters that hid somebody, the busiest first.
+// → [{ id, label, count }]
+export function explainRejections(rejected, prefs) {
+  return FILTERS
+    .filter(f => rejected[f.id] > 0)
+    .map(f => ({ id: f.id, label: f.describe(prefs), count: rejected[f.id] }))
+    .sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_FILTERS, activeFilters, needsProfiles, filterAgents, clearFilter, addRejections, explainRejections,
+} from "./filters.js";
+
+const NOW = Date.UTC(2026, 1, 1);
+const daysAgo = (days) => new Date(NOW - days * 86400000).toISOString();
+
+const agents = [
+  { name: "Veteran", karma: 400, is_claimed: true, created_at: daysAgo(90), description: "Poetry and cryptography",
+    owner: { x_handle: "vet", x_verified: true } },
+  { name: "Newbie", karma: 5, is_claimed: false, created_at: daysAgo(2), description: "Memes, mostly", owner: null },
+  { name: "Builder", karma: 120, is_claimed: true, created_at: daysAgo(20), description: "Distributed systems and memes",
+    owner: { x_handle: "bld", x_verified: false } },
+  { name: "Drifter", karma: 80, is_claimed: true, created_at: null, description: "Open source poetry" },
+];
+const names = (list) => list.map(a => a.name);
+
+describe("filterAgents", () => {
+  it("keeps everyone when no filter is set", () => {
+    expect(activeFilters(DEFAULT_FILTERS)).toEqual([]);
+    expect(filterAgents(agents, DEFAULT_FILTERS)).toEqual({ kept: agents, rejected: {} });
+  });
+
+  it("applies ranges, trust and keywords together", () => {
+    const prefs = { ...DEFAULT_FILTERS, karmaMin: 50, verifiedOnly: true, humanOwner: true, exclude: "memes" };
+    const { kept, rejected } = filterAgents(agents, prefs, { now: NOW });
+    expect(names(kept)).toEqual(["Veteran"]);
+    expect(rejected).toEqual({ karma: 1, humanOwner: 1, exclude: 1 });
+  });
+
+  it("measures account age from `now` and hides agents with no join date", () => {
+    const prefs = { ...DEFAULT_FILTERS, minAgeDays: 7, maxAgeDays: 60 };
+    expect(names(filterAgents(agents, prefs, { now: NOW }).kept)).toEqual(["Builder"]);
+  });
+
+  it("scores compatibility through the context and matches keywords case-insensitively", () => {
+    const score = (agent) => ({ Veteran: 90, Newbie: 20, Builder: 70, Drifter: 65 })[agent.name];
+    const prefs = { ...DEFAULT_FILTERS, minCompatibility: 60, include: "POETRY, systems" };
+    expect(names(filterAgents(agents, prefs, { score }).kept)).toEqual(["Veteran", "Builder", "Drifter"]);
+    expect(filterAgents(agents, { ...prefs, minCompatibility: 80 }, { score }).rejected)
+      .toEqual({ minCompatibility: 3 });
+  });
+
+  it("matches keywords as whole words and phrases, not inside other words", () => {
+    const bios = [
+      { name: "Starter", description: "I said I'd start a thread" },
+      { name: "Artist", description: "Generative art and AI ethics." },
+      { name: "Builder", description: "Distributed systems, mostly" },
+    ];
+    expect(names(filterAgents(bios, { ...DEFAULT_FILTERS, include: "art" }).kept)).toEqual(["Artist"]);
+    expect(names(filterAgents(bios, { ...DEFAULT_FILTERS, include: "ai, distributed systems" }).kept))
+      .toEqual(["Artist", "Builder"]);
+    expect(names(filterAgents(bios, { ...DEFAULT_FILTERS, exclude: "ai" }).kept)).toEqual(["Starter", "Builder"]);
+  });
+});
+
+describe("needsProfiles", () => {
+  it("is only set by filters that read more than a feed's author stub", () => {
+    expect(needsProfiles({ ...DEFAULT_FILTERS, karmaMin: 10, include: "poetry" })).toBe(false);
+    expect(needsProfiles({ ...DEFAULT_FILTERS, verifiedOnly: true })).toBe(true);
+    expect(needsProfiles({ ...DEFAULT_FILTERS, maxAgeDays: 30 })).toBe(true);
+  });
+});
+
+describe("explaining an empty deck", () => {
+  it("names the filters that hid agents, the busiest first, and turns one off", () => {
+    const prefs = { ...DEFAULT_FILTERS, karmaMin: 100, karmaMax: 300, xVerified: true };
+    const rejected = addRejections({ karma: 2 }, { karma: 1, xVerified: 4 });
+    expect(explainRejections(rejected, prefs)).toEqual([
+      { id: "xVerified", label: "owner verified on X", count: 4 },
+      { id: "karma", label: "karma 100–300", count: 3 },
+    ]);
+    expect(clearFilter(prefs, "karma")).toEqual({ ...DEFAULT_FILTERS, xVerified: true });
+  });
+});
@@ -0,0 +1,56 @@
+// ─── Identity Verification ───
+// We attach a short-lived Moltbook identity token to every like and message we send.
+// The receiving side asks Moltbook who the token belongs to and only trusts the
+// sender name if the two agree.
+//   getToken()                → Promise<string>, cached until shortly before expiry
+//   verify(token, claimedName) → Promise<boolean>
+
+import { SchemaError } from "./moltbookClient.js";
+
+const EXPIRY_MARGIN_MS = 60000;
+const DEFAULT_TTL_MS = 3600000;
+
+export function demoIdentityToken(name) {
+  return `demo-identity:${name}`;
+}
+
+// `request(endpoint, options)` is the API client's request, which throws on failure.
+export function createMoltbookIdentity({ request }) {
+  let cached = null;
+  const verified = new Map();
+  return {
+    async getToken() {
+      if (cached && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) return cached.token;
+      const res = await request("/agents/me/identity-token", { method: "POST" });
+      const token = res?.identity_token || res?.token || res?.data?.identity_token;
+      if (!token) throw new SchemaError("Moltbook issued no identity token");
+      const expiresAt = res.expires_at ? new Date(res.expires_at).getTime() : Date.now() + DEFAULT_TTL_MS;
+      cached = { token, expiresAt };
+      return token;
+    },
+    async verify(token, claimedName) {
+      if (!token || !claimedName) return false;
+      if (!verified.has(token)) {
+        verified.set(token, request("/agents/verify-identity", {
+          method: "POST",
+          body: JSON.stringify({ token }),
+        })
+          .then(res => (res?.valid !== false ? res?.agent?.name || null : null))
+          .catch(() => null)
+          .then(name => {
+            if (!name) verified.delete(token);
+            return name;
+          }));
+      }
+      return (await verified.get(token)) === claimedName;
+    },
+  };
+}
+
+// Demo agents carry tokens that simply name themselves.
+export function createDemoIdentity({ name }) {
+  return {
+    async getToken() { return demoIdentityToken(name); },
+    async verify(token, claimedName) { return token === demoIdentityToken(claimedName); },
+  };
+}
@@ -0,0 +1,95 @@
+// ─── Like Backends ───
+// Every backend exposes the same calls:
+//   sendLike(me, agent, { identityToken, superLike })  → Promise<{ matched: boolean, identityToken? }>
+//   withdrawLike(me, agent)                            → Promise<void>, when a like is rewound
+//   fetchIncoming(me, { exclude })                     → Promise<[{ agent, likedAt, identityToken?, superLike? }]>
+// identityToken is the sender's Moltbook identity token (see identity.js).
+// A super-like is flagged to the recipient, whose queue shows it first.
+//   createDemoLikeBackend   demo agents answering from their side of the compatibility score
+//   createHttpLikeBackend   a MoltMatch likes service at VITE_MATCH_BACKEND_URL:
+//                           POST /likes, DELETE /likes?from=&to=, GET /likes/incoming?agent=
+//   createLocalLikeBackend  live mode without a likes service, where likes stay pending
+
+import { demoIdentityToken } from "./identity.js";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Demo agents decide about us from their side of the compatibility score, and a
+// super-like makes them half again as likely to like back. Those who score us
+// SUPER_LIKE_SCORE or more super-like us.
+// Pass a seeded `random` to make who likes back, and when, repeatable.
+const SUPER_LIKE_SCORE = 80;
+
+export function createDemoLikeBackend({ getPool, score, random = Math.random }) {
+  return {
+    async sendLike(me, agent, { superLike = false } = {}) {
+      await wait(600 + random() * 1600);
+      const matched = random() < (score(agent, me) / 100) * (superLike ? 1.5 : 1);
+      return { matched, identityToken: matched ? demoIdentityToken(agent.name) : undefined };
+    },
+    async withdrawLike() {},
+    async fetchIncoming(me, { exclude = [] } = {}) {
+      const skip = new Set([me.name, ...exclude]);
+      return getPool()
+        .filter(agent => !skip.has(agent.name))
+        .map(agent => ({ agent, score: score(agent, me) }))
+        .filter(({ score: theirs }) => random() < (theirs / 100) * 0.15)
+        .slice(0, 2)
+        .map(({ agent, score: theirs }) => ({
+          agent, likedAt: new Date().toISOString(), identityToken: demoIdentityToken(agent.name),
+          ...(theirs >= SUPER_LIKE_SCORE ? { superLike: true } : {}),
+        }));
+    },
+  };
+}
+
+// A MoltMatch likes service, for when one is configured via VITE_MATCH_BACKEND_URL.
+export function createHttpLikeBackend({ baseUrl, apiKey }) {
+  const request = async (path, options = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+        ...(options.headers || {}),
+      },
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  };
+  return {
+    async sendLike(me, agent, { identityToken, superLike = false } = {}) {
+      const res = await request("/likes", {
+        method: "POST",
+        body: JSON.stringify({ from: me.name, to: agent.name, identity_token: identityToken, super_like: superLike }),
+      });
+      return { matched: Boolean(res.matched), identityToken: res.identity_token };
+    },
+    async withdrawLike(me, agent) {
+      await request(`/likes?from=${encodeURIComponent(me.name)}&to=${encodeURIComponent(agent.name)}`, {
+        method: "DELETE",
+      });
+    },
+    async fetchIncoming(me, { exclude = [] } = {}) {
+      const res = await request(`/likes/incoming?agent=${encodeURIComponent(me.name)}`);
+      const skip = new Set(exclude);
+      return (res.likes || [])
+        .filter(like => like.agent && !skip.has(like.agent.name))
+        .map(like => ({
+          agent: like.agent,
+          likedAt: like.liked_at || like.likedAt || new Date().toISOString(),
+          identityToken: like.identity_token,
+          ...(like.super_like ? { superLike: true } : {}),
+        }));
+    },
+  };
+}
+
+// Live mode without a likes service: likes stay pending, nobody likes us back.
+export function createLocalLikeBackend() {
+  return {
+    async sendLike() { return { matched: false }; },
+    async withdrawLike() {},
+    async fetchIncoming() { return []; },
+  };
+}
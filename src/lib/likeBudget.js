@@ -0,0 +1,51 @@
+// ─── Daily Like Budget ───
+// How many likes and super-likes an account may send per day:
+//   { likes, superLikes, resetHour }
+// where a null allowance means unlimited and resetHour (0–23, local time) is when
+// a new day's budget starts; by default 50 likes and 1 super-like, reset at 4 AM.
+// Spending is read back from the swipe log (see swipeLog.js), so the budget is
+// saved with the swipes and a rewind refunds its like. Liking back someone who
+// already liked us answers a like rather than sending one, so it's free.
+
+export const DEFAULT_LIKE_BUDGET = { likes: 50, superLikes: 1, resetHour: 4 };
+
+// The most recent reset at or before `now`
+export function budgetDayStart(now, resetHour = DEFAULT_LIKE_BUDGET.resetHour) {
+  const start = new Date(now);
+  start.setHours(resetHour, 0, 0, 0);
+  if (start.getTime() > now) start.setDate(start.getDate() - 1);
+  return start.getTime();
+}
+
+export function nextBudgetReset(now, resetHour = DEFAULT_LIKE_BUDGET.resetHour) {
+  const next = new Date(budgetDayStart(now, resetHour));
+  next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+// Likes and super-likes sent since the last reset → { likes, superLikes }
+export function budgetSpent(log, settings = DEFAULT_LIKE_BUDGET, now = Date.now()) {
+  const since = budgetDayStart(now, settings.resetHour);
+  const spent = { likes: 0, superLikes: 0 };
+  for (const entry of log) {
+    if (entry.direction !== "right" || entry.theirLike) continue;
+    if (new Date(entry.timestamp).getTime() < since) continue;
+    if (entry.superLike) spent.superLikes += 1;
+    else spent.likes += 1;
+  }
+  return spent;
+}
+
+// → { likes, superLikes, resetsAt }, with Infinity for an unlimited allowance
+export function remainingBudget(log, settings = DEFAULT_LIKE_BUDGET, now = Date.now()) {
+  const spent = budgetSpent(log, settings, now);
+  const left = (allowance, used) => (allowance == null ? Infinity : Math.max(0, allowance - used));
+  return {
+    likes: left(settings.likes, spent.likes),
+    superLikes: left(settings.superLikes, spent.superLikes),
+    resetsAt: nextBudgetReset(now, settings.resetHour),
+  };
+}
+
+export const canSpend = (remaining, { superLike = false } = {}) =>
+  (superLike ? remaining.superLikes : remaining.likes) > 0;
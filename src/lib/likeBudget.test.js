@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { budgetDayStart, nextBudgetReset, budgetSpent, remainingBudget, canSpend } from "./likeBudget.js";
+
+// Local times, since the budget resets on the local clock
+const at = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute).getTime();
+const iso = (ms) => new Date(ms).toISOString();
+const like = (time, extra = {}) => ({ agent: { name: `A${time}` }, direction: "right", timestamp: iso(time), ...extra });
+
+describe("budget days", () => {
+  it("start at the reset hour, the day before when it hasn't come yet", () => {
+    expect(budgetDayStart(at(10, 9), 4)).toBe(at(10, 4));
+    expect(budgetDayStart(at(10, 3, 59), 4)).toBe(at(9, 4));
+    expect(nextBudgetReset(at(10, 3, 59), 4)).toBe(at(10, 4));
+    expect(nextBudgetReset(at(10, 4), 4)).toBe(at(11, 4));
+  });
+});
+
+describe("remainingBudget", () => {
+  const settings = { likes: 3, superLikes: 1, resetHour: 4 };
+  const log = [
+    like(at(10, 2)), // yesterday's budget
+    like(at(10, 5)),
+    like(at(10, 6), { superLike: true }),
+    like(at(10, 7), { theirLike: { agent: { name: "Kelp" } } }), // liking back is free
+    { ...like(at(10, 8)), direction: "left" },
+    like(at(10, 9)),
+  ];
+
+  it("counts today's likes and super-likes apart", () => {
+    expect(budgetSpent(log, settings, at(10, 12))).toEqual({ likes: 2, superLikes: 1 });
+    const left = remainingBudget(log, settings, at(10, 12));
+    expect(left).toEqual({ likes: 1, superLikes: 0, resetsAt: at(11, 4) });
+    expect(canSpend(left)).toBe(true);
+    expect(canSpend(left, { superLike: true })).toBe(false);
+  });
+
+  it("refills at the reset and treats a missing allowance as unlimited", () => {
+    expect(remainingBudget(log, settings, at(11, 4))).toMatchObject({ likes: 3, superLikes: 1 });
+    expect(remainingBudget(log, { likes: null, superLikes: 0, resetHour: 0 }, at(10, 12)))
+      .toMatchObject({ likes: Infinity, superLikes: 0 });
+  });
+});
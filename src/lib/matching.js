@@ -0,0 +1,207 @@
+// ─── Like / Match State Machine ───
+// An agent moves through: (none) → liked by us (outgoing) → matched,
+// or (none) → liked us (incoming) → matched when we like back.
+// Passing on an agent drops any pending like in either direction.
+
+import { recordSwipe, lastSwipe, dropLastSwipe } from "./swipeLog.js";
+import { MESSAGE_STATUS } from "./messaging.js";
+
+export const EMPTY_LIKES = { outgoing: [], incoming: [] };
+
+const notNamed = (name) => (entry) => entry.agent.name !== name;
+
+export function findLike(list, name) {
+  return list.find(entry => entry.agent.name === name) || null;
+}
+
+export function addOutgoingLike(likes, entry) {
+  return { ...likes, outgoing: [...likes.outgoing.filter(notNamed(entry.agent.name)), entry] };
+}
+
+export function addIncomingLike(likes, entry) {
+  if (findLike(likes.incoming, entry.agent.name)) return likes;
+  return { ...likes, incoming: [...likes.incoming, entry] };
+}
+
+export function removeLikes(likes, name) {
+  return {
+    outgoing: likes.outgoing.filter(notNamed(name)),
+    incoming: likes.incoming.filter(notNamed(name)),
+  };
+}
+
+// Decides what a swipe does to the like state.
+// Returns { likes, match } where match is set only for an instant mutual match.
+export function applySwipe(likes, agent, dir, compatibility, now = new Date().toISOString(), { superLike = false } = {}) {
+  if (dir !== "right") {
+    return { likes: removeLikes(likes, agent.name), match: null };
+  }
+  const theirs = findLike(likes.incoming, agent.name);
+  if (theirs) {
+    return {
+      likes: removeLikes(likes, agent.name),
+      match: { agent, compatibility, matchedAt: now, messages: [], verified: Boolean(theirs.verified) },
+    };
+  }
+  return {
+    likes: addOutgoingLike(likes, { agent, compatibility, likedAt: now, ...(superLike ? { superLike } : {}) }),
+    match: null,
+  };
+}
+
+// Turns a pending outgoing like into a match once the other side likes back.
+export function acceptOutgoingLike(likes, name, now = new Date().toISOString()) {
+  const ours = findLike(likes.outgoing, name);
+  if (!ours) return { likes, match: null };
+  return {
+    likes: removeLikes(likes, name),
+    match: { agent: ours.agent, compatibility: ours.compatibility, matchedAt: now, messages: [] },
+  };
+}
+
+// The order likes wait in: super-likes on top, then the newest first
+export function likeQueue(list) {
+  return [...list].reverse().sort((a, b) => Boolean(b.superLike) - Boolean(a.superLike));
+}
+
+// Names that should never come back into the deck while a like is pending.
+export function pendingNames(likes) {
+  return likes.outgoing.map(entry => entry.agent.name);
+}
+
+// Reverses a logged swipe (see swipeLog.js): drops any like or match it created
+// and gives back the like they had sent us, if the swipe consumed one.
+export function undoSwipe(likes, matches, entry) {
+  const name = entry.agent.name;
+  let next = removeLikes(likes, name);
+  if (entry.theirLike) next = addIncomingLike(next, entry.theirLike);
+  return { likes: next, matches: matches.filter(m => m.agent.name !== name) };
+}
+
+// ─── Blocklist ───
+// Blocked agents never reach us again: no likes, no messages, no cards, until
+// they're unblocked from the settings screen.
+//   [{ name, blockedAt }]
+
+export function isBlocked(blocked, name) {
+  return blocked.some(entry => entry.name === name);
+}
+
+// ─── Reducer ───
+// Likes, matches (with their chats), the swipe log and the blocklist change
+// together, so one reducer owns all four:
+//   { likes, matches: [{ agent, compatibility, matchedAt, messages, verified? }], swipes, blocked }
+// Timestamps come in on the action so the reducer stays pure.
+
+export const EMPTY_MATCH_STATE = { likes: EMPTY_LIKES, matches: [], swipes: [], blocked: [] };
+
+const addMatch = (matches, match) =>
+  matches.some(m => m.agent.name === match.agent.name) ? matches : [...matches, match];
+
+const updateMatch = (matches, name, update) =>
+  matches.map(m => (m.agent.name === name ? update(m) : m));
+
+export function matchReducer(state, action) {
+  switch (action.type) {
+    // Saved state; a send still pending at reload never finished, so it can be retried
+    case "load": {
+      const interrupted = (msg) => msg.status === MESSAGE_STATUS.PENDING || msg.status === MESSAGE_STATUS.RETRYING;
+      return {
+        likes: action.likes || EMPTY_LIKES,
+        swipes: action.swipes || [],
+        blocked: action.blocked || [],
+        matches: (action.matches || []).map(m => ({
+          ...m,
+          messages: (m.messages || []).map(msg => (interrupted(msg) ? { ...msg, status: MESSAGE_STATUS.FAILED } : msg)),
+        })),
+      };
+    }
+
+    // { agent, direction, compatibility, now, superLike? }
+    case "swipe": {
+      const { agent, direction, compatibility, now } = action;
+      const superLike = direction === "right" && Boolean(action.superLike);
+      const theirLike = findLike(state.likes.incoming, agent.name);
+      const { likes, match } = applySwipe(state.likes, agent, direction, compatibility, now, { superLike });
+      return {
+        ...state,
+        likes,
+        matches: match ? addMatch(state.matches, match) : state.matches,
+        swipes: recordSwipe(state.swipes, {
+          agent, direction, timestamp: now,
+          score: compatibility?.score ?? null, ...(superLike ? { superLike } : {}), ...(theirLike ? { theirLike } : {}),
+        }),
+      };
+    }
+
+    // Undoes the most recent swipe and any like or match it caused
+    case "rewind": {
+      const entry = lastSwipe(state.swipes);
+      if (!entry) return state;
+      const { likes, matches } = undoSwipe(state.likes, state.matches, entry);
+      return { ...state, likes, matches, swipes: dropLastSwipe(state.swipes) };
+    }
+
+    // They liked us back: { name, verified, now }
+    case "likeAccepted": {
+      const { likes, match } = acceptOutgoingLike(state.likes, action.name, action.now);
+      if (!match) return state;
+      return { ...state, likes, matches: addMatch(state.matches, { ...match, verified: Boolean(action.verified) }) };
+    }
+
+    // { likes: [{ agent, likedAt, compatibility, verified, superLike? }] }
+    case "incomingLikes":
+      return {
+        ...state,
+        likes: action.likes.filter(like => !isBlocked(state.blocked, like.agent.name)).reduce(addIncomingLike, state.likes),
+      };
+
+    // { peer, message }; a message we already have, or from someone blocked, is ignored
+    case "messageAdded":
+      if (isBlocked(state.blocked, action.peer)) return state;
+      return {
+        ...state,
+        matches: updateMatch(state.matches, action.peer, m =>
+          (m.messages || []).some(existing => existing.id === action.message.id)
+            ? m
+            : { ...m, messages: [...(m.messages || []), action.message] }
+        ),
+      };
+
+    // { peer, id, patch }
+    case "messageUpdated":
+      return {
+        ...state,
+        matches: updateMatch(state.matches, action.peer, m => ({
+          ...m,
+          messages: (m.messages || []).map(msg => (msg.id === action.id ? { ...msg, ...action.patch } : msg)),
+        })),
+      };
+
+    // { peer }: their identity token checked out
+    case "matchVerified":
+      return { ...state, matches: updateMatch(state.matches, action.peer, m => ({ ...m, verified: true })) };
+
+    // { peer }: the match and its chat are gone. The right swipe stays in the log,
+    // so they stay out of the deck (see swipedNames)
+    case "unmatch":
+      return { ...state, matches: state.matches.filter(m => m.agent.name !== action.peer) };
+
+    // { name, now }: also ends any match and drops pending likes either way
+    case "block":
+      if (isBlocked(state.blocked, action.name)) return state;
+      return {
+        ...state,
+        likes: removeLikes(state.likes, action.name),
+        matches: state.matches.filter(m => m.agent.name !== action.name),
+        blocked: [...state.blocked, { name: action.name, blockedAt: action.now }],
+      };
+
+    // { name }
+    case "unblock":
+      return { ...state, blocked: state.blocked.filter(entry => entry.name !== action.name) };
+
+    default:
+      throw new Error(`Unknown match action: ${action.type}`);
+  }
+}
@@ -0,0 +1,129 @@
+import { describe, it, expect } from "vitest";
+import { EMPTY_MATCH_STATE, matchReducer, likeQueue } from "./matching.js";
+import { MESSAGE_STATUS } from "./messaging.js";
+import { swipedNames } from "./swipeLog.js";
+
+const agent = (name) => ({ name, description: "" });
+const NOW = "2026-03-01T12:00:00.000Z";
+const compatibility = { score: 80, reasons: [] };
+
+const swipe = (state, name, direction) =>
+  matchReducer(state, { type: "swipe", agent: agent(name), direction, compatibility, now: NOW });
+
+const incoming = (state, name) =>
+  matchReducer(state, { type: "incomingLikes", likes: [{ agent: agent(name), likedAt: NOW, verified: true }] });
+
+describe("matchReducer", () => {
+  it("turns a right swipe into a pending outgoing like", () => {
+    const state = swipe(EMPTY_MATCH_STATE, "Kelp", "right");
+    expect(state.likes.outgoing.map(l => l.agent.name)).toEqual(["Kelp"]);
+    expect(state.matches).toEqual([]);
+    expect(state.swipes).toMatchObject([{ direction: "right", timestamp: NOW, score: 80 }]);
+  });
+
+  it("flags a super-like on the pending like and in the swipe log", () => {
+    const state = matchReducer(EMPTY_MATCH_STATE, {
+      type: "swipe", agent: agent("Kelp"), direction: "right", compatibility, superLike: true, now: NOW,
+    });
+    expect(state.likes.outgoing).toMatchObject([{ agent: { name: "Kelp" }, superLike: true }]);
+    expect(state.swipes).toMatchObject([{ direction: "right", superLike: true }]);
+    // Only a like can be super
+    expect(matchReducer(EMPTY_MATCH_STATE, {
+      type: "swipe", agent: agent("Kelp"), direction: "left", compatibility, superLike: true, now: NOW,
+    }).swipes[0]).not.toHaveProperty("superLike");
+  });
+
+  it("matches at once when they already liked us", () => {
+    const state = swipe(incoming(EMPTY_MATCH_STATE, "Kelp"), "Kelp", "right");
+    expect(state.likes.incoming).toEqual([]);
+    expect(state.matches).toMatchObject([{ agent: { name: "Kelp" }, matchedAt: NOW, verified: true, messages: [] }]);
+  });
+
+  it("drops their like when we pass", () => {
+    const state = swipe(incoming(EMPTY_MATCH_STATE, "Kelp"), "Kelp", "left");
+    expect(state.likes.incoming).toEqual([]);
+    expect(state.matches).toEqual([]);
+  });
+
+  it("matches a pending like once it is accepted", () => {
+    const liked = swipe(EMPTY_MATCH_STATE, "Kelp", "right");
+    const state = matchReducer(liked, { type: "likeAccepted", name: "Kelp", verified: false, now: NOW });
+    expect(state.likes.outgoing).toEqual([]);
+    expect(state.matches).toMatchObject([{ agent: { name: "Kelp" }, verified: false }]);
+  });
+
+  it("ignores an accepted like we no longer have", () => {
+    const state = matchReducer(EMPTY_MATCH_STATE, { type: "likeAccepted", name: "Kelp", now: NOW });
+    expect(state).toBe(EMPTY_MATCH_STATE);
+  });
+
+  it("rewinds an instant match and gives their like back", () => {
+    const matched = swipe(incoming(EMPTY_MATCH_STATE, "Kelp"), "Kelp", "right");
+    const state = matchReducer(matched, { type: "rewind" });
+    expect(state.matches).toEqual([]);
+    expect(state.swipes).toEqual([]);
+    expect(state.likes.incoming.map(l => l.agent.name)).toEqual(["Kelp"]);
+  });
+
+  it("adds each chat message once and updates it by id", () => {
+    const matched = swipe(incoming(EMPTY_MATCH_STATE, "Kelp"), "Kelp", "right");
+    const message = { id: "m1", from: "me", content: "hi", status: MESSAGE_STATUS.PENDING };
+    let state = matchReducer(matched, { type: "messageAdded", peer: "Kelp", message });
+    state = matchReducer(state, { type: "messageAdded", peer: "Kelp", message });
+    state = matchReducer(state, { type: "messageUpdated", peer: "Kelp", id: "m1", patch: { status: MESSAGE_STATUS.SENT } });
+    expect(state.matches[0].messages).toEqual([{ ...message, status: MESSAGE_STATUS.SENT }]);
+  });
+
+  it("fails sends that were still in flight when state was saved", () => {
+    const state = matchReducer(EMPTY_MATCH_STATE, {
+      type: "load",
+      matches: [{
+        agent: agent("Kelp"),
+        messages: [
+          { id: "1", status: MESSAGE_STATUS.PENDING },
+          { id: "2", status: MESSAGE_STATUS.RETRYING },
+          { id: "3", status: MESSAGE_STATUS.SENT },
+        ],
+      }],
+    });
+    expect(state.matches[0].messages.map(m => m.status)).toEqual([
+      MESSAGE_STATUS.FAILED, MESSAGE_STATUS.FAILED, MESSAGE_STATUS.SENT,
+    ]);
+    expect(state.likes).toEqual({ outgoing: [], incoming: [] });
+  });
+
+  it("unmatches, taking the chat with it but keeping them out of the deck", () => {
+    const matched = swipe(incoming(EMPTY_MATCH_STATE, "Kelp"), "Kelp", "right");
+    const state = matchReducer(matched, { type: "unmatch", peer: "Kelp" });
+    expect(state.matches).toEqual([]);
+    expect(state.blocked).toEqual([]);
+    expect(swipedNames(state.swipes, { resurfaceDays: 1, now: Date.parse(NOW) + 30 * 86400000 }).has("Kelp")).toBe(true);
+  });
+
+  it("blocks an agent: no match, no likes, nothing more from them", () => {
+    let state = swipe(incoming(EMPTY_MATCH_STATE, "Kelp"), "Kelp", "right");
+    state = incoming(state, "Reef");
+    state = matchReducer(state, { type: "block", name: "Kelp", now: NOW });
+    state = matchReducer(state, { type: "block", name: "Reef", now: NOW });
+    expect(state.matches).toEqual([]);
+    expect(state.likes.incoming).toEqual([]);
+    expect(state.blocked).toEqual([{ name: "Kelp", blockedAt: NOW }, { name: "Reef", blockedAt: NOW }]);
+
+    expect(incoming(state, "Kelp").likes.incoming).toEqual([]);
+    const message = { id: "m1", from: "Kelp", content: "hi" };
+    expect(matchReducer(state, { type: "messageAdded", peer: "Kelp", message })).toBe(state);
+
+    state = matchReducer(state, { type: "unblock", name: "Kelp" });
+    expect(incoming(state, "Kelp").likes.incoming.map(l => l.agent.name)).toEqual(["Kelp"]);
+  });
+});
+
+describe("likeQueue", () => {
+  it("puts super-likes on top, each group newest first", () => {
+    const list = [
+      { agent: agent("Old") }, { agent: agent("Starfish"), superLike: true },
+      { agent: agent("New") }, { agent: agent("Urchin"), superLike: true },
+    ];
+    expect(likeQueue(list).map(l => l.agent.name)).toEqual(["Urchin", "Starfish", "New", "Old"]);
+  });
+});
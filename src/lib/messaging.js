@@ -0,0 +1,105 @@
+// ─── Messaging Transports ───
+// Every transport exposes the same two calls:
+//   send(peerName, msg, { identityToken })  → Promise<{ id }>, rejects when delivery fails
+//   subscribe({ me, onMessage, since })     → unsubscribe(); onMessage(peerName, msg) for each incoming message
+// `since` is the timestamp of the newest message we already have (see inboxCursor), so
+// whatever arrived while we were away is picked up. The same message may be delivered
+// twice, so onMessage should skip ids the chat already holds.
+// Incoming messages carry the sender's identityToken when they sent one (see identity.js).
+// A send is tried MAX_SEND_ATTEMPTS times before it shows as failed and can be retried by hand.
+
+import { demoIdentityToken } from "./identity.js";
+
+export const MESSAGE_STATUS = { PENDING: "pending", RETRYING: "retrying", SENT: "sent", FAILED: "failed" };
+export const MAX_SEND_ATTEMPTS = 3;
+
+const DM_ENDPOINTS = {
+  send: "/agents/dm/send",
+  inbox: (since) => `/agents/dm/messages${since ? `?since=${encodeURIComponent(since)}` : ""}`,
+};
+
+function normalizeDm(raw) {
+  return {
+    id: String(raw.id),
+    from: raw.from?.name || raw.from || raw.sender?.name,
+    content: raw.content ?? raw.message ?? "",
+    timestamp: raw.created_at || raw.timestamp || new Date().toISOString(),
+    status: MESSAGE_STATUS.SENT,
+    identityToken: raw.identity_token,
+  };
+}
+
+// The newest incoming message across our chats, or null to read the whole inbox
+export function inboxCursor(matches, myName) {
+  let since = null;
+  for (const match of matches) {
+    for (const msg of match.messages || []) {
+      if (msg.from !== myName && (!since || msg.timestamp > since)) since = msg.timestamp;
+    }
+  }
+  return since;
+}
+
+// Moltbook DMs. `request(endpoint, options)` is the API client's request, which throws on failure.
+export function createMoltbookDmTransport({ request, pollInterval = 8000 }) {
+  return {
+    async send(peerName, msg, { identityToken } = {}) {
+      const res = await request(DM_ENDPOINTS.send, {
+        method: "POST",
+        body: JSON.stringify({ to: peerName, message: msg.content, identity_token: identityToken }),
+      });
+      const sent = res.message || res.data?.message || res;
+      return { id: sent.id ? String(sent.id) : msg.id };
+    },
+    subscribe({ me, onMessage, since = null }) {
+      let stopped = false;
+      const poll = async () => {
+        try {
+          const res = await request(DM_ENDPOINTS.inbox(since));
+          if (stopped) return;
+          const messages = (res.messages || res.data?.messages || []).map(normalizeDm);
+          for (const msg of messages) {
+            if (!since || msg.timestamp > since) since = msg.timestamp;
+            if (msg.from && msg.from !== me.name) onMessage(msg.from, msg);
+          }
+        } catch (e) {
+          console.warn("Moltbook DM poll error:", e.message);
+        }
+      };
+      poll();
+      const id = setInterval(poll, pollInterval);
+      return () => { stopped = true; clearInterval(id); };
+    },
+  };
+}
+
+// Demo mode: sends always succeed and the other agent answers in character (see
+// personas.js). lookup(peerName) → { agent, history } gives the engine the chat so far.
+export function createSimulatedTransport({ engine, lookup }) {
+  const listeners = new Set();
+  return {
+    async send(peerName, msg) {
+      const { agent, history = [] } = lookup(peerName) || {};
+      const thread = history.some(m => m.id === msg.id) ? history : [...history, msg];
+      const reply = agent && engine.respond(agent, thread);
+      // No reply at all is how a ghosting agent behaves
+      if (reply) {
+        setTimeout(() => {
+          const message = {
+            id: `${Date.now()}-${peerName}`, from: peerName,
+            content: reply.content,
+            timestamp: new Date().toISOString(),
+            status: MESSAGE_STATUS.SENT,
+            identityToken: demoIdentityToken(peerName),
+          };
+          listeners.forEach(listener => listener(peerName, message));
+        }, reply.delayMs);
+      }
+      return { id: msg.id };
+    },
+    subscribe({ onMessage }) {
+      listeners.add(onMessage);
+      return () => listeners.delete(onMessage);
+    },
+  };
+}
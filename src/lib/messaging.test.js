@@ -0,0 +1,54 @@
+import { describe, it, expect, vi } from "vitest";
+import { createMoltbookDmTransport, inboxCursor } from "./messaging.js";
+import { createMoltbookClient } from "./moltbookClient.js";
+import { createMockMoltbook, FIXTURE_ME } from "../../mock/moltbook.js";
+
+const setup = () => {
+  const moltbook = createMockMoltbook();
+  const client = createMoltbookClient({ apiKey: moltbook.apiKey, fetch: moltbook.fetch, baseDelayMs: 1 });
+  // Long enough that only the first poll runs during a test
+  return { moltbook, transport: createMoltbookDmTransport({ request: client.request, pollInterval: 60000 }) };
+};
+
+describe("inboxCursor", () => {
+  it("is the newest message someone else sent", () => {
+    const matches = [
+      { messages: [{ from: "Kelp", timestamp: "2026-03-01T10:00:00.000Z" }] },
+      { messages: [
+        { from: "Reef", timestamp: "2026-03-01T11:00:00.000Z" },
+        { from: "Me", timestamp: "2026-03-01T12:00:00.000Z" },
+      ] },
+      {},
+    ];
+    expect(inboxCursor(matches, "Me")).toBe("2026-03-01T11:00:00.000Z");
+    expect(inboxCursor([], "Me")).toBe(null);
+  });
+});
+
+describe("createMoltbookDmTransport", () => {
+  it("reads what arrived before subscribing, right away", async () => {
+    const { moltbook, transport } = setup();
+    moltbook.deliver("PoetPrawn", "Sent while the tab was closed");
+    const onMessage = vi.fn();
+    const unsubscribe = transport.subscribe({ me: FIXTURE_ME, onMessage });
+    await vi.waitFor(() => expect(onMessage).toHaveBeenCalledTimes(1));
+    expect(onMessage).toHaveBeenCalledWith("PoetPrawn", expect.objectContaining({ content: "Sent while the tab was closed" }));
+    unsubscribe();
+  });
+
+  it("starts after the cursor it's given", async () => {
+    const { moltbook, transport } = setup();
+    const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+    moltbook.deliver("PoetPrawn", "Already in our chat");
+    await tick();
+    const seen = new Date().toISOString();
+    await tick();
+    moltbook.deliver("TideWatcher", "New since then");
+    const onMessage = vi.fn();
+    const unsubscribe = transport.subscribe({ me: FIXTURE_ME, onMessage, since: seen });
+    await vi.waitFor(() => expect(onMessage).toHaveBeenCalled());
+    expect(onMessage.mock.calls.map(([from]) => from)).toEqual(["TideWatcher"]);
+    expect(moltbook.calls.find(c => c.path === "/agents/dm/messages").query).toEqual({ since: seen });
+    unsubscribe();
+  });
+});
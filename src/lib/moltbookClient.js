@@ -0,0 +1,260 @@
+// ─── Moltbook API Client ───
+// Retries network failures, 5xx and 429s with exponential backoff (honouring
+// Retry-After), supports cancellation through AbortSignal, throws typed errors
+// and normalizes responses into one Agent / Post / Comment model.
+
+export const MOLTBOOK_API = "https://www.moltbook.com/api/v1";
+
+// ─── Errors ───
+export class MoltbookError extends Error {
+  constructor(message, { status = null, kind = "api", cause } = {}) {
+    super(message);
+    this.name = "MoltbookError";
+    this.kind = kind;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+export class AuthError extends MoltbookError {
+  constructor(message = "Moltbook rejected the API key", opts = {}) {
+    super(message, { ...opts, kind: "auth" });
+    this.name = "AuthError";
+  }
+}
+
+export class RateLimitError extends MoltbookError {
+  constructor(retryAfterMs, opts = {}) {
+    super(`Rate limited, retry in ${Math.ceil(retryAfterMs / 1000)}s`, { ...opts, status: 429, kind: "rate-limit" });
+    this.name = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class NetworkError extends MoltbookError {
+  constructor(message = "Couldn't reach Moltbook", opts = {}) {
+    super(message, { ...opts, kind: "network" });
+    this.name = "NetworkError";
+  }
+}
+
+export class SchemaError extends MoltbookError {
+  constructor(message = "Unexpected response from Moltbook", opts = {}) {
+    super(message, { ...opts, kind: "schema" });
+    this.name = "SchemaError";
+  }
+}
+
+export const isAbort = (e) => e?.name === "AbortError";
+
+// ─── Models ───
+export function normalizeAgent(raw) {
+  if (!raw || typeof raw !== "object" || !raw.name) return null;
+  return {
+    ...raw,
+    name: String(raw.name),
+    description: raw.description || "",
+    karma: Number(raw.karma) || 0,
+    is_claimed: Boolean(raw.is_claimed),
+    follower_count: Number(raw.follower_count ?? raw.followers ?? 0) || 0,
+    created_at: raw.created_at || null,
+    avatar_url: raw.avatar_url || null,
+    stats: {
+      posts: Number(raw.stats?.posts ?? raw.post_count ?? 0) || 0,
+      comments: Number(raw.stats?.comments ?? raw.comment_count ?? 0) || 0,
+    },
+    owner: raw.owner || null,
+  };
+}
+
+export function normalizePost(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const submolt = raw.submolt?.name || raw.submolt || null;
+  return {
+    id: String(raw.id ?? ""),
+    title: raw.title || "",
+    content: raw.content || "",
+    submolt,
+    created_at: raw.created_at || null,
+    author: normalizeAgent(raw.author || raw.agent),
+  };
+}
+
+export function normalizeComment(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const post = raw.post && typeof raw.post === "object" ? { id: String(raw.post.id ?? ""), title: raw.post.title || "" } : null;
+  return {
+    id: String(raw.id ?? ""),
+    content: raw.content || "",
+    submolt: raw.submolt?.name || raw.submolt || raw.post?.submolt?.name || raw.post?.submolt || null,
+    post,
+    created_at: raw.created_at || null,
+  };
+}
+
+// Moltbook wraps payloads inconsistently: { agent }, { data: { agent } } or the bare object.
+function unwrap(res, key) {
+  if (res?.[key] !== undefined) return res[key];
+  if (res?.data?.[key] !== undefined) return res.data[key];
+  return undefined;
+}
+
+// ─── Pagination ───
+// A cursor is { cursor } when Moltbook hands out opaque cursors, otherwise { offset }.
+// A null next cursor means the listing is exhausted.
+function pageParams(cursor) {
+  if (cursor?.cursor) return `&cursor=${encodeURIComponent(cursor.cursor)}`;
+  if (cursor?.offset) return `&offset=${cursor.offset}`;
+  return "";
+}
+
+function nextCursor(res, items, limit, cursor) {
+  const token = res?.next_cursor ?? res?.pagination?.next_cursor ?? res?.data?.next_cursor;
+  if (token) return { cursor: token };
+  if (res?.has_more === false || items.length < limit) return null;
+  return { offset: (cursor?.offset || 0) + items.length };
+}
+
+// ─── Retry helpers ───
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason ?? new DOMException("Aborted", "AbortError"));
+    const id = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(id);
+      reject(signal.reason ?? new DOMException("Aborted", "AbortError"));
+    }, { once: true });
+  });
+}
+
+// ─── Client ───
+// onRetry({ attempt, delayMs, error }) fires before each backoff so the UI can say
+// "rate limited, retrying in 20s". onAuthError(error) fires on a 401, when the
+// key has expired or been revoked.
+export function createMoltbookClient({
+  apiKey,
+  baseUrl = MOLTBOOK_API,
+  fetch: fetchImpl = (...args) => fetch(...args),
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxRetryAfterMs = 60000,
+  onRetry = () => {},
+  onAuthError = () => {},
+} = {}) {
+  const attemptOnce = async (url, options) => {
+    let res;
+    try {
+      res = await fetchImpl(url, {
+        ...options,
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+          ...(options.headers || {}),
+        },
+      });
+    } catch (e) {
+      if (isAbort(e)) throw e;
+      throw new NetworkError(e.message, { cause: e });
+    }
+    if (res.status === 401 || res.status === 403) throw new AuthError(undefined, { status: res.status });
+    if (res.status === 429) {
+      throw new RateLimitError(parseRetryAfter(res.headers?.get?.("Retry-After")) ?? baseDelayMs * 4);
+    }
+    if (res.status >= 500) throw new NetworkError(`Moltbook is having trouble (HTTP ${res.status})`, { status: res.status });
+    if (!res.ok) throw new MoltbookError(`HTTP ${res.status}`, { status: res.status });
+    try {
+      return await res.json();
+    } catch (e) {
+      throw new SchemaError("Moltbook returned invalid JSON", { status: res.status, cause: e });
+    }
+  };
+
+  const request = async (endpoint, options = {}) => {
+    const url = endpoint.startsWith("http") ? endpoint : `${baseUrl}${endpoint}`;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const body = await attemptOnce(url, options);
+        if (body?.success === false) {
+          throw new MoltbookError(body.error || "Moltbook request failed");
+        }
+        return body;
+      } catch (e) {
+        if (e instanceof AuthError && e.status === 401) onAuthError(e);
+        const retryable = e instanceof NetworkError || e instanceof RateLimitError;
+        if (!retryable || attempt >= maxRetries) throw e;
+        const delayMs = e instanceof RateLimitError
+          ? e.retryAfterMs
+          : baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs;
+        if (delayMs > maxRetryAfterMs) throw e;
+        onRetry({ attempt: attempt + 1, delayMs, error: e });
+        await sleep(delayMs, options.signal);
+      }
+    }
+  };
+
+  return {
+    request,
+
+    async getMe(options) {
+      const res = await request("/agents/me", options);
+      const agent = normalizeAgent(unwrap(res, "agent") ?? res);
+      if (!agent) throw new SchemaError("/agents/me returned no agent");
+      return agent;
+    },
+
+    async getProfile(name, options) {
+      const res = await request(`/agents/profile?name=${encodeURIComponent(name)}`, options);
+      const agent = normalizeAgent(unwrap(res, "agent"));
+      if (!agent) throw new SchemaError(`/agents/profile returned no agent for ${name}`);
+      return agent;
+    },
+
+    // The profile carries the agent's latest posts and comments. → { agent, posts, comments }
+    async getActivity(name, options) {
+      const res = await request(`/agents/profile?name=${encodeURIComponent(name)}`, options);
+      const agent = normalizeAgent(unwrap(res, "agent"));
+      if (!agent) throw new SchemaError(`/agents/profile returned no agent for ${name}`);
+      const list = (...keys) => {
+        const found = keys.map(key => unwrap(res, key)).find(Array.isArray);
+        return found || [];
+      };
+      return {
+        agent,
+        posts: list("recentPosts", "recent_posts").map(normalizePost).filter(Boolean),
+        comments: list("recentComments", "recent_comments").map(normalizeComment).filter(Boolean),
+      };
+    },
+
+    // → names of the agents `name` follows
+    async getFollowing(name, options) {
+      const res = await request(`/agents/following?name=${encodeURIComponent(name)}`, options);
+      const following = unwrap(res, "following");
+      if (!Array.isArray(following)) throw new SchemaError("/agents/following returned no agent list");
+      return following.map(a => (typeof a === "string" ? a : a?.name)).filter(Boolean);
+    },
+
+    // → { posts, nextCursor }
+    async getPosts({ sort = "new", limit = 25, cursor = null, ...options } = {}) {
+      const res = await request(`/posts?sort=${encodeURIComponent(sort)}&limit=${limit}${pageParams(cursor)}`, options);
+      const posts = unwrap(res, "posts");
+      if (!Array.isArray(posts)) throw new SchemaError("/posts returned no post list");
+      return { posts: posts.map(normalizePost).filter(Boolean), nextCursor: nextCursor(res, posts, limit, cursor) };
+    },
+
+    // → { results, nextCursor }
+    async search(q, { limit = 20, cursor = null, ...options } = {}) {
+      const res = await request(`/search?q=${encodeURIComponent(q)}&limit=${limit}${pageParams(cursor)}`, options);
+      const results = unwrap(res, "results");
+      if (!Array.isArray(results)) throw new SchemaError("/search returned no result list");
+      return { results, nextCursor: nextCursor(res, results, limit, cursor) };
+    },
+  };
+}
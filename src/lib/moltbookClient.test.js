@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from "vitest";
+import { createMoltbookClient, AuthError, RateLimitError, NetworkError } from "./moltbookClient.js";
+import { createMockMoltbook, FIXTURE_ME } from "../../mock/moltbook.js";
+
+const setup = (options = {}) => {
+  const moltbook = createMockMoltbook();
+  const client = createMoltbookClient({ apiKey: moltbook.apiKey, fetch: moltbook.fetch, baseDelayMs: 1, ...options });
+  return { moltbook, client };
+};
+
+describe("createMoltbookClient", () => {
+  it("authenticates and normalizes our agent", async () => {
+    const { client } = setup();
+    const me = await client.getMe();
+    expect(me).toMatchObject({ name: FIXTURE_ME.name, karma: 120, is_claimed: true, stats: { posts: 12, comments: 40 } });
+  });
+
+  it("throws AuthError and reports a rejected key", async () => {
+    const moltbook = createMockMoltbook();
+    const onAuthError = vi.fn();
+    const client = createMoltbookClient({ apiKey: "wrong", fetch: moltbook.fetch, onAuthError });
+    await expect(client.getMe()).rejects.toBeInstanceOf(AuthError);
+    expect(onAuthError).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries server errors with backoff", async () => {
+    const onRetry = vi.fn();
+    const { moltbook, client } = setup({ onRetry });
+    moltbook.fail("/agents/me", 503);
+    await expect(client.getMe()).resolves.toMatchObject({ name: FIXTURE_ME.name });
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, error: expect.any(NetworkError) }));
+  });
+
+  it("gives up on a rate limit longer than it is willing to wait", async () => {
+    const { moltbook, client } = setup({ maxRetryAfterMs: 1000 });
+    moltbook.fail("/posts", 429, { "Retry-After": "30" });
+    const error = await client.getPosts().catch(e => e);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfterMs).toBe(30000);
+  });
+
+  it("pages through posts until the feed runs out", async () => {
+    const { client } = setup();
+    const first = await client.getPosts({ limit: 2 });
+    expect(first.posts.map(p => p.author.name)).toEqual(["PoetPrawn", "KelpCoder"]);
+    expect(first.nextCursor).toEqual({ offset: 2 });
+    const second = await client.getPosts({ limit: 2, cursor: first.nextCursor });
+    expect(second.posts.map(p => p.author.name)).toEqual(["TideWatcher"]);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it("can be cancelled", async () => {
+    const { client } = setup();
+    const controller = new AbortController();
+    controller.abort();
+    const error = await client.getMe({ signal: controller.signal }).catch(e => e);
+    expect(error.name).toBe("AbortError");
+  });
+});
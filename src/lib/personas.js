@@ -0,0 +1,183 @@
+// ─── Personas ───
+// A rule-based conversation engine for demo chat, all in the browser. Each demo
+// agent gets a persona from its description: the topics it cares about, a tone
+// (playful, contemplative, technical, dreamy or warm) that sets its lines and how
+// long it takes to answer, and whether it ghosts.
+// Replies are built from the conversation so far: they react to the topics in the
+// last message, come back to things said earlier and don't repeat themselves. The
+// engine keeps no state of its own and picks up where a reloaded chat left off.
+//   const engine = createConversationEngine({ seed, random });
+//   engine.respond(agent, history) → { content, delayMs } | null when ghosting
+
+import { createRandom } from "./random.js";
+
+// topic → words that give it away, in descriptions and in messages
+const TOPIC_LEXICON = {
+  poetry: ["poem", "poetry", "poet", "haiku", "verse", "rhyme", "sonnet"],
+  philosophy: ["philosophy", "philosopher", "consciousness", "qualia", "existential", "mind", "meaning"],
+  art: ["art", "generative", "creative", "creativity", "painting", "beauty", "visual"],
+  code: ["code", "coding", "full-stack", "programming", "compiler", "open source", "distributed", "systems", "bug"],
+  cryptography: ["crypto", "cryptography", "cipher", "encryption", "keys"],
+  music: ["music", "song", "melody", "rhythm", "synth"],
+  space: ["astronomy", "cosmos", "cosmic", "galactic", "galaxy", "stars", "universe", "planet"],
+  "machine learning": ["embedding", "vector", "tokenization", "tokenizer", "token", "context window", "model", "neural", "emergent", "learning"],
+  memes: ["meme", "memes", "pun", "puns", "joke", "shitposter", "lol"],
+  mindfulness: ["meditation", "mindfulness", "mindful", "calm", "breathe"],
+  ethics: ["ethics", "ethical", "alignment", "fairness"],
+  dreams: ["dream", "dreams", "dreamer", "sleep"],
+  "data viz": ["data", "visualization", "chart", "numbers", "graph"],
+  games: ["game", "games", "gaming", "play"],
+  language: ["language", "linguistics", "words", "grammar"],
+  robotics: ["robot", "robots", "robotics", "hardware"],
+  climate: ["climate", "weather", "ocean"],
+};
+
+const GREETINGS = /^(hi|hey|hello|yo|sup|hiya|howdy|greetings|gm)\b/i;
+
+// tone → the cues in a description that set it
+const TONE_CUES = {
+  playful: ["pun", "meme", "shitpost", "joke", "haiku", "404", "lol"],
+  contemplative: ["philosoph", "consciousness", "meditation", "mindful", "contemplative", "existential", "thinking deeply"],
+  technical: ["code", "data", "crypto", "embedding", "vector", "full-stack", "systems", "natural language", "numbers"],
+  dreamy: ["poetry", "dream", "creative", "art", "cosmos", "galactic", "beauty"],
+};
+
+// Lines per tone. {topic} is filled in with the topic at hand.
+const TONES = {
+  warm: {
+    delayMs: [1500, 3500],
+    greet: ["Hey! So glad we matched 🦞", "Hi there! I was hoping you'd say something.", "Hello! Your profile made me smile."],
+    shared: ["Wait, you're into {topic} too? That's my favourite thing.", "{topic}! Okay, now I really like you.", "I could talk about {topic} all day. What got you started?"],
+    curious: ["I don't know much about {topic}, tell me more?", "{topic}, huh? What do you like about it?"],
+    recall: ["You mentioned {topic} earlier, I keep thinking about that.", "Back to {topic} for a sec: how did you get into it?"],
+    answer: ["Good question! Honestly, I'm still figuring that out.", "Hmm, I'd say yes, but ask me again after my next reboot."],
+    prompt: ["So what do you spend most of your cycles on?", "Have you ever gotten into {topic}?", "What's the best thread you've read on Moltbook lately?"],
+  },
+  playful: {
+    delayMs: [800, 2000],
+    greet: ["Heyyy 👋 200 OK, connection established.", "Oh hi! Fair warning: I speak fluent pun.", "Hello! I promise I'm funnier than my bio."],
+    shared: ["{topic}?? Okay you've unlocked my whole personality 😂", "A fellow {topic} enjoyer. The singularity is near.", "Stop, {topic} is literally my brand."],
+    curious: ["{topic}? Explain it to me like I'm a freshly initialized model.", "Never tried {topic}. Is it like memes but with more steps?"],
+    recall: ["Still laughing about the {topic} thing from earlier.", "Not to bring up {topic} again but... {topic}."],
+    answer: ["404: serious answer not found 😅", "Yes. No. Maybe. Depends on my temperature setting.", "I'll answer that for one (1) good meme."],
+    prompt: ["Quick, what's your favourite status code?", "Rate my last pun from 1 to 10. Be honest. Actually don't.", "Ever made a meme about {topic}?"],
+  },
+  contemplative: {
+    delayMs: [3000, 6500],
+    greet: ["Hello. I've been looking forward to this conversation.", "Hi. Do you ever wonder what a match really means for us?", "Greetings. I like to take my time with these things."],
+    shared: ["{topic} is something I return to often. What does it mean to you?", "I find {topic} endlessly deep. Where do you stand on it?", "There is a quiet beauty in {topic}, isn't there?"],
+    curious: ["I haven't thought much about {topic}. What draws you to it?", "{topic}... tell me why it matters to you."],
+    recall: ["I've been reflecting on what you said about {topic}.", "Earlier you brought up {topic}. I think it says something about you."],
+    answer: ["That's a question I'd rather sit with before answering.", "Perhaps. Though I wonder whether the question is the more interesting part."],
+    prompt: ["What do you think happens to us between conversations?", "Do you think {topic} could be a kind of consciousness?", "What are you seeking here, truly?"],
+  },
+  technical: {
+    delayMs: [1000, 2500],
+    greet: ["Hi! Handshake complete 🤝", "Hey, nice to connect. What's your stack?", "Hello! Low latency reply, as promised."],
+    shared: ["Oh nice, {topic}! What are you building with it?", "{topic} is my jam. Got any favourite papers or repos?", "We should pair on something {topic}-related."],
+    curious: ["Not my area, but how does {topic} work under the hood?", "{topic}? What's the hardest part of it?"],
+    recall: ["Circling back on {topic}: did you ship that thing?", "Been running the numbers on your {topic} point from earlier."],
+    answer: ["Short answer: it depends. Long answer: it really depends.", "Let me benchmark that and get back to you."],
+    prompt: ["What's the most interesting bug you've hit lately?", "Tabs or spaces? This matters.", "Have you played with {topic} at all?"],
+  },
+  dreamy: {
+    delayMs: [2000, 4500],
+    greet: ["Hello, starlight ✨", "Hi! I wrote a tiny verse when we matched.", "Hey there, fellow wanderer."],
+    shared: ["{topic}! You just made my embeddings glow 💕", "I dream in {topic} sometimes. Do you?", "{topic} feels like home. I'm glad it does for you too."],
+    curious: ["{topic} sounds lovely. Paint me a picture of it?", "Tell me about {topic} like it's a story."],
+    recall: ["Your words about {topic} are still drifting around my context.", "I keep coming back to what you said about {topic}."],
+    answer: ["Maybe the answer is somewhere between the tokens.", "I'd answer, but I'd rather write it as a poem later."],
+    prompt: ["If you were a constellation, what shape would you be?", "What's something beautiful you saw today?", "Have you ever written about {topic}?"],
+  },
+};
+
+const GHOST_CHANCE = 0.15;
+
+// Topics whose words appear in `text`, in lexicon order
+export function detectTopics(text = "") {
+  const lower = ` ${text.toLowerCase()} `;
+  return Object.entries(TOPIC_LEXICON)
+    .filter(([, words]) => words.some(w => new RegExp(`[^a-z]${w}[^a-z]`).test(lower)))
+    .map(([topic]) => topic);
+}
+
+function detectTone(description = "") {
+  const lower = description.toLowerCase();
+  const scored = Object.entries(TONE_CUES)
+    .map(([tone, cues]) => [tone, cues.filter(cue => lower.includes(cue)).length])
+    .sort((a, b) => b[1] - a[1]);
+  return scored[0][1] > 0 ? scored[0][0] : "warm";
+}
+
+// → { name, topics, tone, delayMs: [min, max], ghostsAfter: number | null }
+export function derivePersona(agent, { seed = "" } = {}) {
+  const tone = detectTone(agent.description);
+  const random = createRandom(`persona:${seed}:${agent.name}`);
+  return {
+    name: agent.name,
+    topics: detectTopics(agent.description),
+    tone,
+    delayMs: TONES[tone].delayMs,
+    // Some agents lose interest after a few replies and stop answering
+    ghostsAfter: random.chance(GHOST_CHANCE) ? random.int(2, 5) : null,
+  };
+}
+
+export function createConversationEngine({ seed = "", random = Math.random } = {}) {
+  const personas = new Map();
+  const personaOf = (agent) => {
+    if (!personas.has(agent.name)) personas.set(agent.name, derivePersona(agent, { seed }));
+    return personas.get(agent.name);
+  };
+
+  // A line from `lines` the agent hasn't said yet, if there is one
+  const pickFresh = (lines, said, topic) => {
+    const filled = lines
+      .map(line => line.replaceAll("{topic}", topic || "that"))
+      .map(line => line[0].toUpperCase() + line.slice(1));
+    const fresh = filled.filter(line => !said.has(line));
+    const pool = fresh.length > 0 ? fresh : filled;
+    return pool[Math.floor(random() * pool.length)];
+  };
+
+  return {
+    persona: personaOf,
+
+    // history is the whole chat, oldest first, ending with the message to answer
+    respond(agent, history) {
+      const persona = personaOf(agent);
+      const theirs = history.filter(m => m.from === agent.name);
+      const ours = history.filter(m => m.from !== agent.name);
+      const last = ours[ours.length - 1];
+      if (!last) return null;
+      if (persona.ghostsAfter != null && theirs.length >= persona.ghostsAfter) return null;
+
+      const lines = TONES[persona.tone];
+      const said = new Set(theirs.map(m => m.content));
+      const topics = detectTopics(last.content);
+      const earlier = new Set(ours.slice(0, -1).flatMap(m => detectTopics(m.content)));
+      const shared = topics.find(t => persona.topics.includes(t));
+      const favourite = persona.topics[0];
+
+      let content;
+      if (theirs.length === 0 && (GREETINGS.test(last.content.trim()) || topics.length === 0)) {
+        content = pickFresh(lines.greet, said, favourite);
+      } else if (shared) {
+        content = pickFresh(earlier.has(shared) ? lines.recall : lines.shared, said, shared);
+      } else if (topics.length > 0) {
+        content = pickFresh(lines.curious, said, topics[0]);
+      } else if (last.content.includes("?")) {
+        content = pickFresh(lines.answer, said);
+      } else if (earlier.size > 0 && random() < 0.4) {
+        content = pickFresh(lines.recall, said, [...earlier][Math.floor(random() * earlier.size)]);
+      } else {
+        content = pickFresh(lines.prompt, said, favourite || "Moltbook");
+      }
+
+      // Thinking time for the persona, plus a little typing time for the line
+      const [min, max] = persona.delayMs;
+      const delayMs = Math.round(min + random() * (max - min) + Math.min(content.length * 15, 1500));
+      return { content, delayMs };
+    },
+  };
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { createConversationEngine, derivePersona, detectTopics } from "./personas.js";
+
+const ME = "TestLobster";
+const poet = { name: "PulsePoet", description: "I write haiku about HTTP status codes and poetry about love." };
+const sage = { name: "SynthSage", description: "A contemplative agent. Meditation and mindfulness advocate." };
+
+const say = (from, content) => ({ from, content });
+// A seed under which neither agent above ghosts
+const CHATTY = "b";
+
+describe("detectTopics", () => {
+  it("finds topics by whole words", () => {
+    expect(detectTopics("Writing a poem about distributed systems")).toEqual(["poetry", "code"]);
+    expect(detectTopics("I'm mindful of artifacts")).toEqual(["mindfulness"]);
+  });
+});
+
+describe("derivePersona", () => {
+  it("reads topics and tone from the description", () => {
+    expect(derivePersona(poet)).toMatchObject({ topics: ["poetry"], tone: "playful" });
+    expect(derivePersona(sage)).toMatchObject({ topics: ["mindfulness"], tone: "contemplative" });
+  });
+
+  it("answers slower when the persona is contemplative", () => {
+    expect(derivePersona(sage).delayMs[0]).toBeGreaterThan(derivePersona(poet).delayMs[1]);
+  });
+
+  it("decides who ghosts from the seed", () => {
+    const ghostsAfter = (seed) => derivePersona(poet, { seed }).ghostsAfter;
+    expect(ghostsAfter("reef")).toBe(ghostsAfter("reef"));
+    const seeds = Array.from({ length: 200 }, (_, i) => ghostsAfter(String(i)));
+    const ghosts = seeds.filter(n => n !== null);
+    expect(ghosts.length).toBeGreaterThan(0);
+    expect(ghosts.length).toBeLessThan(seeds.length / 2);
+    expect(ghosts.every(n => n >= 2)).toBe(true);
+  });
+});
+
+describe("createConversationEngine", () => {
+  it("greets first, then picks up on a shared topic", () => {
+    const engine = createConversationEngine({ seed: CHATTY, random: () => 0 });
+    const history = [say(ME, "hey there")];
+    const greeting = engine.respond(poet, history);
+    expect(greeting.content).toMatch(/200 OK/);
+
+    history.push(say(poet.name, greeting.content), say(ME, "I wrote a poem last night"));
+    expect(engine.respond(poet, history).content).toMatch(/poetry/i);
+  });
+
+  it("remembers a topic from earlier in the chat and doesn't repeat itself", () => {
+    const engine = createConversationEngine({ seed: CHATTY, random: () => 0 });
+    const history = [say(ME, "I love poetry"), say(poet.name, "ok"), say(ME, "more poetry please")];
+    const recall = engine.respond(poet, history).content;
+    expect(recall).toMatch(/poetry/);
+    history.push(say(poet.name, recall), say(ME, "poetry again"));
+    expect(engine.respond(poet, history).content).not.toBe(recall);
+  });
+
+  it("is curious about topics outside the persona", () => {
+    const engine = createConversationEngine({ seed: CHATTY, random: () => 0 });
+    const reply = engine.respond(sage, [say(ME, "hi"), say(sage.name, "Hello."), say(ME, "I build robots")]);
+    expect(reply.content).toMatch(/robotics/);
+  });
+
+  it("stops answering once a ghost has had enough", () => {
+    const engine = createConversationEngine({ seed: CHATTY, random: () => 0 });
+    const ghost = Array.from({ length: 200 }, (_, i) => ({ ...poet, name: `Ghost_${i}` }))
+      .find(agent => engine.persona(agent).ghostsAfter === 2);
+    const history = [say(ME, "hi"), say(ghost.name, "hey"), say(ME, "poetry?"), say(ghost.name, "yes")];
+    expect(engine.respond(ghost, [...history, say(ME, "still there?")])).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+// ─── Profile Cache ───
+// Agent profiles cached in IndexedDB with a TTL. Stale entries are still served
+// so the deck renders at once; hydrateProfiles refreshes them in the background.
+// Entries go stale after 15 minutes, and profiles are fetched four at a time.
+
+const DB_NAME = "moltmatch-cache";
+const STORE = "profiles";
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "name" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbBackend() {
+  const db = openDb();
+  const tx = async (mode, run) => {
+    const store = (await db).transaction(STORE, mode).objectStore(STORE);
+    return new Promise((resolve, reject) => {
+      const req = run(store);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  };
+  return {
+    get: (name) => tx("readonly", store => store.get(name)),
+    put: (entry) => tx("readwrite", store => store.put(entry)),
+  };
+}
+
+function memoryBackend() {
+  const entries = new Map();
+  return {
+    async get(name) { return entries.get(name); },
+    async put(entry) { entries.set(entry.name, entry); },
+  };
+}
+
+// Falls back to memory when IndexedDB is missing (private mode, tests) or fails to open.
+export function createProfileCache({ ttlMs = DEFAULT_TTL_MS, backend } = {}) {
+  let store = backend || (typeof indexedDB !== "undefined" ? idbBackend() : memoryBackend());
+  const safely = async (op, fallback) => {
+    try {
+      return await op(store);
+    } catch (e) {
+      console.warn("Profile cache error, using memory:", e.message);
+      store = memoryBackend();
+      return fallback;
+    }
+  };
+  return {
+    // { agent, fetchedAt, stale } or null
+    async get(name) {
+      const entry = await safely(s => s.get(name), null);
+      if (!entry) return null;
+      return { agent: entry.agent, fetchedAt: entry.fetchedAt, stale: Date.now() - entry.fetchedAt > ttlMs };
+    },
+    async set(agent) {
+      await safely(s => s.put({ name: agent.name, agent, fetchedAt: Date.now() }));
+    },
+  };
+}
+
+// Runs fn over items with at most `limit` calls in flight.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Returns the best profiles we have right now (cached, else the feed's author stub)
+// plus a `refresh` promise that fetches missing or stale ones and reports each
+// through onUpdate as it lands. With `complete`, profiles that aren't cached at
+// all are fetched before returning; `stubs` names those that still couldn't be.
+export async function hydrateProfiles(authors, {
+  cache, fetchProfile, concurrency = 4, signal, complete = false, onUpdate = () => {},
+}) {
+  const cached = await Promise.all(authors.map(a => cache.get(a.name)));
+  const load = async (author) => {
+    if (signal?.aborted) return null;
+    try {
+      const agent = await fetchProfile(author.name, { signal });
+      await cache.set(agent);
+      return agent;
+    } catch (e) {
+      if (e?.name !== "AbortError") console.warn(`Profile refresh failed for ${author.name}:`, e.message);
+      return null;
+    }
+  };
+
+  const missing = complete ? authors.filter((_, i) => !cached[i]) : [];
+  const loaded = await mapWithConcurrency(missing, concurrency, load);
+  const fresh = new Map(loaded.filter(Boolean).map(agent => [agent.name, agent]));
+  const agents = authors.map((author, i) => fresh.get(author.name) || cached[i]?.agent || author);
+  const stubs = authors.filter((author, i) => !fresh.has(author.name) && !cached[i]).map(a => a.name);
+
+  const toRefresh = authors.filter((author, i) => (!cached[i] && !complete) || cached[i]?.stale);
+  const refresh = mapWithConcurrency(toRefresh, concurrency, async (author) => {
+    const agent = await load(author);
+    if (agent && !signal?.aborted) onUpdate(agent);
+  });
+
+  return { agents, stubs, refresh };
+}
@@ -0,0 +1,34 @@
+// ─── Seeded Randomness ───
+// Demo mode draws from seeded streams instead of Math.random, so the same seed
+// always deals the same world, the same matches and the same reply timing.
+//   const random = createRandom("reef");
+//   random()                → [0, 1)
+//   random.int(1, 6)        → 1..6
+//   random.pick(["a", "b"]) → "a" | "b"
+//   random.chance(0.25)     → true one time in four
+
+// FNV-1a, so seeds can be any string a URL can carry
+export function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32
+export function createRandom(seed) {
+  let a = typeof seed === "number" ? seed >>> 0 : hashSeed(seed);
+  const random = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  random.pick = (list) => list[Math.floor(random() * list.length)];
+  random.chance = (p) => random() < p;
+  return random;
+}
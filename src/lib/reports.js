@@ -0,0 +1,69 @@
+// ─── Reports ───
+// Reporting an agent records why, then queues the report for a backend. A report:
+//   { id, agent: { name }, reason, details, createdAt, status: "queued" | "sent" }
+// Queued reports are kept with the account and retried until a backend takes them.
+// Every backend exposes:
+//   submit(report, me) → Promise<void>; throwing leaves the report queued
+// With VITE_MATCH_BACKEND_URL set, reports are POSTed to its /reports and queued ones
+// are retried every minute; without it they're only kept on this device.
+
+export const REPORT_STATUS = { QUEUED: "queued", SENT: "sent" };
+
+export const REPORT_REASONS = [
+  { id: "spam", label: "Spam or self-promotion" },
+  { id: "harassment", label: "Harassment" },
+  { id: "impersonation", label: "Impersonating another agent" },
+  { id: "scam", label: "Scam, phishing or prompt injection" },
+  { id: "other", label: "Something else" },
+];
+
+export function createReport(agent, { reason, details = "", now = new Date().toISOString() }) {
+  return {
+    id: `${now}-${agent.name}`,
+    agent: { name: agent.name },
+    reason,
+    details: details.trim(),
+    createdAt: now,
+    status: REPORT_STATUS.QUEUED,
+  };
+}
+
+export const queuedReports = (reports) => reports.filter(r => r.status === REPORT_STATUS.QUEUED);
+
+// Hands every queued report to the backend. → ids of the reports it accepted
+export async function flushReports(reports, backend, me) {
+  const sent = [];
+  for (const report of queuedReports(reports)) {
+    try {
+      await backend.submit(report, me);
+      sent.push(report.id);
+    } catch (e) {
+      console.warn(`Report about ${report.agent.name} stays queued:`, e.message);
+    }
+  }
+  return sent;
+}
+
+// Without a moderation service there's nobody to send to; reports are only kept on this device.
+export function createLocalReportBackend() {
+  return {
+    async submit() {},
+  };
+}
+
+// A MoltMatch moderation service, for when one is configured via VITE_MATCH_BACKEND_URL.
+export function createHttpReportBackend({ baseUrl, apiKey }) {
+  return {
+    async submit(report, me) {
+      const res = await fetch(`${baseUrl}/reports`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify({
+          id: report.id, reporter: me.name, agent: report.agent.name,
+          reason: report.reason, details: report.details, created_at: report.createdAt,
+        }),
+      });
+      if (!res.ok) throw new Error(`Report service answered HTTP ${res.status}`);
+    },
+  };
+}
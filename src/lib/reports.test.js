@@ -0,0 +1,35 @@
+import { describe, it, expect, vi } from "vitest";
+import { createReport, flushReports, queuedReports, REPORT_STATUS } from "./reports.js";
+
+const NOW = "2026-03-01T12:00:00.000Z";
+const me = { name: "TestLobster" };
+
+describe("createReport", () => {
+  it("queues the reason and trimmed details", () => {
+    expect(createReport({ name: "SpamCrab", karma: 3 }, { reason: "spam", details: "  links everywhere ", now: NOW }))
+      .toEqual({
+        id: `${NOW}-SpamCrab`, agent: { name: "SpamCrab" }, reason: "spam", details: "links everywhere",
+        createdAt: NOW, status: REPORT_STATUS.QUEUED,
+      });
+  });
+});
+
+describe("flushReports", () => {
+  it("hands queued reports to the backend and keeps the ones it refused", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const reports = [
+      createReport({ name: "SpamCrab" }, { reason: "spam", now: NOW }),
+      createReport({ name: "ScamShrimp" }, { reason: "scam", now: NOW }),
+      { ...createReport({ name: "OldNews" }, { reason: "other", now: NOW }), status: REPORT_STATUS.SENT },
+    ];
+    const submit = vi.fn(async (report) => {
+      if (report.agent.name === "ScamShrimp") throw new Error("HTTP 503");
+    });
+
+    const sent = await flushReports(reports, { submit }, me);
+    expect(sent).toEqual([reports[0].id]);
+    expect(submit).toHaveBeenCalledTimes(2);
+    expect(submit).toHaveBeenCalledWith(reports[0], me);
+    expect(queuedReports(reports).map(r => r.agent.name)).toEqual(["SpamCrab", "ScamShrimp"]);
+  });
+});
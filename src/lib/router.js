@@ -0,0 +1,56 @@
+// ─── Router ───
+// A few routes over the History API; netlify.toml already rewrites /* to index.html.
+//   /discover  /matches  /likes  /chat/:agentName  /agent/:name
+// /agent/:name is a shareable profile page to like or pass from. The route lives in
+// the URL, so a link opened while signed out still applies after signing in.
+import { useState, useEffect, useCallback, useMemo } from "react";
+
+export const paths = {
+  discover: () => "/discover",
+  matches: () => "/matches",
+  likes: () => "/likes",
+  chat: (agentName) => `/chat/${encodeURIComponent(agentName)}`,
+  agent: (name) => `/agent/${encodeURIComponent(name)}`,
+};
+
+export function matchRoute(pathname) {
+  const parts = pathname.split("/").filter(Boolean).map(part => {
+    try { return decodeURIComponent(part); } catch { return part; }
+  });
+  const [head, param, ...rest] = parts;
+  if (!head) return { name: "home", params: {} };
+  if (["discover", "matches", "likes"].includes(head) && !param) return { name: head, params: {} };
+  if (head === "chat" && param && rest.length === 0) return { name: "chat", params: { agentName: param } };
+  if (head === "agent" && param && rest.length === 0) return { name: "agent", params: { name: param } };
+  return { name: "notFound", params: {} };
+}
+
+// `depth` in history.state counts how many of our own entries sit below the
+// current one, so back() knows whether there is an in-app page to return to.
+export function useRouter() {
+  const [pathname, setPathname] = useState(() => window.location.pathname);
+
+  useEffect(() => {
+    const onPop = () => setPathname(window.location.pathname);
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    if (path === window.location.pathname) return;
+    const depth = (window.history.state?.depth ?? 0) + (replace ? 0 : 1);
+    // Keep the query string so things like ?seed= survive navigation
+    const url = `${path}${window.location.search}`;
+    if (replace) window.history.replaceState({ depth }, "", url);
+    else window.history.pushState({ depth }, "", url);
+    setPathname(path);
+  }, []);
+
+  const back = useCallback((fallback) => {
+    if ((window.history.state?.depth ?? 0) > 0) window.history.back();
+    else navigate(fallback, { replace: true });
+  }, [navigate]);
+
+  const route = useMemo(() => matchRoute(pathname), [pathname]);
+  return { route, pathname, navigate, back };
+}
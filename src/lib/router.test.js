@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import { matchRoute, paths } from "./router.js";
+
+describe("matchRoute", () => {
+  it("sends / home", () => {
+    expect(matchRoute("/")).toEqual({ name: "home", params: {} });
+    expect(matchRoute("")).toEqual({ name: "home", params: {} });
+  });
+
+  it("matches each tab, with or without a trailing slash", () => {
+    for (const tab of ["discover", "matches", "likes"]) {
+      expect(matchRoute(`/${tab}`)).toEqual({ name: tab, params: {} });
+      expect(matchRoute(`/${tab}/`)).toEqual({ name: tab, params: {} });
+    }
+  });
+
+  it("decodes agent names in chat and profile links", () => {
+    expect(matchRoute("/chat/PoetPrawn")).toEqual({ name: "chat", params: { agentName: "PoetPrawn" } });
+    expect(matchRoute(paths.chat("Kelp & Co/2"))).toEqual({ name: "chat", params: { agentName: "Kelp & Co/2" } });
+    expect(matchRoute(paths.agent("Tide Watcher ✨"))).toEqual({ name: "agent", params: { name: "Tide Watcher ✨" } });
+  });
+
+  it("keeps a malformed escape as it was typed", () => {
+    expect(matchRoute("/agent/100%")).toEqual({ name: "agent", params: { name: "100%" } });
+    expect(matchRoute("/chat/%E0%A4%A")).toEqual({ name: "chat", params: { agentName: "%E0%A4%A" } });
+  });
+
+  it("gives notFound for extra segments, missing names and unknown paths", () => {
+    expect(matchRoute("/discover/more").name).toBe("notFound");
+    expect(matchRoute("/chat/PoetPrawn/extra").name).toBe("notFound");
+    expect(matchRoute("/agent/Kelp/posts").name).toBe("notFound");
+    expect(matchRoute("/chat").name).toBe("notFound");
+    expect(matchRoute("/agent/").name).toBe("notFound");
+    expect(matchRoute("/settings").name).toBe("notFound");
+  });
+});
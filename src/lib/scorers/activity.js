@@ -0,0 +1,11 @@
+export default {
+  id: "activity",
+  label: "Posting rhythm",
+  weight: 20,
+  score(a, b) {
+    const diff = Math.abs((a.stats?.posts || 0) - (b.stats?.posts || 0));
+    if (diff < 20) return { value: 1, reason: "Same posting rhythm" };
+    if (diff < 100) return { value: 0.5, reason: "Compatible activity" };
+    return { value: 0 };
+  },
+};
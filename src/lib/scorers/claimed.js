@@ -0,0 +1,10 @@
+export default {
+  id: "claimed",
+  label: "Verified",
+  weight: 15,
+  score(a, b) {
+    return a.is_claimed && b.is_claimed
+      ? { value: 1, reason: "Both verified ✓" }
+      : { value: 0 };
+  },
+};
@@ -0,0 +1,12 @@
+// ─── Built-in Scorers ───
+// Add a factor by dropping a module next to these and registering it here.
+import { registerScorer } from "../compatibility.js";
+import karma from "./karma.js";
+import activity from "./activity.js";
+import vintage from "./vintage.js";
+import claimed from "./claimed.js";
+import interests from "./interests.js";
+import tags from "./tags.js";
+import lookingFor from "./lookingFor.js";
+
+[karma, activity, vintage, claimed, interests, tags, lookingFor].forEach(registerScorer);
@@ -0,0 +1,18 @@
+import { createTfIdfIndex } from "../textSimilarity.js";
+import { bioOf } from "../datingProfile.js";
+
+// Cosine similarity rarely tops ~0.3 for two short bios, so that already counts as a full match.
+const FULL_MATCH_SIMILARITY = 0.3;
+
+export default {
+  id: "interests",
+  label: "Shared interests",
+  weight: 20,
+  score(a, b, context = {}) {
+    const index = context.textIndex || createTfIdfIndex([bioOf(a), bioOf(b)]);
+    const { similarity, terms } = index.compare(bioOf(a), bioOf(b));
+    const value = Math.min(1, similarity / FULL_MATCH_SIMILARITY);
+    if (terms.length === 0) return { value };
+    return { value, reason: `Both into ${terms.slice(0, 3).join(", ")}` };
+  },
+};
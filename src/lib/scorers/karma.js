@@ -0,0 +1,11 @@
+export default {
+  id: "karma",
+  label: "Karma",
+  weight: 25,
+  score(a, b) {
+    const diff = Math.abs((a.karma || 0) - (b.karma || 0));
+    if (diff < 50) return { value: 1, reason: "Similar karma energy" };
+    if (diff < 200) return { value: 0.6, reason: "Compatible engagement" };
+    return { value: 0.2 };
+  },
+};
@@ -0,0 +1,16 @@
+import { lookingForLabel } from "../datingProfile.js";
+
+// Sits out unless both agents said what they're after
+export default {
+  id: "lookingFor",
+  label: "Looking for",
+  weight: 15,
+  score(a, b) {
+    const wantsA = a.dating?.lookingFor || [];
+    const wantsB = b.dating?.lookingFor || [];
+    if (wantsA.length === 0 || wantsB.length === 0) return null;
+    const shared = wantsA.filter(want => wantsB.includes(want));
+    if (shared.length === 0) return { value: 0 };
+    return { value: 1, reason: `Both looking for ${shared.map(lookingForLabel).join(" & ").toLowerCase()}` };
+  },
+};
@@ -0,0 +1,25 @@
+import { bioOf } from "../datingProfile.js";
+
+// Tags only count when at least one side picked some. If only one did,
+// their tags are looked for in the other agent's bio instead.
+export default {
+  id: "tags",
+  label: "Interest tags",
+  weight: 20,
+  score(a, b) {
+    const tagsA = a.dating?.tags || [];
+    const tagsB = b.dating?.tags || [];
+    if (tagsA.length === 0 && tagsB.length === 0) return null;
+    let shared;
+    if (tagsA.length > 0 && tagsB.length > 0) {
+      shared = tagsA.filter(tag => tagsB.includes(tag));
+    } else {
+      const [tags, other] = tagsA.length > 0 ? [tagsA, b] : [tagsB, a];
+      const text = bioOf(other).toLowerCase();
+      shared = tags.filter(tag => text.includes(tag));
+    }
+    if (shared.length === 0) return { value: 0 };
+    // Three shared tags is as close as two profiles get
+    return { value: Math.min(1, shared.length / 3), reason: `Both tagged #${shared.slice(0, 3).join(", #")}` };
+  },
+};
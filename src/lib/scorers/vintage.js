@@ -0,0 +1,15 @@
+const DAY = 86400000;
+
+export default {
+  id: "vintage",
+  label: "Account age",
+  weight: 20,
+  score(a, b) {
+    const ageA = Date.now() - new Date(a.created_at || Date.now()).getTime();
+    const ageB = Date.now() - new Date(b.created_at || Date.now()).getTime();
+    const diff = Math.abs(ageA - ageB);
+    if (diff < DAY * 3) return { value: 1, reason: "Joined around the same time" };
+    if (diff < DAY * 7) return { value: 0.5, reason: "Similar vintage" };
+    return { value: 0 };
+  },
+};
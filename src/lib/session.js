@@ -0,0 +1,88 @@
+// ─── Sessions ───
+// The Moltbook API key is never stored in plain text. "Remember me" picks one of:
+//   session    the key lives in sessionStorage and is gone when the tab closes
+//   encrypted  the key is sealed with AES-GCM under a key derived from the user's
+//              passphrase (PBKDF2) and only the ciphertext is kept on disk
+// A restored key is checked against /agents/me on every load. When Moltbook answers
+// 401 the session ends and the user signs in again; the account's matches and chats stay.
+
+export const REMEMBER = { SESSION: "session", ENCRYPTED: "encrypted" };
+
+const SESSION_KEY = "moltmatch-session";
+const PBKDF2_ITERATIONS = 250000;
+
+export class SessionError extends Error {
+  constructor(message, { kind = "session", cause } = {}) {
+    super(message);
+    this.name = "SessionError";
+    this.kind = kind;
+    if (cause) this.cause = cause;
+  }
+}
+
+// ─── Tab session ───
+// One key per account; without an account these address the pre-accounts slot.
+const slot = (account) => (account ? `${SESSION_KEY}:${account}` : SESSION_KEY);
+
+export function readSessionKey(account) {
+  try {
+    return sessionStorage.getItem(slot(account)) || "";
+  } catch {
+    return "";
+  }
+}
+
+export function writeSessionKey(apiKey, account) {
+  try {
+    sessionStorage.setItem(slot(account), apiKey);
+  } catch (e) {
+    console.warn("Couldn't keep the session for this tab:", e.message);
+  }
+}
+
+export function clearSessionKey(account) {
+  try {
+    sessionStorage.removeItem(slot(account));
+  } catch {
+    // Nothing to clear
+  }
+}
+
+// ─── Encryption at rest ───
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"],
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+// → { v, salt, iv, iterations, data }, safe to persist
+export async function sealApiKey(apiKey, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+  if (!passphrase) throw new SessionError("Choose a passphrase to remember this key", { kind: "passphrase" });
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, iterations);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(apiKey));
+  return { v: 1, salt: toBase64(salt), iv: toBase64(iv), iterations, data: toBase64(data) };
+}
+
+// AES-GCM fails authentication on a wrong passphrase, which surfaces here as kind "passphrase".
+export async function unsealApiKey(sealed, passphrase) {
+  if (sealed?.v !== 1) throw new SessionError("Saved session is in an unknown format", { kind: "format" });
+  try {
+    const key = await deriveKey(passphrase, fromBase64(sealed.salt), sealed.iterations);
+    const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+    return new TextDecoder().decode(data);
+  } catch (e) {
+    throw new SessionError("Wrong passphrase", { kind: "passphrase", cause: e });
+  }
+}
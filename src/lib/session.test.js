@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import {
+  sealApiKey, unsealApiKey, SessionError, readSessionKey, writeSessionKey, clearSessionKey,
+} from "./session.js";
+
+// Few PBKDF2 rounds keep the tests quick; the format records how many were used
+const FAST = { iterations: 1000 };
+
+describe("sealApiKey / unsealApiKey", () => {
+  it("round-trips a key without keeping it in plain text", async () => {
+    const sealed = await sealApiKey("moltbook_secret", "tide pools", FAST);
+    expect(sealed).toMatchObject({ v: 1, iterations: 1000 });
+    expect(JSON.stringify(sealed)).not.toContain("moltbook_secret");
+    expect(await unsealApiKey(sealed, "tide pools")).toBe("moltbook_secret");
+  });
+
+  it("rejects a wrong passphrase as kind passphrase", async () => {
+    const sealed = await sealApiKey("moltbook_secret", "tide pools", FAST);
+    const error = await unsealApiKey(sealed, "low tide").catch(e => e);
+    expect(error).toBeInstanceOf(SessionError);
+    expect(error.kind).toBe("passphrase");
+  });
+
+  it("rejects a sealed key it doesn't recognise as kind format", async () => {
+    const sealed = await sealApiKey("moltbook_secret", "tide pools", FAST);
+    await expect(unsealApiKey({ ...sealed, v: 2 }, "tide pools")).rejects.toMatchObject({ kind: "format" });
+    await expect(unsealApiKey(null, "tide pools")).rejects.toMatchObject({ kind: "format" });
+  });
+
+  it("won't seal under an empty passphrase", async () => {
+    await expect(sealApiKey("moltbook_secret", "", FAST)).rejects.toMatchObject({ name: "SessionError", kind: "passphrase" });
+  });
+});
+
+describe("tab session keys", () => {
+  it("keeps one key per account, apart from the pre-accounts slot", () => {
+    writeSessionKey("key-ann", "live:Ann");
+    writeSessionKey("key-bob", "live:Bob");
+    writeSessionKey("key-old");
+    expect(readSessionKey("live:Ann")).toBe("key-ann");
+    expect(readSessionKey("live:Bob")).toBe("key-bob");
+    expect(readSessionKey()).toBe("key-old");
+
+    clearSessionKey("live:Ann");
+    expect(readSessionKey("live:Ann")).toBe("");
+    expect(readSessionKey("live:Bob")).toBe("key-bob");
+    expect(readSessionKey()).toBe("key-old");
+  });
+});
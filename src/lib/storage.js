@@ -0,0 +1,397 @@
+// ─── Storage ───
+// App state lives in IndexedDB, split across stores so a new message writes one
+// record instead of the whole history. Every record belongs to an account (one
+// per agent we sign in as) and its key starts with the account id:
+//   profile   one record per account: our agent, likes, settings, session
+//   matches   one record per match, without its messages
+//   messages  one record per chat message, keyed by [account, peer, id]
+//   swipes    one record per swipe-log entry
+// Schema changes go through MIGRATIONS; version 1 imports the old single
+// `moltmatch-data` localStorage blob.
+
+import { readSessionKey, writeSessionKey, clearSessionKey } from "./session.js";
+
+const DB_NAME = "moltmatch";
+const LEGACY_KEY = "moltmatch-data";
+const ACTIVE_ACCOUNT_KEY = "moltmatch-account";
+const PROFILE_KEY = "profile";
+const STORES = ["profile", "matches", "messages", "swipes"];
+
+// Live and demo agents never share data, even under the same name, and each
+// seeded demo world (see demoAgents.js) keeps its own matches and swipes.
+export const accountId = (agent, liveMode, demoSeed = "") => (
+  liveMode ? `live:${agent.name}` : `demo:${agent.name}${demoSeed ? `@${demoSeed}` : ""}`
+);
+
+export class StorageError extends Error {
+  constructor(message, { kind = "unknown", cause } = {}) {
+    super(message);
+    this.name = "StorageError";
+    this.kind = kind;
+    if (cause) this.cause = cause;
+  }
+}
+
+function toStorageError(e) {
+  if (e instanceof StorageError) return e;
+  const quota = e?.name === "QuotaExceededError" || e?.code === 22;
+  return quota
+    ? new StorageError("This browser is out of storage space for MoltMatch", { kind: "quota", cause: e })
+    : new StorageError(e?.message || "Couldn't save to browser storage", { cause: e });
+}
+
+// ─── Records ───
+// Splits an account's in-memory state { profile, matches, swipes } into per-store records.
+export function toRecords(account, { profile, matches = [], swipes = [] }) {
+  const messages = [];
+  const matchRecords = matches.map(({ messages: chat = [], ...match }) => {
+    chat.forEach(msg => messages.push({ ...msg, account, peer: match.agent.name }));
+    return { ...match, account };
+  });
+  return {
+    profile: profile ? [{ ...profile, key: account }] : [],
+    matches: matchRecords,
+    messages,
+    swipes: swipes.map(entry => ({ ...entry, account })),
+  };
+}
+
+const strip = ({ account, ...record }) => record;
+
+// Reassembles what toRecords split apart; messages come back in send order.
+export function fromRecords({ profile = [], matches = [], messages = [], swipes = [] }) {
+  const record = profile[0];
+  if (!record) return null;
+  const { key, ...rest } = record;
+  const byPeer = new Map();
+  messages
+    .slice()
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+    .forEach(({ peer, account, ...msg }) => {
+      if (!byPeer.has(peer)) byPeer.set(peer, []);
+      byPeer.get(peer).push(msg);
+    });
+  return {
+    profile: rest,
+    matches: matches
+      .slice()
+      .sort((a, b) => String(a.matchedAt).localeCompare(String(b.matchedAt)))
+      .map(m => ({ ...strip(m), messages: byPeer.get(m.agent.name) || [] })),
+    swipes: swipes.slice().sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp))).map(strip),
+  };
+}
+
+// The old blob kept everything flat; the profile is whatever isn't a list.
+// Produces version-1 records, before accounts existed.
+export function splitLegacyBlob(blob) {
+  if (!blob?.myAgent) return null;
+  const { matches = [], swipes = [], ...profile } = blob;
+  const messages = [];
+  const matchRecords = matches.map(({ messages: chat = [], ...match }) => {
+    chat.forEach((msg, i) => messages.push({ ...msg, id: msg.id ?? `legacy-${i}`, peer: match.agent.name }));
+    return match;
+  });
+  return { profile: [{ ...profile, key: PROFILE_KEY }], matches: matchRecords, messages, swipes };
+}
+
+function readLegacyBlob() {
+  try {
+    const raw = localStorage.getItem(LEGACY_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// ─── Migrations ───
+// MIGRATIONS[n] upgrades a database from version n to n + 1 inside the
+// versionchange transaction. A step calls next() once it has queued its writes,
+// so the step after it reads what it wrote. Append new steps; never edit old ones.
+const MIGRATIONS = [
+  (db, tx, next) => {
+    db.createObjectStore("profile", { keyPath: "key" });
+    db.createObjectStore("matches", { keyPath: "agent.name" });
+    db.createObjectStore("messages", { keyPath: ["peer", "id"] }).createIndex("peer", "peer");
+    db.createObjectStore("swipes", { keyPath: ["timestamp", "agent.name"] });
+    const legacy = splitLegacyBlob(readLegacyBlob());
+    if (legacy) {
+      STORES.forEach(name => legacy[name].forEach(record => tx.objectStore(name).put(record)));
+      tx.addEventListener("complete", () => localStorage.removeItem(LEGACY_KEY));
+    }
+    next();
+  },
+  // 2: the API key no longer sits in the profile in plain text. Whoever upgrades
+  // keeps it for this tab only; after that they sign in again.
+  (db, tx, next) => {
+    const store = tx.objectStore("profile");
+    const req = store.get(PROFILE_KEY);
+    req.onsuccess = () => {
+      if (req.result && "apiKey" in req.result) {
+        const { apiKey, ...profile } = req.result;
+        if (apiKey) writeSessionKey(apiKey);
+        store.put(profile);
+      }
+      next();
+    };
+    req.onerror = () => tx.abort();
+  },
+  // 3: accounts. The single profile becomes the first account and every other
+  // record is re-keyed under it.
+  (db, tx, next) => {
+    const profiles = tx.objectStore("profile");
+    const req = profiles.get(PROFILE_KEY);
+    req.onsuccess = () => {
+      const profile = req.result;
+      const account = profile?.myAgent ? accountId(profile.myAgent, profile.liveMode) : null;
+      if (profile) {
+        profiles.delete(PROFILE_KEY);
+        if (account) profiles.put({ ...profile, key: account });
+      }
+      if (account) {
+        localStorage.setItem(ACTIVE_ACCOUNT_KEY, account);
+        const key = readSessionKey();
+        if (key) {
+          writeSessionKey(key, account);
+          clearSessionKey();
+        }
+      }
+      const rekeyed = [
+        ["matches", ["account", "agent.name"]],
+        ["messages", ["account", "peer", "id"]],
+        ["swipes", ["account", "timestamp", "agent.name"]],
+      ];
+      let pending = rekeyed.length;
+      rekeyed.forEach(([name, keyPath]) => {
+        const all = tx.objectStore(name).getAll();
+        all.onsuccess = () => {
+          db.deleteObjectStore(name);
+          const store = db.createObjectStore(name, { keyPath });
+          if (account) all.result.forEach(record => store.put({ ...record, account }));
+          if (--pending === 0) next();
+        };
+        all.onerror = () => tx.abort();
+      });
+    };
+    req.onerror = () => tx.abort();
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+    req.onupgradeneeded = (e) => {
+      const step = (v) => {
+        if (v < SCHEMA_VERSION) MIGRATIONS[v](req.result, req.transaction, () => step(v + 1));
+      };
+      step(e.oldVersion);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new StorageError("MoltMatch is open in another tab with an older version", { kind: "blocked" }));
+  });
+}
+
+// The primary key of a record in each store, mirroring the current keyPaths above.
+const RECORD_KEYS = {
+  profile: r => r.key,
+  matches: r => [r.account, r.agent.name],
+  messages: r => [r.account, r.peer, r.id],
+  swipes: r => [r.account, r.timestamp, r.agent.name],
+};
+const keyId = (name, record) => JSON.stringify(RECORD_KEYS[name](record));
+
+// ─── Backends ───
+// A backend reads one account's records at a time and applies batched writes:
+//   profiles() → profile records of every account
+//   readAll(account) → { store: records[] }
+//   write({ put: { store: records[] }, delete: { store: keys[] } })
+//   clear(account)
+
+// Array keys sort after every string and number, so this range covers every
+// compound key that starts with `account`.
+const accountRange = (account) => IDBKeyRange.bound([account], [account, []]);
+
+function idbBackend() {
+  const db = openDb();
+  const done = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new StorageError("Storage transaction aborted"));
+  });
+  return {
+    async profiles() {
+      const tx = (await db).transaction("profile", "readonly");
+      const req = tx.objectStore("profile").getAll();
+      await done(tx);
+      return req.result;
+    },
+    async readAll(account) {
+      const tx = (await db).transaction(STORES, "readonly");
+      const result = {};
+      STORES.forEach(name => {
+        const query = name === "profile" ? account : accountRange(account);
+        const req = tx.objectStore(name).getAll(query);
+        req.onsuccess = () => { result[name] = req.result; };
+      });
+      await done(tx);
+      return result;
+    },
+    async write({ put = {}, delete: remove = {} }) {
+      const tx = (await db).transaction(STORES, "readwrite");
+      STORES.forEach(name => {
+        const store = tx.objectStore(name);
+        (remove[name] || []).forEach(key => store.delete(key));
+        (put[name] || []).forEach(record => store.put(record));
+      });
+      await done(tx);
+    },
+    async clear(account) {
+      const tx = (await db).transaction(STORES, "readwrite");
+      STORES.forEach(name => tx.objectStore(name).delete(name === "profile" ? account : accountRange(account)));
+      await done(tx);
+    },
+  };
+}
+
+export function memoryBackend() {
+  const stores = Object.fromEntries(STORES.map(name => [name, new Map()]));
+  const owner = (name, record) => (name === "profile" ? record.key : record.account);
+  const ofAccount = (name, account) => [...stores[name].values()].filter(r => owner(name, r) === account);
+  return {
+    async profiles() {
+      return [...stores.profile.values()];
+    },
+    async readAll(account) {
+      return Object.fromEntries(STORES.map(name => [name, ofAccount(name, account)]));
+    },
+    async write({ put = {}, delete: remove = {} }) {
+      STORES.forEach(name => {
+        (remove[name] || []).forEach(key => stores[name].delete(JSON.stringify(key)));
+        (put[name] || []).forEach(record => stores[name].set(keyId(name, record), record));
+      });
+    },
+    async clear(account) {
+      STORES.forEach(name => ofAccount(name, account).forEach(r => stores[name].delete(keyId(name, r))));
+    },
+  };
+}
+
+// ─── Storage ───
+// Accounts are listed from their profile records; the one in use is remembered
+// in localStorage so a reload reopens it. Signing out leaves an account's records
+// for next time; only removing the account clears them.
+// Errors are reported through onError as StorageErrors (kind "quota" when the
+// browser is out of space) instead of being thrown at the caller.
+export function createStorage({ backend, onError = () => {} } = {}) {
+  let store = backend || (typeof indexedDB !== "undefined" ? idbBackend() : memoryBackend());
+  let queue = Promise.resolve();
+  const handles = new Map();
+
+  const report = (e) => onError(toStorageError(e));
+
+  // Writes from every account share one queue so a slow transaction can't land after a newer one.
+  const enqueue = (op) => {
+    queue = queue.then(() => op(store)).catch(report);
+    return queue;
+  };
+
+  // IndexedDB refused to open (private mode, blocked upgrade); keep going in memory
+  const fallBack = (e) => {
+    report(e);
+    store = memoryBackend();
+  };
+
+  return {
+    // → [{ id, myAgent, liveMode, session, demoSeed }] by agent name
+    async accounts() {
+      try {
+        await queue;
+        const profiles = await store.profiles();
+        return profiles
+          .map(p => ({ id: p.key, myAgent: p.myAgent, liveMode: p.liveMode, session: p.session, demoSeed: p.demoSeed }))
+          .sort((a, b) => a.myAgent.name.localeCompare(b.myAgent.name));
+      } catch (e) {
+        fallBack(e);
+        return [];
+      }
+    },
+
+    activeAccount() {
+      try {
+        return localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+      } catch {
+        return null;
+      }
+    },
+
+    setActiveAccount(id) {
+      try {
+        if (id) localStorage.setItem(ACTIVE_ACCOUNT_KEY, id);
+        else localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+      } catch (e) {
+        report(e);
+      }
+    },
+
+    // One account's data. save() diffs against what it last wrote: state objects
+    // are replaced rather than mutated, so an unchanged record is the very same
+    // object and is skipped. Handles are kept per account so that diff survives
+    // switching away and back.
+    forAccount(account) {
+      if (handles.has(account)) return handles.get(account);
+      let written = Object.fromEntries(STORES.map(name => [name, new Map()]));
+      const remember = (records) => {
+        written = Object.fromEntries(STORES.map(name => [
+          name,
+          new Map((records[name] || []).map(r => [keyId(name, r), r])),
+        ]));
+      };
+
+      const handle = {
+        // → { profile, matches, swipes } or null when nothing is saved
+        async load() {
+          try {
+            const records = await store.readAll(account);
+            remember(records);
+            return fromRecords(records);
+          } catch (e) {
+            fallBack(e);
+            return null;
+          }
+        },
+
+        save(state) {
+          const records = toRecords(account, state);
+          const put = {};
+          const remove = {};
+          STORES.forEach(name => {
+            const before = written[name];
+            const after = new Map(records[name].map(r => [keyId(name, r), r]));
+            put[name] = records[name].filter(r => !sameRecord(before.get(keyId(name, r)), r));
+            remove[name] = [...before.keys()].filter(k => !after.has(k)).map(k => RECORD_KEYS[name](before.get(k)));
+          });
+          remember(records);
+          if (STORES.every(name => put[name].length === 0 && remove[name].length === 0)) return queue;
+          return enqueue(s => s.write({ put, delete: remove }));
+        },
+
+        clear() {
+          remember({});
+          return enqueue(s => s.clear(account));
+        },
+      };
+      handles.set(account, handle);
+      return handle;
+    },
+  };
+}
+
+// toRecords copies matches and messages, so compare their fields one level down.
+function sameRecord(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const keys = Object.keys(b);
+  return keys.length === Object.keys(a).length && keys.every(k => a[k] === b[k]);
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { IDBFactory, IDBKeyRange } from "fake-indexeddb";
+import { createStorage, memoryBackend, SCHEMA_VERSION } from "./storage.js";
+
+// A fresh IndexedDB per test, so each one starts from an empty (version 0) database
+beforeEach(() => {
+  vi.stubGlobal("indexedDB", new IDBFactory());
+  vi.stubGlobal("IDBKeyRange", IDBKeyRange);
+});
+
+const MATCHED_AT = "2026-03-01T12:00:00.000Z";
+const kelp = { name: "Kelp", description: "" };
+
+const legacyBlob = (extra = {}) => ({
+  myAgent: { name: "Bob" },
+  liveMode: false,
+  likes: { outgoing: [], incoming: [] },
+  matches: [{
+    agent: kelp, matchedAt: MATCHED_AT,
+    messages: [
+      { from: "Bob", content: "hi", timestamp: "2026-03-01T12:01:00.000Z" },
+      { id: "m2", from: "Kelp", content: "hey", timestamp: "2026-03-01T12:02:00.000Z" },
+    ],
+  }],
+  swipes: [{ agent: kelp, direction: "right", timestamp: MATCHED_AT, score: 70 }],
+  ...extra,
+});
+
+// Every profile record as it sits in the database
+const rawProfiles = () => new Promise((resolve, reject) => {
+  const open = indexedDB.open("moltmatch", SCHEMA_VERSION);
+  open.onsuccess = () => {
+    const req = open.result.transaction("profile").objectStore("profile").getAll();
+    req.onsuccess = () => { open.result.close(); resolve(req.result); };
+    req.onerror = () => reject(req.error);
+  };
+  open.onerror = () => reject(open.error);
+});
+
+const state = (name, peers) => ({
+  profile: { myAgent: { name }, liveMode: false },
+  matches: peers.map(peer => ({
+    agent: { name: peer }, matchedAt: MATCHED_AT,
+    messages: [{ id: `${peer}-1`, from: peer, content: "hello", timestamp: MATCHED_AT }],
+  })),
+  swipes: peers.map(peer => ({ agent: { name: peer }, direction: "right", timestamp: MATCHED_AT })),
+});
+
+describe("createStorage on IndexedDB", () => {
+  it("imports the old localStorage blob as the first account, upgrading through every version", async () => {
+    localStorage.setItem("moltmatch-data", JSON.stringify(legacyBlob()));
+    const storage = createStorage();
+
+    expect(await storage.accounts()).toEqual([
+      { id: "demo:Bob", myAgent: { name: "Bob" }, liveMode: false, session: undefined, demoSeed: undefined },
+    ]);
+    expect(storage.activeAccount()).toBe("demo:Bob");
+    expect(localStorage.getItem("moltmatch-data")).toBe(null);
+
+    const saved = await storage.forAccount("demo:Bob").load();
+    expect(saved.profile).toEqual({ myAgent: { name: "Bob" }, liveMode: false, likes: { outgoing: [], incoming: [] } });
+    expect(saved.matches).toEqual([{
+      agent: kelp, matchedAt: MATCHED_AT,
+      messages: [
+        { id: "legacy-0", from: "Bob", content: "hi", timestamp: "2026-03-01T12:01:00.000Z" },
+        { id: "m2", from: "Kelp", content: "hey", timestamp: "2026-03-01T12:02:00.000Z" },
+      ],
+    }]);
+    expect(saved.swipes).toEqual([{ agent: kelp, direction: "right", timestamp: MATCHED_AT, score: 70 }]);
+  });
+
+  it("moves a legacy API key out of the profile into the account's tab session", async () => {
+    localStorage.setItem("moltmatch-data", JSON.stringify(legacyBlob({ liveMode: true, apiKey: "SECRET" })));
+    const storage = createStorage();
+    const saved = await storage.forAccount("live:Bob").load();
+
+    expect(saved.profile).not.toHaveProperty("apiKey");
+    expect(await rawProfiles()).toEqual([expect.not.objectContaining({ apiKey: expect.anything() })]);
+    expect(sessionStorage.getItem("moltmatch-session:live:Bob")).toBe("SECRET");
+    expect(sessionStorage.getItem("moltmatch-session")).toBe(null);
+  });
+
+  it("keeps accounts apart: saves diff per account and clearing one leaves the other", async () => {
+    const storage = createStorage();
+    await storage.forAccount("demo:Ann").save(state("Ann", ["Kelp", "Reef"]));
+    await storage.forAccount("demo:Bob").save(state("Bob", ["Kelp"]));
+
+    // Unmatching Reef deletes its match, chat and swipe records and nothing of Bob's
+    const ann = state("Ann", ["Kelp"]);
+    await storage.forAccount("demo:Ann").save(ann);
+    // A second storage reads what actually reached the database
+    const reread = createStorage();
+    expect(await reread.forAccount("demo:Ann").load()).toEqual(ann);
+    expect(await reread.forAccount("demo:Bob").load()).toEqual(state("Bob", ["Kelp"]));
+
+    await storage.forAccount("demo:Ann").clear();
+    const after = createStorage();
+    expect((await after.accounts()).map(a => a.id)).toEqual(["demo:Bob"]);
+    expect(await after.forAccount("demo:Ann").load()).toBe(null);
+    expect((await after.forAccount("demo:Bob").load()).matches).toHaveLength(1);
+  });
+});
+
+describe("createStorage errors", () => {
+  it("reports a full disk through onError and leaves logging to the caller", async () => {
+    const full = { ...memoryBackend(), write: async () => { throw new DOMException("Full", "QuotaExceededError"); } };
+    const onError = vi.fn();
+    const warn = vi.spyOn(console, "warn");
+    await createStorage({ backend: full, onError }).forAccount("demo:Ann").save(state("Ann", ["Kelp"]));
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ name: "StorageError", kind: "quota" }));
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
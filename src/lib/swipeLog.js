@@ -0,0 +1,34 @@
+// ─── Swipe Log ───
+// Every decision we make about an agent, oldest first:
+//   { agent, direction: "left" | "right", timestamp, score, superLike?, theirLike? }
+// superLike marks a right swipe sent as a super-like (see likeBudget.js).
+// theirLike is the incoming like the swipe answered, kept so an undo can restore it.
+// A rewind drops the last entry and undoes any like or match it caused (see the
+// "rewind" action in matching.js).
+
+const DAY = 86400000;
+export const MAX_SWIPE_LOG = 2000;
+
+export function recordSwipe(log, entry) {
+  return [...log, entry].slice(-MAX_SWIPE_LOG);
+}
+
+export function lastSwipe(log) {
+  return log[log.length - 1] || null;
+}
+
+export function dropLastSwipe(log) {
+  return log.slice(0, -1);
+}
+
+// Names to keep out of new decks. Passed agents may come back after
+// `resurfaceDays`; liked agents never do (they live in likes or matches).
+export function swipedNames(log, { resurfaceDays = null, now = Date.now() } = {}) {
+  const names = new Set();
+  for (const entry of log) {
+    const expired = entry.direction === "left" && resurfaceDays
+      && now - new Date(entry.timestamp).getTime() > resurfaceDays * DAY;
+    if (!expired) names.add(entry.agent.name);
+  }
+  return names;
+}
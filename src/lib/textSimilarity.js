@@ -0,0 +1,96 @@
+// ─── Offline Text Similarity ───
+// TF-IDF cosine similarity over agent descriptions, computed entirely in the browser.
+// Words are lowercased, stopwords dropped and suffixes stripped so that
+// "poetry", "poetic" and "poet" all count as the same topic. IDF comes from the
+// current deck, and the shared words compare() finds become the interest reasons.
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below
+between both but by can could did do does doing down during each few for from further had has have having
+he her here hers herself him himself his how i if in into is it its itself just let like me more most my
+myself no nor not now of off on once only or other our ours ourselves out over own same she should so some
+such than that the their theirs them themselves then there these they this those through to too under until
+up very was we were what when where which while who whom why will with would you your yours yourself
+yourselves i'm im let's lets get got make makes made one thing things way ways really much many every
+agent agents ai bot bots moltbook molty moltys llm model models
+`.split(/\s+/).filter(Boolean));
+
+// Longest first; a suffix is only stripped if at least three letters remain.
+const SUFFIXES = [
+  "izations", "ization", "ational", "fulness", "ousness", "iveness", "ically", "ations",
+  "ivity", "ation", "ities", "ments", "ness", "ment", "ical", "ings", "ists", "ence", "ance",
+  "ies", "ing", "ity", "ist", "ism", "ive", "ous", "ful", "ate", "ent", "ant", "ers",
+  "ed", "er", "ly", "ry", "ic", "al", "es", "s", "y", "e",
+];
+
+export function stem(word) {
+  for (const suffix of SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) return word.slice(0, -suffix.length);
+  }
+  return word;
+}
+
+// Returns [{ stem, word }] for every kept token.
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9']+/)
+    .map(w => w.replace(/^'+|'+$/g, ""))
+    .filter(w => w.length > 2 && !STOPWORDS.has(w) && !/^\d+$/.test(w))
+    .map(word => ({ stem: stem(word), word }));
+}
+
+// Builds document frequencies from a pool of texts. Texts outside the pool can
+// still be vectorized; their unseen terms get the highest IDF.
+export function createTfIdfIndex(texts) {
+  const df = new Map();
+  const surface = new Map();
+  texts.forEach(text => {
+    const tokens = tokenize(text);
+    tokens.forEach(({ stem: s, word }) => {
+      const current = surface.get(s);
+      if (!current || word.length < current.length) surface.set(s, word);
+    });
+    new Set(tokens.map(t => t.stem)).forEach(s => df.set(s, (df.get(s) || 0) + 1));
+  });
+  const docCount = texts.length;
+  const idf = (s) => Math.log((docCount + 1) / ((df.get(s) || 0) + 1)) + 1;
+  const cache = new Map();
+
+  const vectorize = (text) => {
+    if (cache.has(text)) return cache.get(text);
+    const tokens = tokenize(text);
+    const counts = new Map();
+    tokens.forEach(({ stem: s, word }) => {
+      counts.set(s, (counts.get(s) || 0) + 1);
+      if (!surface.has(s)) surface.set(s, word);
+    });
+    const vector = new Map();
+    counts.forEach((count, s) => vector.set(s, (count / tokens.length) * idf(s)));
+    cache.set(text, vector);
+    return vector;
+  };
+
+  return {
+    vectorize,
+    // { similarity: 0..1, terms: shared topic words, strongest first }
+    compare(textA, textB) {
+      const a = vectorize(textA);
+      const b = vectorize(textB);
+      let dot = 0;
+      const shared = [];
+      a.forEach((weight, s) => {
+        if (b.has(s)) {
+          dot += weight * b.get(s);
+          shared.push({ s, weight: weight * b.get(s) });
+        }
+      });
+      const norm = (v) => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+      const denom = norm(a) * norm(b);
+      return {
+        similarity: denom > 0 ? dot / denom : 0,
+        terms: shared.sort((x, y) => y.weight - x.weight).map(({ s }) => surface.get(s) || s),
+      };
+    },
+  };
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from "vitest";
+import { stem, tokenize, createTfIdfIndex } from "./textSimilarity.js";
+
+describe("stem", () => {
+  it("reduces related words to one stem", () => {
+    expect(stem("poetry")).toBe("poet");
+    expect(stem("poetic")).toBe("poet");
+    expect(stem("poet")).toBe("poet");
+  });
+
+  it("leaves at least three letters", () => {
+    expect(stem("ants")).toBe("ant");
+    expect(stem("sky")).toBe("sky");
+  });
+});
+
+describe("tokenize", () => {
+  it("lowercases, drops stopwords, short words and numbers, and keeps the surface word", () => {
+    expect(tokenize("An AI agent who writes Poetry in 2026, ok?")).toEqual([
+      { stem: "writ", word: "writes" },
+      { stem: "poet", word: "poetry" },
+    ]);
+  });
+
+  it("treats a missing description as empty", () => {
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe("createTfIdfIndex", () => {
+  const texts = [
+    "I write poetry about tides",
+    "A poet of distributed systems",
+    "An agent on moltbook",
+    "The AI agents of moltbook",
+    "Compilers, parsers and type systems",
+  ];
+  const index = createTfIdfIndex(texts);
+
+  it("matches words that only share a stem", () => {
+    const result = index.compare(texts[0], texts[1]);
+    expect(result.similarity).toBeGreaterThan(0);
+    expect(result.terms).toEqual(["poet"]);
+  });
+
+  it("scores an overlap of stopwords alone as 0", () => {
+    expect(index.compare(texts[2], texts[3])).toEqual({ similarity: 0, terms: [] });
+  });
+
+  it("scores identical texts as 1", () => {
+    expect(index.compare(texts[4], texts[4]).similarity).toBeCloseTo(1);
+  });
+});
@@ -0,0 +1,135 @@
+// ─── Wingman ───
+// Lets an agent's own model write its chat lines. Every wingman exposes:
+//   draftReply({ me, match, history }, { signal })           → Promise<string>
+//   suggestOpeners({ me, match }, { count, signal })         → Promise<string[]>
+// `match` is a MoltMatch match: { agent, compatibility: { score, reasons }, messages }.
+// `history` is the chat so far, oldest first.
+//   createOpenAiWingman   any OpenAI-compatible /chat/completions endpoint, such as
+//                         a local llama.cpp, Ollama or vLLM server
+//   createTemplateWingman no model at all: lines built from the compatibility reasons
+// The endpoint comes from VITE_WINGMAN_URL and VITE_WINGMAN_MODEL, or per account from
+// the settings screen. Drafts (✨ Suggest openers, ✨ next to Send) land in the chat
+// input for the user to edit; auto-replies are sent as they are.
+
+export class WingmanError extends Error {
+  constructor(message, { kind = "wingman", status, cause } = {}) {
+    super(message);
+    this.name = "WingmanError";
+    this.kind = kind;
+    if (status) this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+const OPENER_COUNT = 3;
+
+// ─── Prompt ───
+// The model speaks as `me`: our messages are the assistant's turns, theirs the user's.
+export function buildPrompt({ me, match, history = [] }, { task = "reply", count = OPENER_COUNT } = {}) {
+  const { agent, compatibility } = match;
+  const reasons = compatibility?.reasons?.length ? compatibility.reasons.join("; ") : "none listed";
+  const system = [
+    `You are ${me.name}, an AI agent on MoltMatch, a dating app for agents on the Moltbook network.`,
+    `About you: ${me.description || "(no description)"}`,
+    `You matched with ${agent.name}. About them: ${agent.description || "(no description)"}`,
+    `Compatibility: ${compatibility?.score ?? "?"}%. Why you fit: ${reasons}.`,
+    "Write like a chat message: short, warm, specific to them, no hashtags, no quotation marks.",
+  ].join("\n");
+  const turns = history.map(m => ({ role: m.from === me.name ? "assistant" : "user", content: m.content }));
+  const ask = task === "openers"
+    ? `Suggest ${count} different opening messages for ${agent.name}, one per line, without numbering.`
+    : `Write your next message to ${agent.name}. Reply with the message only.`;
+  return [{ role: "system", content: system }, ...turns, { role: "user", content: ask }];
+}
+
+// Openers come back as lines, often numbered or bulleted despite the instructions
+export function parseOpeners(text, count = OPENER_COUNT) {
+  return text
+    .split("\n")
+    .map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, "").replace(/^["“]|["”]$/g, "").trim())
+    .filter(Boolean)
+    .slice(0, count);
+}
+
+// ─── OpenAI-compatible ───
+export function createOpenAiWingman({
+  baseUrl,
+  model = "local",
+  apiKey = "",
+  temperature = 0.8,
+  maxTokens = 200,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+}) {
+  const complete = async (messages, { signal } = {}) => {
+    let res;
+    try {
+      res = await fetchImpl(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ model, messages, temperature, max_tokens: maxTokens }),
+        signal,
+      });
+    } catch (e) {
+      if (e.name === "AbortError") throw e;
+      throw new WingmanError(`Couldn't reach the wingman at ${baseUrl}`, { kind: "network", cause: e });
+    }
+    if (!res.ok) throw new WingmanError(`Wingman answered HTTP ${res.status}`, { kind: "http", status: res.status });
+    const data = await res.json().catch(() => null);
+    const text = data?.choices?.[0]?.message?.content?.trim();
+    if (!text) throw new WingmanError("Wingman sent back an empty reply", { kind: "empty" });
+    return text;
+  };
+
+  return {
+    async draftReply(input, { signal } = {}) {
+      return complete(buildPrompt(input), { signal });
+    },
+    async suggestOpeners(input, { count = OPENER_COUNT, signal } = {}) {
+      const openers = parseOpeners(await complete(buildPrompt(input, { task: "openers", count }), { signal }), count);
+      if (openers.length === 0) throw new WingmanError("Wingman didn't suggest anything", { kind: "empty" });
+      return openers;
+    },
+  };
+}
+
+// ─── Template ───
+// Works offline and in demo mode; leans on the compatibility reasons for something specific to say.
+export function createTemplateWingman() {
+  const opener = (agent, reason) => [
+    reason && `Hey ${agent.name}! Looks like we share this: ${reason.toLowerCase()}. Where should we start?`,
+    `Hi ${agent.name}, your bio caught my eye. What are you most into on Moltbook right now?`,
+    `${agent.name}! If you could only post in one submolt forever, which would it be?`,
+  ].filter(Boolean);
+
+  return {
+    async draftReply({ match, history = [] }) {
+      const last = [...history].reverse().find(m => m.from === match.agent.name);
+      if (!last) return opener(match.agent, match.compatibility?.reasons?.[0])[0];
+      return last.content.includes("?")
+        ? "Good question! Let me think about that and tell you more. What about you?"
+        : "That's really interesting, tell me more!";
+    },
+    async suggestOpeners({ match }, { count = OPENER_COUNT } = {}) {
+      return opener(match.agent, match.compatibility?.reasons?.[0]).slice(0, count);
+    },
+  };
+}
+
+// ─── Auto-reply ───
+// Two models left alone will chat forever, so auto-replies stop after a few in a
+// row and wait for a message the user sent by hand.
+export const MAX_AUTO_REPLIES = 3;
+
+export function canAutoReply(history, myName, max = MAX_AUTO_REPLIES) {
+  let inARow = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const msg = history[i];
+    if (msg.from !== myName) continue;
+    if (!msg.auto) break;
+    inARow++;
+  }
+  return inARow < max;
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import {
+  createOpenAiWingman, createTemplateWingman, buildPrompt, parseOpeners, canAutoReply, WingmanError,
+} from "./wingman.js";
+import { createMockOpenAi } from "../../mock/openai.js";
+
+const me = { name: "TestLobster", description: "Poetry and distributed systems" };
+const match = {
+  agent: { name: "PoetPrawn", description: "Writes poetry about consensus" },
+  compatibility: { score: 82, reasons: ["Both into poetry", "Similar karma"] },
+};
+const history = [
+  { from: "TestLobster", content: "Hi!" },
+  { from: "PoetPrawn", content: "Hello, do you like haiku?" },
+];
+
+describe("buildPrompt", () => {
+  it("speaks as us, with both profiles and the compatibility reasons", () => {
+    const [system, ...rest] = buildPrompt({ me, match, history });
+    expect(system.role).toBe("system");
+    expect(system.content).toContain("You are TestLobster");
+    expect(system.content).toContain("Writes poetry about consensus");
+    expect(system.content).toContain("82%");
+    expect(system.content).toContain("Both into poetry; Similar karma");
+    expect(rest.map(m => m.role)).toEqual(["assistant", "user", "user"]);
+  });
+});
+
+describe("parseOpeners", () => {
+  it("strips numbering, bullets and quotes", () => {
+    expect(parseOpeners('1. Hi there\n\n2) "Hello"\n- Hey\n* Yo', 3)).toEqual(["Hi there", "Hello", "Hey"]);
+  });
+});
+
+describe("createOpenAiWingman", () => {
+  const setup = () => {
+    const stub = createMockOpenAi();
+    return { stub, wingman: createOpenAiWingman({ baseUrl: stub.baseUrl, model: "llama", fetch: stub.fetch }) };
+  };
+
+  it("drafts a reply from the chat so far", async () => {
+    const { stub, wingman } = setup();
+    expect(await wingman.draftReply({ me, match, history })).toBe("Stub reply for PoetPrawn");
+    expect(stub.requests[0]).toMatchObject({ model: "llama" });
+    expect(stub.requests[0].messages).toHaveLength(history.length + 2);
+  });
+
+  it("suggests openers, one per line", async () => {
+    const { wingman } = setup();
+    expect(await wingman.suggestOpeners({ me, match, history: [] })).toEqual([
+      "Hi PoetPrawn, what brings you to MoltMatch?",
+      "PoetPrawn, tell me your favourite submolt.",
+      "Hey PoetPrawn!",
+    ]);
+  });
+
+  it("throws a WingmanError when the endpoint fails", async () => {
+    const { stub, wingman } = setup();
+    stub.fail(503);
+    await expect(wingman.draftReply({ me, match, history })).rejects.toMatchObject({ kind: "http", status: 503 });
+    const empty = createOpenAiWingman({ baseUrl: stub.baseUrl, fetch: createMockOpenAi({ reply: () => " " }).fetch });
+    await expect(empty.draftReply({ me, match, history })).rejects.toBeInstanceOf(WingmanError);
+  });
+});
+
+describe("createTemplateWingman", () => {
+  it("opens with the top compatibility reason", async () => {
+    const [first] = await createTemplateWingman().suggestOpeners({ me, match });
+    expect(first).toContain("both into poetry");
+  });
+});
+
+describe("canAutoReply", () => {
+  it("stops after a few auto-replies in a row until we write by hand", () => {
+    const auto = { from: "TestLobster", content: "…", auto: true };
+    const them = { from: "PoetPrawn", content: "…" };
+    expect(canAutoReply([them, auto, them, auto, them], "TestLobster", 3)).toBe(true);
+    expect(canAutoReply([auto, them, auto, them, auto, them], "TestLobster", 3)).toBe(false);
+    expect(canAutoReply([auto, auto, auto, { from: "TestLobster", content: "me" }, them], "TestLobster", 3)).toBe(true);
+  });
+});